@@ -0,0 +1,22 @@
+const db = require('../src/db/postgres');
+const logger = require('../src/utils/logger');
+const { runMigrations } = require('../src/db/schema');
+
+/**
+ * Apply the database schema (npm run db:migrate)
+ */
+async function main() {
+  try {
+    const applied = await runMigrations();
+    console.log(`Applied ${applied.length} schema migrations: ${applied.join(', ')}`);
+    process.exitCode = 0;
+  } catch (error) {
+    logger.error('Database migration failed', error);
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,29 @@
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const redis = require('../src/db/redis');
+const logger = require('../src/utils/logger');
+const { reconcileWebhooks } = require('../src/webhooks/registration');
+
+/**
+ * Register our webhook with Shiprocket and repair drift (npm run webhooks:register [-- --dry-run])
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    config.validateConfig(['shiprocket.apiKey', 'shiprocket.apiSecret', 'webhook.publicUrl']);
+
+    const report = await reconcileWebhooks({ dryRun });
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = 0;
+  } catch (error) {
+    logger.error('Webhook registration failed', error);
+    console.error(`Webhook registration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    // The outbound rate limiter may have connected to Redis
+    await Promise.all([redis.close(), db.close()]).catch(() => {});
+  }
+}
+
+main();
@@ -1,7 +1,7 @@
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { retryRequest } = require('../utils/retry');
+const { retryRequest, RateLimiter, getRetryAfterMs } = require('../utils/retry');
 
 class ShiprocketAPI {
   constructor() {
@@ -11,6 +11,16 @@ class ShiprocketAPI {
     this.token = null;
     this.tokenExpiresAt = null;
     
+    // Outbound token bucket, shared by replicas with the Redis store
+    this.rateLimiter = new RateLimiter({
+      name: 'shiprocket',
+      enabled: config.outboundRateLimit.enabled,
+      store: config.outboundRateLimit.store,
+      redisKey: `${config.outboundRateLimit.redisKeyPrefix}shiprocket`,
+      maxPauseMs: config.retry.maxRetryAfterMs,
+      ...config.outboundRateLimit.shiprocket
+    });
+
     // Create axios instance with default config
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -115,8 +125,19 @@ class ShiprocketAPI {
         config.data = data;
       }
 
-      const response = await this.client(config);
-      return response.data;
+      await this.rateLimiter.checkLimit();
+
+      try {
+        const response = await this.client(config);
+        return response.data;
+      } catch (error) {
+        // Hold back every request to this API, not just the retry
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs) {
+          await this.rateLimiter.pause(retryAfterMs);
+        }
+        throw error;
+      }
     });
   }
 
@@ -214,7 +235,9 @@ class ShiprocketAPI {
   }
 
   async getRevenue(params = {}) {
-    return this.makeRequest('GET', '/external/orders/revenue', params);
+    const queryParams = new URLSearchParams(params).toString();
+
+    return this.makeRequest('GET', `/external/orders/revenue?${queryParams}`);
   }
 
   // Webhook Management
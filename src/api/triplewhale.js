@@ -1,7 +1,21 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { retryRequest } = require('../utils/retry');
+const { retryRequest, RateLimiter, getRetryAfterMs } = require('../utils/retry');
+const { toDay } = require('../utils/date-range');
+const metricQuarantine = require('../queue/metric-quarantine');
+const metricIdempotency = require('../metrics/idempotency');
+
+/**
+ * Request-level idempotency key derived from the metric keys in the request
+ */
+function getBatchKey(metrics) {
+  return crypto
+    .createHash('sha256')
+    .update(metrics.map(metric => metric.idempotency_key).join(','))
+    .digest('hex');
+}
 
 class TripleWhaleAPI {
   constructor() {
@@ -12,6 +26,16 @@ class TripleWhaleAPI {
     this.accessToken = null;
     this.tokenExpiresAt = null;
     
+    // Outbound token bucket, shared by replicas with the Redis store
+    this.rateLimiter = new RateLimiter({
+      name: 'triple-whale',
+      enabled: config.outboundRateLimit.enabled,
+      store: config.outboundRateLimit.store,
+      redisKey: `${config.outboundRateLimit.redisKeyPrefix}triple-whale`,
+      maxPauseMs: config.retry.maxRetryAfterMs,
+      ...config.outboundRateLimit.tripleWhale
+    });
+
     // Create axios instance with default config
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -131,8 +155,19 @@ class TripleWhaleAPI {
         config.data = data;
       }
 
-      const response = await this.client(config);
-      return response.data;
+      await this.rateLimiter.checkLimit();
+
+      try {
+        const response = await this.client(config);
+        return response.data;
+      } catch (error) {
+        // Hold back every request to this API, not just the retry
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs) {
+          await this.rateLimiter.pause(retryAfterMs);
+        }
+        throw error;
+      }
     });
   }
 
@@ -149,13 +184,38 @@ class TripleWhaleAPI {
   }
 
   // Custom Metrics Management
-  async pushCustomMetrics(metricsData) {
+  // Invalid metrics are quarantined (with the source event, if given) and the rest are pushed.
+  // Metrics whose idempotency key was already acknowledged are skipped.
+  async pushCustomMetrics(metricsData, { source = null } = {}) {
+    const valid = await metricQuarantine.filter(metricsData, source);
+
+    if (valid.length === 0) {
+      logger.warn('No valid metrics left to push to Triple Whale');
+      return { metricsPushed: 0 };
+    }
+
+    return this.pushKeyedMetrics(metricIdempotency.assignKeys(valid, source));
+  }
+
+  // Push metrics that were already validated and keyed, as the metric buffer's are
+  async pushKeyedMetrics(keyedMetrics) {
+    const metrics = await metricIdempotency.filterAcknowledged(keyedMetrics);
+    if (metrics.length === 0) {
+      return { metricsPushed: 0, duplicatesSkipped: keyedMetrics.length };
+    }
+
     const formattedData = {
-      metrics: Array.isArray(metricsData) ? metricsData : [metricsData],
+      metrics,
       timestamp: new Date().toISOString()
     };
 
-    return this.makeRequest('POST', '/tw-metrics/metrics', formattedData);
+    // Same metrics, same key - lets Triple Whale drop a retry whose first attempt landed
+    const result = await this.makeRequest('POST', '/tw-metrics/metrics', formattedData, {
+      headers: { 'Idempotency-Key': getBatchKey(metrics) }
+    });
+
+    await metricIdempotency.acknowledge(metrics);
+    return result;
   }
 
   async getCustomMetrics(params = {}) {
@@ -313,17 +373,19 @@ class TripleWhaleAPI {
   }
 
   // Batch Operations
-  async pushBatchMetrics(batchData) {
+  async pushBatchMetrics(batchData, { keyed = false } = {}) {
     const batches = this.chunkArray(batchData, 100); // Process in chunks of 100
     const results = [];
 
-    for (const batch of batches) {
+    for (const [index, batch] of batches.entries()) {
       try {
-        const result = await this.pushCustomMetrics(batch);
+        const result = keyed ? await this.pushKeyedMetrics(batch) : await this.pushCustomMetrics(batch);
         results.push(result);
         logger.info(`Pushed batch of ${batch.length} metrics to Triple Whale`);
       } catch (error) {
         logger.error(`Failed to push batch metrics`, error);
+        // Earlier chunks were accepted - let the caller retry only what is left
+        error.unsentMetrics = batches.slice(index).flat();
         throw error;
       }
     }
@@ -409,16 +471,16 @@ class TripleWhaleAPI {
 
   transformOrderToMetrics(order) {
     const metrics = [];
-    const date = order.order_date ? order.order_date.split('T')[0] : new Date().toISOString().split('T')[0];
+    const date = toDay(order.order_date) || new Date().toISOString().split('T')[0];
 
     metrics.push({
       metric_name: 'shiprocket_order_value',
       value: parseFloat(order.total_amount || 0),
       date,
       dimensions: {
-        source: 'shiprocket',
+        // Tells synced order values apart from the webhook series of the same name
+        source: 'shiprocket_sync',
         order_id: order.order_id,
-        status: order.status,
         channel: order.channel_name
       }
     });
@@ -428,17 +490,17 @@ class TripleWhaleAPI {
 
   transformShipmentToMetrics(shipment) {
     const metrics = [];
-    const date = shipment.created_at ? shipment.created_at.split('T')[0] : new Date().toISOString().split('T')[0];
+    const date = toDay(shipment.created_at) || new Date().toISOString().split('T')[0];
 
     metrics.push({
-      metric_name: 'shiprocket_shipment_cost',
+      metric_name: 'shiprocket_shipping_cost',
       value: parseFloat(shipment.shipping_charges || 0),
       date,
       dimensions: {
-        source: 'shiprocket',
+        // Tells synced shipping costs apart from the webhook series of the same name
+        source: 'shiprocket_sync',
         shipment_id: shipment.shipment_id,
-        courier: shipment.courier_name,
-        status: shipment.status
+        courier: shipment.courier_name
       }
     });
 
@@ -1,11 +1,60 @@
 require('dotenv').config();
 
+/**
+ * Parse TRUST_PROXY into what Express expects (hop count, boolean or subnet list)
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return 1;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+/**
+ * Parse "metric=dim1|dim2,metric2=dim3" into { metric: ['dim1', 'dim2'], metric2: ['dim3'] }
+ */
+function parseDimensionAllowlist(value) {
+  return (value || '').split(',').reduce((allowlist, entry) => {
+    const [metric, dimensions] = entry.split('=').map(part => (part || '').trim());
+    if (metric) {
+      allowlist[metric] = (dimensions || '').split('|').map(dimension => dimension.trim()).filter(Boolean);
+    }
+    return allowlist;
+  }, {});
+}
+
+/**
+ * Cron expression running every `minutes` minutes (whole hours past 59)
+ */
+function intervalCron(minutes) {
+  return minutes < 60 ? `*/${minutes} * * * *` : `0 */${Math.max(Math.round(minutes / 60), 1)} * * *`;
+}
+
+/**
+ * Parse SCHEDULED_JOBS, a JSON list of { name, cron, timezone, syncType, lookbackDays, enabled }
+ */
+function parseScheduledJobs(value, defaults) {
+  if (!value) return defaults;
+
+  try {
+    const jobs = JSON.parse(value);
+    if (!Array.isArray(jobs)) throw new Error('expected a JSON array');
+    return jobs;
+  } catch (error) {
+    throw new Error(`Invalid SCHEDULED_JOBS: ${error.message}`);
+  }
+}
+
+const syncIntervalMinutes = parseInt(process.env.SYNC_INTERVAL_MINUTES) || 5;
+
 const config = {
   // Server Configuration
   server: {
     port: process.env.PORT || 3000,
     host: process.env.HOST || 'localhost',
     nodeEnv: process.env.NODE_ENV || 'development',
+    // Number of proxy hops to trust for req.ip (used by the webhook source allowlist)
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
 
   // Shiprocket API Configuration
@@ -14,6 +63,12 @@ const config = {
     apiKey: process.env.SHIPROCKET_API_KEY,
     apiSecret: process.env.SHIPROCKET_API_SECRET,
     webhookSecret: process.env.SHIPROCKET_WEBHOOK_SECRET,
+    // Every secret accepted for webhook signatures: current first, then the ones being rotated out
+    webhookSecrets: [
+      process.env.SHIPROCKET_WEBHOOK_SECRET,
+      process.env.SHIPROCKET_WEBHOOK_SECRET_PREVIOUS,
+      ...(process.env.SHIPROCKET_WEBHOOK_SECRETS || '').split(',')
+    ].map(secret => (secret || '').trim()).filter((secret, index, all) => secret && all.indexOf(secret) === index),
     timeout: parseInt(process.env.API_REQUEST_TIMEOUT) || 30000,
   },
 
@@ -30,12 +85,15 @@ const config = {
   database: {
     url: process.env.DATABASE_URL,
     mongoUrl: process.env.MONGODB_URL,
+    poolMax: parseInt(process.env.DATABASE_POOL_MAX) || 10,
+    connectionTimeoutMs: parseInt(process.env.DATABASE_CONNECTION_TIMEOUT_MS) || 5000,
   },
 
   // Redis Configuration
   redis: {
     url: process.env.REDIS_URL || 'redis://localhost:6379',
     password: process.env.REDIS_PASSWORD,
+    connectTimeoutMs: parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS) || 5000,
   },
 
   // Logging Configuration
@@ -58,12 +116,131 @@ const config = {
     maxAttempts: parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3,
     delayMs: parseInt(process.env.RETRY_DELAY_MS) || 1000,
     backoffFactor: parseFloat(process.env.RETRY_BACKOFF_FACTOR) || 2,
+    // A Retry-After longer than this fails the request instead of waiting
+    maxRetryAfterMs: parseInt(process.env.MAX_RETRY_AFTER_MS) || 60000,
+  },
+
+  // Outbound API Rate Limiting Configuration
+  outboundRateLimit: {
+    enabled: process.env.OUTBOUND_RATE_LIMIT_ENABLED !== 'false',
+    // 'memory' (per process) or 'redis' (one budget shared by all replicas)
+    store: process.env.OUTBOUND_RATE_LIMIT_STORE || 'memory',
+    redisKeyPrefix: process.env.OUTBOUND_RATE_LIMIT_KEY_PREFIX || 'ratelimit:',
+    shiprocket: {
+      ratePerSecond: parseFloat(process.env.SHIPROCKET_RATE_LIMIT_PER_SECOND) || 2,
+      burst: parseInt(process.env.SHIPROCKET_RATE_LIMIT_BURST) || 10,
+    },
+    tripleWhale: {
+      ratePerSecond: parseFloat(process.env.TRIPLE_WHALE_RATE_LIMIT_PER_SECOND) || 5,
+      burst: parseInt(process.env.TRIPLE_WHALE_RATE_LIMIT_BURST) || 10,
+    },
   },
 
   // Webhook Configuration
   webhook: {
     timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
     verifySignature: process.env.WEBHOOK_VERIFY_SIGNATURE === 'true',
+    requireSignature: process.env.WEBHOOK_REQUIRE_SIGNATURE === 'true', // Strict mode: reject unsigned webhooks
+    timestampToleranceSeconds: parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS) || 300,
+    requireTimestamp: process.env.WEBHOOK_REQUIRE_TIMESTAMP === 'true',
+    nonceKeyPrefix: process.env.WEBHOOK_NONCE_KEY_PREFIX || 'shiprocket:webhook:nonce:',
+    // Optional source allowlist, e.g. "13.235.0.0/16,3.7.12.34"
+    allowedSourceIps: (process.env.WEBHOOK_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean),
+    // Registration with Shiprocket (npm run webhooks:register, or on startup)
+    publicUrl: process.env.WEBHOOK_PUBLIC_URL,
+    autoRegister: process.env.WEBHOOK_AUTO_REGISTER === 'true',
+    registeredEvents: (process.env.WEBHOOK_EVENTS || 'order_created,order_shipped,order_delivered,order_cancelled,order_returned,shipment_pickup,in_transit,out_for_delivery,failed_delivery')
+      .split(',').map(event => event.trim()).filter(Boolean),
+  },
+
+  // Webhook Deduplication Configuration
+  dedup: {
+    enabled: process.env.WEBHOOK_DEDUP_ENABLED !== 'false',
+    ttlSeconds: parseInt(process.env.WEBHOOK_DEDUP_TTL_SECONDS) || 259200, // 3 days
+    keyPrefix: process.env.WEBHOOK_DEDUP_KEY_PREFIX || 'shiprocket:webhook:dedup:',
+  },
+
+  // Order Enrichment Configuration
+  enrichment: {
+    enabled: process.env.ENRICHMENT_ENABLED !== 'false',
+    // Fields fetched from the Shiprocket order API when a webhook doesn't carry them
+    fields: (process.env.ENRICHMENT_FIELDS || 'total_amount,payment_method,products,channel_name,courier_name,shipping_charges,cod_charges')
+      .split(',').map(field => field.trim()).filter(Boolean),
+    cacheTtlSeconds: parseInt(process.env.ENRICHMENT_CACHE_TTL_SECONDS) || 3600,
+    cacheKeyPrefix: process.env.ENRICHMENT_CACHE_KEY_PREFIX || 'shiprocket:order:',
+  },
+
+  // Webhook Inbox Configuration
+  inbox: {
+    pollIntervalMs: parseInt(process.env.INBOX_POLL_INTERVAL_MS) || 1000,
+    batchSize: parseInt(process.env.INBOX_BATCH_SIZE) || 10,
+    maxAttempts: parseInt(process.env.INBOX_MAX_ATTEMPTS) || 5,
+    retryDelayMs: parseInt(process.env.INBOX_RETRY_DELAY_MS) || 30000,
+    staleAfterMs: parseInt(process.env.INBOX_STALE_AFTER_MS) || 300000, // 5 minutes
+  },
+
+  // Metric Buffer Configuration
+  metricBuffer: {
+    enabled: process.env.METRIC_BUFFER_ENABLED !== 'false',
+    store: process.env.METRIC_BUFFER_STORE || 'memory', // 'memory' or 'redis'
+    flushSize: parseInt(process.env.METRIC_BUFFER_FLUSH_SIZE) || 500,
+    flushIntervalMs: parseInt(process.env.METRIC_BUFFER_FLUSH_INTERVAL_MS) || 5000,
+    // Oldest metrics are dead-lettered past this depth while Triple Whale is unreachable
+    maxDepth: parseInt(process.env.METRIC_BUFFER_MAX_DEPTH) || 50000,
+    redisKey: process.env.METRIC_BUFFER_REDIS_KEY || 'triplewhale:metrics:buffer',
+  },
+
+  // Metric Idempotency Configuration
+  idempotency: {
+    enabled: process.env.METRIC_IDEMPOTENCY_ENABLED !== 'false',
+    // Acknowledged keys are kept this long; replays older than this are pushed again
+    retentionDays: parseInt(process.env.METRIC_ACK_RETENTION_DAYS) || 45,
+    pruneIntervalMs: parseInt(process.env.METRIC_ACK_PRUNE_INTERVAL_MS) || 3600000,
+  },
+
+  // Daily Rollup Configuration
+  rollup: {
+    enabled: process.env.METRIC_ROLLUP_ENABLED === 'true',
+    // Dimensions kept on rolled-up metrics unless the metric has its own allowlist entry
+    dimensions: (process.env.METRIC_ROLLUP_DIMENSIONS || 'source,courier,channel,payment_type,outcome')
+      .split(',').map(dimension => dimension.trim()).filter(Boolean),
+    // Per-metric overrides, e.g. "shiprocket_shipping_cost=courier,shiprocket_orders_created=channel|payment_type"
+    dimensionAllowlist: parseDimensionAllowlist(process.env.METRIC_DIMENSION_ALLOWLIST),
+    flushIntervalMs: parseInt(process.env.METRIC_ROLLUP_FLUSH_INTERVAL_MS) || 60000,
+  },
+
+  // Order Contribution Ledger Configuration
+  ledger: {
+    enabled: process.env.ORDER_LEDGER_ENABLED !== 'false',
+    // COD fee estimate for orders whose payload doesn't carry cod_charges
+    codFeePercent: parseFloat(process.env.COD_FEE_PERCENT) || 0,
+    codFeeMin: parseFloat(process.env.COD_FEE_MIN) || 0,
+  },
+
+  // Triple Whale Reconciliation Configuration
+  reconciliation: {
+    enabled: process.env.RECONCILIATION_ENABLED === 'true',
+    cron: process.env.RECONCILIATION_CRON || '30 1 * * *', // 1:30 AM daily
+    timezone: process.env.RECONCILIATION_TIMEZONE || 'Asia/Kolkata',
+    lookbackDays: parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS) || 7,
+    autoCorrect: process.env.RECONCILIATION_AUTO_CORRECT === 'true',
+    // Differences at or below this are treated as rounding, not drift
+    tolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE) || 0.01,
+  },
+
+  // Attribution Outcome Job Configuration
+  attribution: {
+    enabled: process.env.ATTRIBUTION_JOB_ENABLED === 'true',
+    cron: process.env.ATTRIBUTION_JOB_CRON || '0 3 * * *', // 3:00 AM daily
+    timezone: process.env.ATTRIBUTION_JOB_TIMEZONE || 'Asia/Kolkata',
+    // Orders take a while to reach delivered/RTO, so recompute a trailing window
+    lookbackDays: parseInt(process.env.ATTRIBUTION_LOOKBACK_DAYS) || 30,
+    model: process.env.ATTRIBUTION_MODEL || 'lastClick',
+    // Any of channel, campaign, ad
+    groupBy: (process.env.ATTRIBUTION_GROUP_BY || 'channel,campaign')
+      .split(',').map(dimension => dimension.trim()).filter(Boolean),
+    // Attributed orders requested from Triple Whale per page
+    limit: parseInt(process.env.ATTRIBUTION_ORDER_LIMIT) || 1000,
   },
 
   // Monitoring Configuration
@@ -76,10 +253,35 @@ const config = {
   // Sync Configuration
   sync: {
     batchSize: parseInt(process.env.SYNC_BATCH_SIZE) || 50,
-    intervalMinutes: parseInt(process.env.SYNC_INTERVAL_MINUTES) || 5,
+    // Pages fetched at once once the total page count is known
+    pageConcurrency: parseInt(process.env.SYNC_PAGE_CONCURRENCY) || 3,
+    maxPages: parseInt(process.env.SYNC_MAX_PAGES) || 1000,
+    // Incremental sync: days covered by the first run, and how far back a stale cursor is caught up
+    initialLookbackDays: parseInt(process.env.SYNC_INITIAL_LOOKBACK_DAYS) || 1,
+    catchUpChunkDays: parseInt(process.env.SYNC_CATCH_UP_CHUNK_DAYS) || 7,
+    maxCatchUpDays: parseInt(process.env.SYNC_MAX_CATCH_UP_DAYS) || 90,
+    // Daily return totals keep changing as returns come in, so incremental runs redo this many days
+    returnsLookbackDays: parseInt(process.env.SYNC_RETURNS_LOOKBACK_DAYS) || 7,
+    // Daily logistics summary: 'auto' (analytics, filled in from stored events), 'analytics' or 'events'
+    summarySource: process.env.SYNC_SUMMARY_SOURCE || 'auto',
+    summaryLookbackDays: parseInt(process.env.SYNC_SUMMARY_LOOKBACK_DAYS) || 2,
+    intervalMinutes: syncIntervalMinutes,
     enableRealTimeSync: process.env.ENABLE_REAL_TIME_SYNC === 'true',
   },
 
+  // Scheduler Configuration
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    // Default for jobs that don't set their own
+    timezone: process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata',
+    // Without lookbackDays a job syncs incrementally from the stored cursors
+    jobs: parseScheduledJobs(process.env.SCHEDULED_JOBS, [
+      { name: 'daily-sync', cron: '5 0 * * *', syncType: 'all' },
+      { name: 'interval-orders', cron: intervalCron(syncIntervalMinutes), syncType: 'orders' },
+      { name: 'interval-shipments', cron: intervalCron(syncIntervalMinutes), syncType: 'shipments' }
+    ]),
+  },
+
   // Google Sheets Configuration
   googleSheets: {
     credentialsPath: process.env.GOOGLE_SHEETS_CREDENTIALS_PATH,
@@ -91,16 +293,19 @@ const config = {
   security: {
     jwtSecret: process.env.JWT_SECRET,
     encryptionKey: process.env.ENCRYPTION_KEY,
+    adminApiKey: process.env.ADMIN_API_KEY,
   },
 };
 
-// Validation function to check required configuration
-const validateConfig = () => {
-  const required = [
-    'shiprocket.apiKey',
-    'tripleWhale.apiKey',
-  ];
+// Settings the server can't run without; scripts check only what they use
+const REQUIRED = [
+  'shiprocket.apiKey',
+  'tripleWhale.apiKey',
+  'database.url',
+];
 
+// Validation function to check required configuration
+const validateConfig = (required = REQUIRED) => {
   const missing = required.filter(key => {
     const value = key.split('.').reduce((obj, k) => obj && obj[k], config);
     return !value;
@@ -111,9 +316,5 @@ const validateConfig = () => {
   }
 };
 
-// Validate configuration on startup
-if (config.server.nodeEnv === 'production') {
-  validateConfig();
-}
-
-module.exports = config; 
\ No newline at end of file
+module.exports = config;
+module.exports.validateConfig = validateConfig;
@@ -0,0 +1,71 @@
+const { Pool } = require('pg');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+let pool = null;
+
+/**
+ * Get the shared PostgreSQL connection pool (created on first use)
+ */
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: config.database.url,
+      max: config.database.poolMax,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: config.database.connectionTimeoutMs
+    });
+
+    // Idle clients can error out when the server restarts - don't crash on it
+    pool.on('error', (error) => {
+      logger.error('Unexpected PostgreSQL pool error', error);
+    });
+  }
+
+  return pool;
+}
+
+/**
+ * Run a single parameterized query
+ */
+async function query(text, params = []) {
+  return getPool().query(text, params);
+}
+
+/**
+ * Run a function inside a transaction, committing on success and rolling back on error
+ */
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close the pool during shutdown
+ */
+async function close() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+    logger.info('PostgreSQL pool closed');
+  }
+}
+
+module.exports = {
+  getPool,
+  query,
+  withTransaction,
+  close
+};
@@ -0,0 +1,71 @@
+const { createClient } = require('redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+let client = null;
+let connecting = null;
+
+/**
+ * Get the shared Redis client, connecting on first use
+ */
+async function getClient() {
+  if (client) {
+    return client;
+  }
+
+  if (!connecting) {
+    const instance = createClient({
+      url: config.redis.url,
+      password: config.redis.password,
+      // Fail commands immediately while reconnecting instead of queueing them
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: config.redis.connectTimeoutMs,
+        reconnectStrategy: (retries, cause) => {
+          // Give up on the initial connect so callers can fall back; keep reconnecting once established
+          if (client !== instance) {
+            return cause || new Error('Redis connection failed');
+          }
+          return Math.min(retries * 500, 5000);
+        }
+      }
+    });
+
+    instance.on('error', (error) => {
+      logger.error('Redis client error', error);
+    });
+
+    connecting = instance.connect()
+      .then(() => {
+        client = instance;
+        logger.info('Redis connection established');
+        return client;
+      })
+      .catch(async (error) => {
+        await instance.disconnect().catch(() => {});
+        throw error;
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+
+  return connecting;
+}
+
+/**
+ * Close the connection during shutdown
+ */
+async function close() {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit();
+    logger.info('Redis connection closed');
+  }
+}
+
+module.exports = {
+  getClient,
+  close
+};
@@ -0,0 +1,286 @@
+const db = require('./postgres');
+const logger = require('../utils/logger');
+
+/**
+ * Schema statements, applied in order. Every statement must be idempotent
+ * because they run on each startup as well as from `npm run db:migrate`.
+ */
+const migrations = [
+  {
+    name: 'webhook_inbox',
+    sql: `
+      CREATE TABLE IF NOT EXISTS webhook_inbox (
+        id BIGSERIAL PRIMARY KEY,
+        source VARCHAR(32) NOT NULL DEFAULT 'shiprocket',
+        event_type VARCHAR(100) NOT NULL,
+        order_id VARCHAR(100),
+        shipment_id VARCHAR(100),
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        result JSONB,
+        received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMPTZ,
+        processed_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_inbox_status
+        ON webhook_inbox (status, next_attempt_at);
+    `
+  },
+  {
+    name: 'dead_letters',
+    sql: `
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        id BIGSERIAL PRIMARY KEY,
+        inbox_id BIGINT,
+        source VARCHAR(32) NOT NULL DEFAULT 'shiprocket',
+        event_type VARCHAR(100),
+        order_id VARCHAR(100),
+        shipment_id VARCHAR(100),
+        payload JSONB NOT NULL,
+        metrics JSONB,
+        error TEXT NOT NULL,
+        error_details JSONB,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        replayed_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_status
+        ON dead_letters (status, created_at);
+    `
+  },
+  {
+    name: 'shipment_lifecycles',
+    sql: `
+      CREATE TABLE IF NOT EXISTS shipment_lifecycles (
+        order_id VARCHAR(100) NOT NULL,
+        shipment_id VARCHAR(100) NOT NULL DEFAULT '',
+        state VARCHAR(32),
+        state_timestamps JSONB NOT NULL DEFAULT '{}',
+        transitions JSONB NOT NULL DEFAULT '[]',
+        anomalies INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (order_id, shipment_id)
+      );
+    `
+  },
+  {
+    name: 'unmapped_statuses',
+    sql: `
+      CREATE TABLE IF NOT EXISTS unmapped_statuses (
+        status_code VARCHAR(32) NOT NULL,
+        status_label VARCHAR(255) NOT NULL DEFAULT '',
+        occurrences INTEGER NOT NULL DEFAULT 1,
+        sample_payload JSONB,
+        first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (status_code, status_label)
+      );
+    `
+  },
+  {
+    name: 'webhook_inbox_ordering',
+    sql: `
+      ALTER TABLE webhook_inbox ADD COLUMN IF NOT EXISTS status_rank SMALLINT NOT NULL DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_webhook_inbox_order
+        ON webhook_inbox (order_id, status);
+    `
+  },
+  {
+    name: 'metric_quarantine',
+    sql: `
+      CREATE TABLE IF NOT EXISTS metric_quarantine (
+        id BIGSERIAL PRIMARY KEY,
+        metric_name TEXT,
+        metric JSONB NOT NULL,
+        errors JSONB NOT NULL,
+        source JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_metric_quarantine_name
+        ON metric_quarantine (metric_name, created_at);
+    `
+  },
+  {
+    name: 'metric_rollups',
+    sql: `
+      CREATE TABLE IF NOT EXISTS metric_rollups (
+        metric_name TEXT NOT NULL,
+        date DATE NOT NULL,
+        dimensions_key TEXT NOT NULL,
+        dimensions JSONB NOT NULL DEFAULT '{}',
+        aggregation TEXT NOT NULL DEFAULT 'sum',
+        total DOUBLE PRECISION NOT NULL DEFAULT 0,
+        count INTEGER NOT NULL DEFAULT 0,
+        version INTEGER NOT NULL DEFAULT 0,
+        pushed_version INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        pushed_at TIMESTAMPTZ,
+        PRIMARY KEY (metric_name, date, dimensions_key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_metric_rollups_unpushed
+        ON metric_rollups (updated_at) WHERE version > pushed_version;
+    `
+  },
+  {
+    name: 'reconciliation',
+    sql: `
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id BIGSERIAL PRIMARY KEY,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        trigger TEXT NOT NULL,
+        auto_correct BOOLEAN NOT NULL DEFAULT FALSE,
+        status TEXT NOT NULL DEFAULT 'running',
+        summary JSONB,
+        differences JSONB,
+        corrections JSONB,
+        error TEXT,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+      );
+      CREATE TABLE IF NOT EXISTS reconciliation_adjustments (
+        metric_name TEXT NOT NULL,
+        date DATE NOT NULL,
+        value DOUBLE PRECISION NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (metric_name, date)
+      );
+    `
+  },
+  {
+    name: 'order_ledgers',
+    sql: `
+      CREATE TABLE IF NOT EXISTS order_ledgers (
+        order_id VARCHAR(100) PRIMARY KEY,
+        order_value DOUBLE PRECISION,
+        payment_type VARCHAR(16),
+        channel VARCHAR(100),
+        courier VARCHAR(100),
+        charges JSONB NOT NULL DEFAULT '{}',
+        outcome VARCHAR(16),
+        settlement JSONB,
+        settlement_date DATE,
+        settled_at TIMESTAMPTZ,
+        emitted_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_order_ledgers_settlement
+        ON order_ledgers (settlement_date, outcome);
+    `
+  },
+  {
+    name: 'metric_acknowledgements',
+    sql: `
+      CREATE TABLE IF NOT EXISTS metric_acknowledgements (
+        idempotency_key TEXT PRIMARY KEY,
+        metric_name TEXT NOT NULL,
+        date DATE,
+        acknowledged_by TEXT NOT NULL,
+        acknowledged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_metric_acknowledgements_at
+        ON metric_acknowledgements (acknowledged_at);
+    `
+  },
+  {
+    name: 'sync_cursors',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sync_cursors (
+        sync_type TEXT PRIMARY KEY,
+        synced_through DATE,
+        high_water_mark TIMESTAMPTZ,
+        last_record_id TEXT,
+        last_result JSONB,
+        last_run_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `
+  },
+  {
+    name: 'sync_jobs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id BIGSERIAL PRIMARY KEY,
+        sync_type TEXT NOT NULL,
+        start_date DATE,
+        end_date DATE,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        progress JSONB NOT NULL DEFAULT '{}',
+        result JSONB,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs (status, created_at);
+    `
+  },
+  {
+    name: 'scheduled_job_runs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+        id BIGSERIAL PRIMARY KEY,
+        job_name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        result JSONB,
+        error TEXT,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job ON scheduled_job_runs (job_name, started_at);
+    `
+  },
+  {
+    name: 'dead_letters_metric_source',
+    sql: `
+      ALTER TABLE dead_letters ADD COLUMN IF NOT EXISTS metric_source JSONB;
+    `
+  },
+  {
+    name: 'sync_jobs_heartbeat',
+    sql: `
+      ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+    `
+  },
+  {
+    name: 'scheduled_job_runs_heartbeat',
+    sql: `
+      ALTER TABLE scheduled_job_runs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+    `
+  },
+  {
+    name: 'webhook_inbox_lease',
+    sql: `
+      ALTER TABLE webhook_inbox ADD COLUMN IF NOT EXISTS locked_by TEXT;
+    `
+  }
+];
+
+/**
+ * Apply all schema statements
+ */
+async function runMigrations() {
+  for (const migration of migrations) {
+    await db.query(migration.sql);
+    logger.debug('Schema migration applied', { migration: migration.name });
+  }
+
+  logger.info('Database schema is up to date', { migrations: migrations.length });
+  return migrations.map(migration => migration.name);
+}
+
+module.exports = {
+  migrations,
+  runMigrations
+};
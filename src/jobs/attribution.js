@@ -0,0 +1,255 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const shiprocketAPI = require('../api/shiprocket');
+const tripleWhaleAPI = require('../api/triplewhale');
+const metricBuffer = require('../queue/metric-buffer');
+const metricIdempotency = require('../metrics/idempotency');
+const { fetchAllPages } = require('../utils/pagination');
+const { getTrailingRange, toDay } = require('../utils/date-range');
+
+const UNATTRIBUTED = 'unattributed';
+
+/**
+ * Normalize order references so "#1001", "1001" and 1001 match
+ */
+function orderKey(value) {
+  return value === undefined || value === null ? null : String(value).trim().replace(/^#/, '');
+}
+
+/**
+ * Pull the order list out of a getAttributionData response
+ */
+function extractAttributedOrders(response) {
+  const list = response?.ordersWithJourneys || response?.data?.ordersWithJourneys ||
+    response?.data?.orders || response?.orders || response?.data;
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * The touchpoint credited by the configured attribution model
+ */
+function getTouchpoint(attributedOrder, model = config.attribution.model) {
+  const touchpoints = attributedOrder.attribution?.[model];
+  const touchpoint = Array.isArray(touchpoints) ? touchpoints[0] : touchpoints;
+
+  return {
+    channel: touchpoint?.source || UNATTRIBUTED,
+    campaign: touchpoint?.campaignName || touchpoint?.campaignId || UNATTRIBUTED,
+    ad: touchpoint?.adName || touchpoint?.adId || UNATTRIBUTED
+  };
+}
+
+/**
+ * Final outcome of a Shiprocket order from its status text
+ */
+function classifyOutcome(order) {
+  const status = String(order.status || order.current_status || '').toLowerCase();
+
+  if (status.includes('rto')) return 'rto';
+  if (status.includes('cancel')) return 'cancelled';
+  if (status.includes('delivered') && !status.includes('undelivered')) return 'delivered';
+  return 'pending';
+}
+
+function isCOD(order) {
+  const method = String(order.payment_method || '').toLowerCase();
+  return method.includes('cod') || method.includes('cash');
+}
+
+function amount(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+/**
+ * Join Shiprocket orders to their attributed touchpoint and total the
+ * outcomes per order day and attribution group
+ */
+function aggregateOutcomes(orders, attributedOrders, groupBy = config.attribution.groupBy) {
+  const touchpoints = new Map();
+  for (const attributedOrder of attributedOrders) {
+    const touchpoint = getTouchpoint(attributedOrder);
+    for (const key of [attributedOrder.order_id, attributedOrder.order_name, attributedOrder.name]) {
+      if (orderKey(key)) touchpoints.set(orderKey(key), touchpoint);
+    }
+  }
+
+  const groups = new Map();
+  let matched = 0;
+
+  for (const order of orders) {
+    const date = toDay(order.order_date || order.created_at);
+    if (!date) continue;
+
+    const touchpoint = touchpoints.get(orderKey(order.channel_order_id)) ||
+      touchpoints.get(orderKey(order.order_id)) ||
+      { channel: UNATTRIBUTED, campaign: UNATTRIBUTED, ad: UNATTRIBUTED };
+    if (touchpoint.channel !== UNATTRIBUTED) matched++;
+
+    const dimensions = Object.fromEntries(groupBy.map(name => [name, touchpoint[name] || UNATTRIBUTED]));
+    const key = JSON.stringify([date, ...groupBy.map(name => dimensions[name])]);
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        date,
+        dimensions,
+        orders: 0,
+        codOrders: 0,
+        delivered: 0,
+        rto: 0,
+        codRto: 0,
+        cancelled: 0,
+        deliveredRevenue: 0,
+        shippingCost: 0,
+        returnCost: 0
+      });
+    }
+
+    const group = groups.get(key);
+    const outcome = classifyOutcome(order);
+    const cod = isCOD(order);
+
+    group.orders++;
+    if (cod) group.codOrders++;
+    if (outcome === 'delivered') {
+      group.delivered++;
+      group.deliveredRevenue += amount(order.total_amount ?? order.total);
+    }
+    if (outcome === 'rto') {
+      group.rto++;
+      if (cod) group.codRto++;
+    }
+    if (outcome === 'cancelled') group.cancelled++;
+
+    const charges = order.awb_data?.charges || {};
+    group.shippingCost += amount(order.shipping_charges ?? charges.freight_charges);
+    group.returnCost += amount(order.return_charges ?? charges.rto_charges);
+  }
+
+  return { groups: [...groups.values()], matched };
+}
+
+/**
+ * Triple Whale metrics for each attribution group and day
+ */
+function buildAttributionMetrics(groups) {
+  return groups.flatMap((group) => {
+    const dimensions = { source: 'shiprocket', ...group.dimensions };
+    // RTO rate is measured against orders that reached a final outcome
+    const settled = group.delivered + group.rto;
+    const metric = (name, value) => ({ metric_name: name, value, date: group.date, dimensions });
+
+    return [
+      metric('shiprocket_attributed_orders', group.orders),
+      metric('shiprocket_attributed_rto_orders', group.rto),
+      metric('shiprocket_attributed_rto_rate', percentage(group.rto, settled)),
+      metric('shiprocket_attributed_cod_rto_rate', percentage(group.codRto, group.codOrders)),
+      metric(
+        'shiprocket_attributed_net_delivered_revenue',
+        Math.round((group.deliveredRevenue - group.shippingCost - group.returnCost) * 100) / 100
+      )
+    ];
+  });
+}
+
+/**
+ * Joins Shiprocket order outcomes (delivered/RTO/cancelled, shipping and return
+ * cost) to the Triple Whale attributed source, campaign and ad, and pushes RTO
+ * rate and net delivered revenue per attribution group back to Triple Whale.
+ * Each run pushes the full totals for every day in the window.
+ */
+class AttributionJob {
+  constructor() {
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  async run({ startDate, endDate, trigger = 'manual' } = {}) {
+    if (this.running) {
+      const error = new Error('An attribution run is already in progress');
+      error.code = 'ALREADY_RUNNING';
+      throw error;
+    }
+
+    const range = startDate && endDate ? { startDate, endDate } : getTrailingRange(config.attribution.lookbackDays, config.attribution.timezone);
+    const startedAt = Date.now();
+    this.running = true;
+
+    try {
+      const perPage = config.sync.batchSize;
+      const [orders, attribution] = await Promise.all([
+        fetchAllPages(
+          page => shiprocketAPI.getOrders({ start_date: range.startDate, end_date: range.endDate, per_page: perPage, page }),
+          { perPage }
+        ),
+        // Attributed orders come `limit` to a page, so a busy window isn't cut off at the first page
+        fetchAllPages(
+          async page => ({
+            data: extractAttributedOrders(await tripleWhaleAPI.getAttributionData({
+              start_date: range.startDate,
+              end_date: range.endDate,
+              limit: config.attribution.limit,
+              page
+            }))
+          }),
+          { perPage: config.attribution.limit }
+        )
+      ]);
+
+      const attributedOrders = attribution.records;
+      const { groups, matched } = aggregateOutcomes(orders.records, attributedOrders);
+      const metrics = buildAttributionMetrics(groups);
+
+      // Keyed on the window and the total, so re-running a window only pushes the totals that changed
+      const keyed = metrics.map(metric => ({
+        ...metric,
+        idempotency_key: metricIdempotency.getMetricKey(
+          metric,
+          `attribution:${range.startDate}:${range.endDate}:${metric.value}`
+        )
+      }));
+      await metricBuffer.add(keyed, { type: 'attribution', ...range });
+
+      const summary = {
+        ...range,
+        trigger,
+        model: config.attribution.model,
+        groupBy: config.attribution.groupBy,
+        orders: orders.records.length,
+        attributedOrders: attributedOrders.length,
+        matched,
+        groups: groups.length,
+        metricsQueued: metrics.length,
+        duration: Date.now() - startedAt
+      };
+
+      this.lastRun = { status: 'completed', finishedAt: new Date().toISOString(), summary };
+      logger.info('Attribution outcome job completed', summary);
+
+      return summary;
+    } catch (error) {
+      this.lastRun = { status: 'failed', finishedAt: new Date().toISOString(), error: error.message };
+      logger.error('Attribution outcome job failed', error, range);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: config.attribution.enabled,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new AttributionJob();
+module.exports.aggregateOutcomes = aggregateOutcomes;
+module.exports.buildAttributionMetrics = buildAttributionMetrics;
+module.exports.classifyOutcome = classifyOutcome;
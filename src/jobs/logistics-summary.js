@@ -0,0 +1,181 @@
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const { toZonedDay } = require('../utils/date-range');
+const shiprocketAPI = require('../api/shiprocket');
+const { STATES } = require('../state/shipment-lifecycle');
+
+// Summary inputs the shipping and delivery transforms read, with the names
+// Shiprocket analytics and revenue responses may carry them under
+const SUMMARY_FIELDS = {
+  orders_created: ['orders_created', 'total_orders', 'order_count'],
+  total_shipping_cost: ['total_shipping_cost', 'shipping_cost', 'freight_charges', 'shipping_charges'],
+  average_shipping_time: ['average_shipping_time', 'avg_shipping_time', 'average_delivery_time'],
+  successful_deliveries: ['successful_deliveries', 'delivered_orders', 'delivered'],
+  failed_deliveries: ['failed_deliveries', 'undelivered_orders', 'undelivered'],
+  success_rate: ['success_rate', 'delivery_success_rate']
+};
+
+const SOURCES = ['auto', 'analytics', 'events'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? round((part / whole) * 100) : 0;
+}
+
+/**
+ * Summary inputs found in a Shiprocket analytics or revenue response
+ */
+function extractSummary(response) {
+  const body = response?.data && !Array.isArray(response.data) ? response.data : response;
+  const summary = {};
+
+  for (const [field, names] of Object.entries(SUMMARY_FIELDS)) {
+    for (const name of names) {
+      const value = parseFloat(body?.[name]);
+      if (Number.isFinite(value)) {
+        summary[field] = value;
+        break;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Summary inputs per day from the stored shipment lifecycles, with shipping
+ * cost from the order ledgers. Orders count on their created day, shipping
+ * cost on the shipped day, deliveries and failed attempts on the day they
+ * happened. Shipping time is shipped (or picked up) to delivered, in hours.
+ * Days are read in the scheduler's timezone, like the ranges the syncs cover.
+ */
+async function getStoredSummaries(startDate, endDate, timezone = config.scheduler.timezone) {
+  // A state reached inside the range was recorded on or after its start
+  const { rows } = await db.query(
+    `SELECT s.order_id, s.state_timestamps,
+            (l.charges -> 'shipping' ->> s.shipment_id)::DOUBLE PRECISION AS shipping_charge
+     FROM shipment_lifecycles s
+     LEFT JOIN order_ledgers l ON l.order_id = s.order_id
+     WHERE s.updated_at >= $1::DATE::TIMESTAMP AT TIME ZONE $2`,
+    [startDate, timezone || 'UTC']
+  );
+
+  const days = new Map();
+  const totalsFor = (at) => {
+    const date = at ? toZonedDay(new Date(at), timezone) : null;
+    if (!date || date < startDate || date > endDate) return null;
+
+    if (!days.has(date)) {
+      days.set(date, { orders: new Set(), shippingCost: 0, delivered: 0, failed: 0, shippingHours: [] });
+    }
+    return days.get(date);
+  };
+
+  for (const row of rows) {
+    const at = row.state_timestamps || {};
+    const shippedAt = at[STATES.SHIPPED] || at[STATES.PICKED_UP];
+
+    totalsFor(at[STATES.CREATED])?.orders.add(row.order_id);
+
+    const shippedDay = totalsFor(shippedAt);
+    if (shippedDay && row.shipping_charge) shippedDay.shippingCost += row.shipping_charge;
+
+    const failedDay = totalsFor(at[STATES.DELIVERY_FAILED]);
+    if (failedDay) failedDay.failed++;
+
+    const deliveredDay = totalsFor(at[STATES.DELIVERED]);
+    if (deliveredDay) {
+      deliveredDay.delivered++;
+      if (shippedAt) {
+        deliveredDay.shippingHours.push((new Date(at[STATES.DELIVERED]) - new Date(shippedAt)) / (1000 * 60 * 60));
+      }
+    }
+  }
+
+  return new Map([...days].map(([date, totals]) => [date, {
+    orders_created: totals.orders.size,
+    total_shipping_cost: round(totals.shippingCost),
+    average_shipping_time: totals.shippingHours.length > 0
+      ? round(totals.shippingHours.reduce((sum, hours) => sum + hours, 0) / totals.shippingHours.length)
+      : 0,
+    successful_deliveries: totals.delivered,
+    failed_deliveries: totals.failed
+  }]));
+}
+
+/**
+ * Summary inputs for one day from Shiprocket analytics and revenue. A failed
+ * call leaves its fields to the stored events.
+ */
+async function getAnalyticsSummary(date) {
+  const params = { start_date: date, end_date: date };
+  const [analytics, revenue] = await Promise.allSettled([
+    shiprocketAPI.getAnalytics(params),
+    shiprocketAPI.getRevenue(params)
+  ]);
+
+  for (const [name, outcome] of [['analytics', analytics], ['revenue', revenue]]) {
+    if (outcome.status === 'rejected') {
+      logger.warn('Shiprocket summary request failed', { date, request: name, error: outcome.reason.message });
+    }
+  }
+
+  return {
+    ...(revenue.status === 'fulfilled' ? extractSummary(revenue.value) : {}),
+    ...(analytics.status === 'fulfilled' ? extractSummary(analytics.value) : {})
+  };
+}
+
+/**
+ * Daily shipping and delivery summary inputs for every day in the range that
+ * has data. With source 'auto', Shiprocket analytics win field by field and
+ * the stored events fill in whatever analytics don't report.
+ */
+async function buildDailySummaries(days, { source = config.sync.summarySource, signal } = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Summary source must be one of: ${SOURCES.join(', ')}`);
+  }
+
+  let stored = new Map();
+  if (source !== 'analytics') {
+    try {
+      stored = await getStoredSummaries(days[0], days[days.length - 1]);
+    } catch (error) {
+      if (source === 'events') throw error;
+      logger.warn('Stored events unavailable, summarizing from Shiprocket analytics only', { error: error.message });
+    }
+  }
+
+  const summaries = [];
+  for (const date of days) {
+    signal?.throwIfAborted();
+
+    const analytics = source === 'events' ? {} : await getAnalyticsSummary(date);
+    const summary = { ...stored.get(date), ...analytics };
+    if (Object.keys(summary).length === 0) continue;
+
+    // Derived from whichever delivery counts won, when both are known
+    if (summary.success_rate === undefined &&
+      summary.successful_deliveries !== undefined && summary.failed_deliveries !== undefined) {
+      summary.success_rate = percentage(
+        summary.successful_deliveries,
+        summary.successful_deliveries + summary.failed_deliveries
+      );
+    }
+
+    summaries.push({ date, ...summary });
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  SOURCES,
+  buildDailySummaries,
+  extractSummary,
+  getStoredSummaries
+};
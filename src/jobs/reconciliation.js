@@ -0,0 +1,283 @@
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const shiprocketAPI = require('../api/shiprocket');
+const tripleWhaleAPI = require('../api/triplewhale');
+const { fetchAllPages } = require('../utils/pagination');
+const { getTrailingRange } = require('../utils/date-range');
+
+// Metrics whose daily totals can be recomputed from the Shiprocket order and shipment lists
+const RECONCILED_METRICS = {
+  shiprocket_order_value: 'orders',
+  shiprocket_shipping_cost: 'shipments'
+};
+
+// Source dimension of the synced series the totals are recomputed from
+const SYNC_SOURCE = 'shiprocket_sync';
+
+// Marks the correction series pushed on top of the regular metrics
+const ADJUSTMENT_DIMENSIONS = { source: SYNC_SOURCE, adjustment: 'reconciliation' };
+
+/**
+ * Pull metric rows out of a getCustomMetrics response
+ */
+function extractMetricRows(response) {
+  const list = response?.data?.metrics || response?.data || response?.metrics || response;
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Sum metric values per "metric|day" for the reconciled metrics inside the range.
+ * Only the synced series counts: webhook metrics of the same name and earlier
+ * adjustments are left out, so both sides of the comparison hold the same series.
+ */
+function totalsByDay(metrics, { startDate, endDate }) {
+  const totals = new Map();
+
+  for (const metric of metrics) {
+    const name = metric.metric_name || metric.name;
+    const date = String(metric.date || '').slice(0, 10);
+    const value = Number(metric.value);
+    const dimensions = metric.dimensions || {};
+
+    if (!RECONCILED_METRICS[name] || date < startDate || date > endDate || !Number.isFinite(value) ||
+      dimensions.source !== SYNC_SOURCE || dimensions.adjustment) {
+      continue;
+    }
+
+    const key = `${name}|${date}`;
+    totals.set(key, (totals.get(key) || 0) + value);
+  }
+
+  return totals;
+}
+
+/**
+ * Per-metric, per-day differences between what Shiprocket implies and what
+ * Triple Whale holds. Only days that differ by more than the tolerance are returned.
+ */
+function compareTotals(expected, actual, tolerance = config.reconciliation.tolerance) {
+  const keys = new Set([...expected.keys(), ...actual.keys()]);
+  const differences = [];
+
+  for (const key of [...keys].sort()) {
+    const [metricName, date] = key.split('|');
+    const expectedValue = expected.get(key) || 0;
+    const actualValue = actual.get(key) || 0;
+    const difference = expectedValue - actualValue;
+
+    if (Math.abs(difference) > tolerance) {
+      differences.push({
+        metricName,
+        date,
+        expected: expectedValue,
+        actual: actualValue,
+        difference
+      });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Differences between the recomputed totals and the synced series plus the
+ * adjustments already pushed, and the cumulative adjustment that would close
+ * each one.
+ */
+function planReconciliation(expected, actual, adjustments = new Map(), tolerance = config.reconciliation.tolerance) {
+  const adjusted = new Map(actual);
+  for (const [key, adjustment] of adjustments) {
+    adjusted.set(key, (adjusted.get(key) || 0) + adjustment);
+  }
+
+  const differences = compareTotals(expected, adjusted, tolerance);
+  const corrections = differences.map(diff => ({
+    metricName: diff.metricName,
+    date: diff.date,
+    adjustment: (adjustments.get(`${diff.metricName}|${diff.date}`) || 0) + diff.difference
+  }));
+
+  return { differences, corrections };
+}
+
+/**
+ * Compares Triple Whale metric totals with totals recomputed from Shiprocket
+ * and optionally corrects the drift.
+ *
+ * Corrections are pushed as a separate "adjustment" series per metric and day.
+ * Each push carries the cumulative adjustment for that day, so running the job
+ * again converges instead of stacking corrections.
+ */
+class ReconciliationJob {
+  constructor() {
+    this.running = false;
+  }
+
+  async run({ startDate, endDate, autoCorrect = config.reconciliation.autoCorrect, trigger = 'manual' } = {}) {
+    if (this.running) {
+      const error = new Error('A reconciliation run is already in progress');
+      error.code = 'ALREADY_RUNNING';
+      throw error;
+    }
+
+    const range = startDate && endDate ? { startDate, endDate } : getTrailingRange(config.reconciliation.lookbackDays, config.reconciliation.timezone);
+    this.running = true;
+
+    const { rows } = await db.query(
+      `INSERT INTO reconciliation_runs (start_date, end_date, trigger, auto_correct)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [range.startDate, range.endDate, trigger, autoCorrect]
+    ).catch((error) => {
+      this.running = false;
+      throw error;
+    });
+    const runId = rows[0].id;
+
+    logger.info('Reconciliation started', { runId, ...range, autoCorrect, trigger });
+
+    try {
+      const [expected, actual, adjustments] = await Promise.all([
+        this.getExpectedTotals(range),
+        this.getTripleWhaleTotals(range),
+        this.getAdjustments(range)
+      ]);
+
+      const plan = planReconciliation(expected.totals, actual, adjustments);
+      const { differences } = plan;
+      const corrections = autoCorrect && plan.corrections.length > 0
+        ? await this.correct(runId, plan.corrections)
+        : [];
+
+      const summary = {
+        ...range,
+        metrics: Object.keys(RECONCILED_METRICS),
+        orders: expected.orders,
+        shipments: expected.shipments,
+        daysCompared: new Set([...expected.totals.keys(), ...actual.keys()]).size,
+        drifted: differences.length,
+        corrected: corrections.length
+      };
+
+      await db.query(
+        `UPDATE reconciliation_runs
+         SET status = 'completed', summary = $2, differences = $3, corrections = $4, finished_at = NOW()
+         WHERE id = $1`,
+        [runId, summary, JSON.stringify(differences), JSON.stringify(corrections)]
+      );
+
+      const log = differences.length > 0 ? logger.warn : logger.info;
+      log('Reconciliation completed', { runId, ...summary });
+
+      return { id: runId, status: 'completed', summary, differences, corrections };
+    } catch (error) {
+      await db.query(
+        `UPDATE reconciliation_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+        [runId, error.message]
+      ).catch(() => {});
+
+      logger.error('Reconciliation failed', error, { runId, ...range });
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Recompute daily totals with the same transforms the sync jobs push
+   */
+  async getExpectedTotals(range) {
+    const params = { start_date: range.startDate, end_date: range.endDate, per_page: config.sync.batchSize };
+
+    const [orders, shipments] = await Promise.all([
+      fetchAllPages(page => shiprocketAPI.getOrders({ ...params, page }), { perPage: params.per_page }),
+      fetchAllPages(page => shiprocketAPI.getShipments({ ...params, page }), { perPage: params.per_page })
+    ]);
+
+    const metrics = [
+      ...orders.records.flatMap(order => tripleWhaleAPI.transformOrderToMetrics(order)),
+      ...shipments.records.flatMap(shipment => tripleWhaleAPI.transformShipmentToMetrics(shipment))
+    ];
+
+    return {
+      totals: totalsByDay(metrics, range),
+      orders: orders.records.length,
+      shipments: shipments.records.length
+    };
+  }
+
+  async getTripleWhaleTotals(range) {
+    const response = await tripleWhaleAPI.getCustomMetrics({
+      start_date: range.startDate,
+      end_date: range.endDate
+    });
+
+    return totalsByDay(extractMetricRows(response), range);
+  }
+
+  /**
+   * Cumulative adjustments already pushed per "metric|day" inside the range
+   */
+  async getAdjustments(range) {
+    const { rows } = await db.query(
+      `SELECT metric_name, to_char(date, 'YYYY-MM-DD') AS date, value
+       FROM reconciliation_adjustments
+       WHERE metric_name = ANY($1::TEXT[]) AND date BETWEEN $2 AND $3`,
+      [Object.keys(RECONCILED_METRICS), range.startDate, range.endDate]
+    );
+    return new Map(rows.map(row => [`${row.metric_name}|${row.date}`, Number(row.value)]));
+  }
+
+  /**
+   * Push the cumulative adjustment for each drifted day and remember it
+   */
+  async correct(runId, corrections) {
+    await tripleWhaleAPI.pushCustomMetrics(
+      corrections.map(correction => ({
+        metric_name: correction.metricName,
+        value: correction.adjustment,
+        date: correction.date,
+        dimensions: ADJUSTMENT_DIMENSIONS
+      })),
+      { source: { type: 'reconciliation', runId } }
+    );
+
+    for (const correction of corrections) {
+      await db.query(
+        `INSERT INTO reconciliation_adjustments (metric_name, date, value)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (metric_name, date) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+        [correction.metricName, correction.date, correction.adjustment]
+      );
+    }
+
+    logger.info('Reconciliation corrections pushed', { runId, corrections: corrections.length });
+    return corrections;
+  }
+
+  async listRuns({ limit = 20, offset = 0 } = {}) {
+    const { rows } = await db.query(
+      `SELECT id, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+              trigger, auto_correct, status, summary, error, started_at, finished_at
+       FROM reconciliation_runs
+       ORDER BY started_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    return rows;
+  }
+
+  async getRun(id) {
+    const { rows } = await db.query(
+      `SELECT *, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+       FROM reconciliation_runs WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+}
+
+module.exports = new ReconciliationJob();
+module.exports.compareTotals = compareTotals;
+module.exports.planReconciliation = planReconciliation;
+module.exports.totalsByDay = totalsByDay;
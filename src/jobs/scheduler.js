@@ -0,0 +1,335 @@
+const cron = require('node-cron');
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const syncJobs = require('./sync-jobs');
+const reconciliationJob = require('./reconciliation');
+const attributionJob = require('./attribution');
+const { getNextRun } = require('../utils/cron');
+const { addDays, today } = require('../utils/date-range');
+
+const RUN_COLUMNS = 'id, job_name, kind, trigger, status, result, error, started_at, finished_at';
+
+// A running job's heartbeat is refreshed this often; a run whose heartbeat is
+// older than STALE_AFTER_MS belonged to a process that died
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Problems with a job definition - empty when it can be scheduled
+ */
+function validateDefinition(definition, names = new Set()) {
+  const errors = [];
+  const { lookbackDays } = definition;
+
+  if (!definition.name) errors.push('name is required');
+  if (names.has(definition.name)) errors.push(`name "${definition.name}" is used by another job`);
+  if (!cron.validate(String(definition.cron))) errors.push(`invalid cron expression "${definition.cron}"`);
+  if (!isValidTimezone(definition.timezone)) errors.push(`unknown timezone "${definition.timezone}"`);
+  if (definition.kind === 'sync' && !syncJobs.SYNC_TYPES.includes(definition.syncType)) {
+    errors.push(`syncType must be one of: ${syncJobs.SYNC_TYPES.join(', ')}`);
+  }
+  if (lookbackDays !== undefined && lookbackDays !== null && !(Number.isInteger(lookbackDays) && lookbackDays > 0)) {
+    errors.push('lookbackDays must be a positive integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Runs every scheduled job: the sync jobs listed in config.scheduler.jobs plus
+ * the reconciliation and attribution jobs when they are enabled. Each run is
+ * recorded in scheduled_job_runs, a job never overlaps with its own previous
+ * run, and any job can be triggered on demand. Scheduled syncs go through the
+ * sync job queue, so they wait for manual syncs instead of racing them.
+ */
+class Scheduler {
+  constructor() {
+    // Job name -> { definition, task, running, lastRun }
+    this.jobs = new Map();
+    this.invalid = [];
+    this.staleTimer = null;
+  }
+
+  /**
+   * Every job definition, before validation
+   */
+  getDefinitions() {
+    const definitions = config.scheduler.jobs.map(job => ({
+      timezone: config.scheduler.timezone,
+      enabled: true,
+      ...job,
+      kind: 'sync'
+    }));
+
+    if (config.reconciliation.enabled) {
+      definitions.push({
+        name: 'reconciliation',
+        kind: 'reconciliation',
+        cron: config.reconciliation.cron,
+        timezone: config.reconciliation.timezone,
+        lookbackDays: config.reconciliation.lookbackDays,
+        enabled: true
+      });
+    }
+
+    if (config.attribution.enabled) {
+      definitions.push({
+        name: 'attribution',
+        kind: 'attribution',
+        cron: config.attribution.cron,
+        timezone: config.attribution.timezone,
+        lookbackDays: config.attribution.lookbackDays,
+        enabled: true
+      });
+    }
+
+    return definitions;
+  }
+
+  start() {
+    if (!config.scheduler.enabled) {
+      logger.info('Scheduler disabled - no jobs will run on a schedule');
+      return;
+    }
+    if (this.jobs.size > 0) return;
+
+    this.recover();
+
+    const names = new Set();
+    for (const definition of this.getDefinitions()) {
+      const errors = validateDefinition(definition, names);
+      if (errors.length > 0) {
+        this.invalid.push({ name: definition.name || null, errors });
+        logger.warn('Skipped invalid scheduled job', { job: definition.name, errors });
+        continue;
+      }
+      names.add(definition.name);
+
+      const task = definition.enabled === false ? null : cron.schedule(definition.cron, () => {
+        this.trigger(definition.name, 'scheduled').catch((error) => {
+          if (error.code === 'ALREADY_RUNNING') {
+            logger.info('Skipped scheduled run - the previous run is still in progress', { job: definition.name });
+            return;
+          }
+          logger.error('Failed to start scheduled job', error, { job: definition.name });
+        });
+      }, {
+        timezone: definition.timezone
+      });
+
+      this.jobs.set(definition.name, { definition, task, running: null, lastRun: null });
+    }
+
+    logger.info('Scheduler started', {
+      jobs: [...this.jobs.values()]
+        .filter(job => job.task)
+        .map(job => `${job.definition.name} (${job.definition.cron} ${job.definition.timezone})`)
+    });
+  }
+
+  stop() {
+    clearInterval(this.staleTimer);
+    this.staleTimer = null;
+
+    for (const job of this.jobs.values()) {
+      job.task?.stop();
+    }
+  }
+
+  /**
+   * Fail runs left 'running' by a process that died, now and periodically -
+   * runs other processes are still working on keep their heartbeat fresh
+   */
+  recover() {
+    const failStale = () => db.query(
+      `UPDATE scheduled_job_runs SET status = 'failed', error = 'Interrupted by a restart', finished_at = NOW()
+       WHERE status = 'running'
+         AND COALESCE(heartbeat_at, started_at) < NOW() - $1::INTEGER * INTERVAL '1 millisecond'`,
+      [STALE_AFTER_MS]
+    ).then(({ rowCount }) => {
+      if (rowCount > 0) logger.warn('Failed interrupted scheduled job runs', { interrupted: rowCount });
+    }).catch(error => logger.warn('Failed to check for interrupted scheduled job runs', { error: error.message }));
+
+    this.staleTimer = setInterval(failStale, STALE_AFTER_MS);
+    this.staleTimer.unref();
+    return failStale();
+  }
+
+  /**
+   * Start a run of a job without waiting for it. Returns the run record, or
+   * null when there is no such job.
+   */
+  async trigger(name, trigger = 'manual') {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+
+    if (job.running) {
+      const error = new Error(`Job "${name}" is already running`);
+      error.code = 'ALREADY_RUNNING';
+      throw error;
+    }
+
+    // Claimed before the first await so two triggers can't both start it
+    job.running = { job_name: name, kind: job.definition.kind, trigger, status: 'running' };
+
+    let run;
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO scheduled_job_runs (job_name, kind, trigger, heartbeat_at)
+         VALUES ($1, $2, $3, NOW()) RETURNING ${RUN_COLUMNS}`,
+        [name, job.definition.kind, trigger]
+      );
+      run = rows[0];
+    } catch (error) {
+      // Run history is best effort - the job still runs
+      logger.warn('Failed to record scheduled job run', { job: name, error: error.message });
+      run = { id: null, ...job.running, started_at: new Date().toISOString() };
+    }
+
+    job.running = run;
+    this.execute(job, run);
+
+    return run;
+  }
+
+  async execute(job, run) {
+    const { name } = job.definition;
+    const startedAt = Date.now();
+    let outcome;
+
+    const heartbeat = run.id && setInterval(() => {
+      db.query('UPDATE scheduled_job_runs SET heartbeat_at = NOW() WHERE id = $1', [run.id])
+        .catch(error => logger.warn('Failed to record scheduled job heartbeat', { job: name, error: error.message }));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat?.unref();
+
+    try {
+      const result = await this.runJob(job.definition, run.trigger);
+      outcome = { status: 'completed', result, error: null };
+      logger.info('Scheduled job completed', { job: name, trigger: run.trigger, duration: Date.now() - startedAt });
+    } catch (error) {
+      outcome = { status: 'failed', result: null, error: error.message };
+      logger.error('Scheduled job failed', error, { job: name, trigger: run.trigger });
+      global.integrationErrors = (global.integrationErrors || 0) + 1;
+    }
+
+    clearInterval(heartbeat);
+    job.running = null;
+    job.lastRun = { ...run, ...outcome, finished_at: new Date().toISOString() };
+
+    if (run.id) {
+      await db.query(
+        `UPDATE scheduled_job_runs SET status = $2, result = $3, error = $4, finished_at = NOW() WHERE id = $1`,
+        [run.id, outcome.status, outcome.result, outcome.error]
+      ).catch(error => logger.warn('Failed to record scheduled job outcome', { job: name, error: error.message }));
+    }
+  }
+
+  async runJob(definition, trigger) {
+    switch (definition.kind) {
+      case 'reconciliation': {
+        const { id, status, summary } = await reconciliationJob.run({ trigger });
+        return { reconciliationRunId: id, status, summary };
+      }
+      case 'attribution':
+        return attributionJob.run({ trigger });
+      default:
+        return this.runSync(definition, trigger);
+    }
+  }
+
+  /**
+   * Queue the sync and wait for it. Without lookbackDays it syncs
+   * incrementally; with it, the window ends today.
+   */
+  async runSync(definition, trigger) {
+    const range = {};
+    if (definition.lookbackDays) {
+      range.endDate = today(definition.timezone);
+      range.startDate = addDays(range.endDate, -(definition.lookbackDays - 1));
+    }
+
+    const syncJob = await syncJobs.enqueue({
+      syncType: definition.syncType,
+      ...range,
+      trigger: `${trigger}:${definition.name}`
+    });
+    const finished = await syncJobs.waitFor(syncJob.id);
+
+    if (finished.status !== 'completed') {
+      throw new Error(finished.error || `Sync job ${syncJob.id} was ${finished.status}`);
+    }
+
+    return { syncJobId: syncJob.id, ...finished.result };
+  }
+
+  /**
+   * Every job with its schedule, next run and last run
+   */
+  async listJobs() {
+    const lastRuns = new Map();
+    try {
+      const { rows } = await db.query(
+        `SELECT DISTINCT ON (job_name) ${RUN_COLUMNS}
+         FROM scheduled_job_runs
+         WHERE job_name = ANY($1::TEXT[])
+         ORDER BY job_name, started_at DESC`,
+        [[...this.jobs.keys()]]
+      );
+      rows.forEach(row => lastRuns.set(row.job_name, row));
+    } catch (error) {
+      logger.warn('Failed to load last scheduled job runs', { error: error.message });
+    }
+
+    return [...this.jobs.values()].map(({ definition, task, running, lastRun }) => ({
+      name: definition.name,
+      kind: definition.kind,
+      cron: definition.cron,
+      timezone: definition.timezone,
+      syncType: definition.syncType,
+      lookbackDays: definition.lookbackDays ?? null,
+      enabled: Boolean(task),
+      nextRunAt: task ? getNextRun(definition.cron, { timezone: definition.timezone })?.toISOString() ?? null : null,
+      running,
+      lastRun: lastRuns.get(definition.name) || lastRun
+    }));
+  }
+
+  async listRuns({ name, limit = 20, offset = 0 } = {}) {
+    const { rows } = await db.query(
+      `SELECT ${RUN_COLUMNS}
+       FROM scheduled_job_runs
+       WHERE $1::TEXT IS NULL OR job_name = $1
+       ORDER BY started_at DESC
+       LIMIT $2 OFFSET $3`,
+      [name || null, limit, offset]
+    );
+    return rows;
+  }
+
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  getStats() {
+    return {
+      enabled: config.scheduler.enabled,
+      jobs: [...this.jobs.keys()],
+      running: [...this.jobs.values()].filter(job => job.running).map(job => job.definition.name),
+      invalid: this.invalid
+    };
+  }
+}
+
+module.exports = new Scheduler();
+module.exports.validateDefinition = validateDefinition;
@@ -0,0 +1,343 @@
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const {
+  SYNC_TYPES, syncOrders, syncShipments, syncReturns, syncSummary, syncAll, syncIncremental
+} = require('./sync');
+
+const DATE_RANGE_SYNCS = {
+  orders: syncOrders,
+  shipments: syncShipments,
+  returns: syncReturns,
+  summary: syncSummary,
+  all: syncAll
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Progress is written to the database at most this often while a job runs
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+
+// A running job's heartbeat is refreshed this often; a job whose heartbeat is
+// older than STALE_AFTER_MS belonged to a process that died
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+const JOB_COLUMNS = `id, sync_type, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date, trigger, status, progress, result, error,
+  created_at, started_at, finished_at`;
+
+function emptyProgress() {
+  return { pages: 0, records: 0, metricsPushed: 0, errors: [] };
+}
+
+function cancelledError() {
+  const error = new Error('Sync job was cancelled');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * Runs manual syncs in the background. Jobs are persisted in sync_jobs, run one
+ * at a time in the order they were queued, report progress while they run and
+ * can be cancelled - a running job stops before its next page.
+ */
+class SyncJobQueue {
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+    // Job ID -> { controller, progress } for the running job
+    this.active = new Map();
+    // Job ID -> { promise, resolve } settled when a job queued here finishes
+    this.completions = new Map();
+    this.staleTimer = null;
+
+    this.stats = {
+      queued: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0
+    };
+  }
+
+  /**
+   * Persist a job and queue it. Without dates the job syncs incrementally.
+   */
+  async enqueue({ syncType, startDate = null, endDate = null, trigger = 'manual' }) {
+    const { rows } = await db.query(
+      `INSERT INTO sync_jobs (sync_type, start_date, end_date, trigger, progress)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${JOB_COLUMNS}`,
+      [syncType, startDate, endDate, trigger, emptyProgress()]
+    );
+    const job = rows[0];
+
+    this.trackCompletion(job.id);
+    this.queue.push(job);
+    this.stats.queued++;
+    logger.info('Sync job queued', { jobId: job.id, syncType, startDate, endDate, trigger });
+
+    this.process();
+    return job;
+  }
+
+  /**
+   * Fail running jobs whose heartbeat stopped. Jobs other processes are still
+   * running keep their heartbeat fresh and are left alone.
+   */
+  async failStale() {
+    const { rowCount } = await db.query(
+      `UPDATE sync_jobs SET status = 'failed', error = 'Interrupted by a restart', finished_at = NOW()
+       WHERE status = 'running'
+         AND COALESCE(heartbeat_at, started_at) < NOW() - $1::INTEGER * INTERVAL '1 millisecond'`,
+      [STALE_AFTER_MS]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Requeue jobs a previous process left queued, and fail the ones it was
+   * running once their heartbeat is stale - checked again periodically, since a
+   * quick restart comes back before its old jobs look stale.
+   */
+  async recover() {
+    if (!this.staleTimer) {
+      this.staleTimer = setInterval(() => {
+        this.failStale()
+          .then(count => count > 0 && logger.warn('Failed stale sync jobs', { interrupted: count }))
+          .catch(error => logger.warn('Failed to check for stale sync jobs', { error: error.message }));
+      }, STALE_AFTER_MS);
+      this.staleTimer.unref();
+    }
+
+    const rowCount = await this.failStale();
+
+    const { rows } = await db.query(
+      `SELECT ${JOB_COLUMNS} FROM sync_jobs WHERE status = 'queued' ORDER BY created_at`
+    );
+    const requeued = rows.filter(job => !this.queue.some(queued => queued.id === job.id));
+    requeued.forEach(job => this.trackCompletion(job.id));
+    this.queue.push(...requeued);
+
+    if (rowCount > 0 || rows.length > 0) {
+      logger.warn('Recovered sync jobs after restart', { interrupted: rowCount, requeued: rows.length });
+    }
+
+    this.process();
+  }
+
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        await this.run(this.queue.shift());
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    const progress = emptyProgress();
+    const jobId = job.id;
+    let lastSaved = 0;
+
+    const saveProgress = () => {
+      lastSaved = Date.now();
+      return db.query('UPDATE sync_jobs SET progress = $2 WHERE id = $1', [jobId, progress])
+        .catch(error => logger.warn('Failed to save sync job progress', { jobId, error: error.message }));
+    };
+
+    const onProgress = (increment) => {
+      progress.pages += increment.pages;
+      progress.records += increment.records;
+      progress.metricsPushed += increment.metricsPushed;
+
+      if (Date.now() - lastSaved >= PROGRESS_SAVE_INTERVAL_MS) {
+        saveProgress();
+      }
+    };
+
+    // Registered before the claim so a cancel arriving meanwhile reaches this run
+    this.active.set(String(jobId), { controller, progress });
+
+    // Claim the job unless it was cancelled while it waited
+    const { rowCount } = await db.query(
+      `UPDATE sync_jobs SET status = 'running', started_at = NOW(), heartbeat_at = NOW()
+       WHERE id = $1 AND status = 'queued'`,
+      [jobId]
+    ).catch((error) => {
+      logger.error('Failed to start sync job', error, { jobId });
+      return { rowCount: 0 };
+    });
+    if (rowCount === 0) {
+      this.active.delete(String(jobId));
+      // Cancelled while queued (already settled), or the claim itself failed
+      this.settle(jobId, { status: 'failed', error: 'Sync job could not be started', progress });
+      return;
+    }
+
+    logger.info('Sync job started', { jobId, syncType: job.sync_type });
+
+    const heartbeat = setInterval(() => {
+      db.query('UPDATE sync_jobs SET heartbeat_at = NOW() WHERE id = $1', [jobId])
+        .catch(error => logger.warn('Failed to record sync job heartbeat', { jobId, error: error.message }));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    const options = { signal: controller.signal, onProgress };
+    let outcome;
+
+    try {
+      const result = job.start_date || job.end_date
+        ? await DATE_RANGE_SYNCS[job.sync_type](job.start_date, job.end_date, options)
+        : await syncIncremental(job.sync_type, options);
+
+      await db.query(
+        `UPDATE sync_jobs SET status = 'completed', progress = $2, result = $3, finished_at = NOW() WHERE id = $1`,
+        [jobId, progress, result]
+      );
+      outcome = { status: 'completed', result, progress };
+      this.stats.completed++;
+      logger.info('Sync job completed', {
+        jobId,
+        pages: progress.pages,
+        records: progress.records,
+        metricsPushed: progress.metricsPushed
+      });
+    } catch (error) {
+      // Stop whatever part of an 'all' sync is still paging
+      controller.abort(cancelledError());
+
+      const cancelled = error.code === 'CANCELLED';
+      if (!cancelled) {
+        progress.errors.push({ message: error.message, at: new Date().toISOString() });
+      }
+
+      outcome = { status: cancelled ? 'cancelled' : 'failed', error: cancelled ? null : error.message, progress };
+      await db.query(
+        `UPDATE sync_jobs SET status = $2, progress = $3, error = $4, finished_at = NOW() WHERE id = $1`,
+        [jobId, outcome.status, progress, outcome.error]
+      ).catch(updateError => logger.error('Failed to record sync job outcome', updateError, { jobId }));
+
+      if (cancelled) {
+        this.stats.cancelled++;
+        logger.info('Sync job cancelled', { jobId, pages: progress.pages, records: progress.records });
+      } else {
+        this.stats.failed++;
+        logger.error('Sync job failed', error, { jobId });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(String(jobId));
+      this.settle(jobId, outcome);
+    }
+  }
+
+  trackCompletion(id) {
+    let resolve;
+    const promise = new Promise((done) => {
+      resolve = done;
+    });
+    this.completions.set(String(id), { promise, resolve });
+  }
+
+  settle(id, outcome) {
+    const completion = this.completions.get(String(id));
+    if (!completion) return;
+
+    this.completions.delete(String(id));
+    completion.resolve({ id, ...outcome });
+  }
+
+  /**
+   * Resolves with { id, status, result, error, progress } once the job finishes
+   */
+  async waitFor(id) {
+    const completion = this.completions.get(String(id));
+    if (completion) return completion.promise;
+
+    // Not tracked here (already finished, or queued by another process) - report its current state
+    const job = await this.getJob(id);
+    return job && { id: job.id, status: job.status, result: job.result, error: job.error, progress: job.progress };
+  }
+
+  /**
+   * Cancel a queued or running job. Returns null when the job doesn't exist;
+   * a job that already finished is returned unchanged with cancelled: false.
+   */
+  async cancel(id) {
+    const job = await this.getJob(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return { job, cancelled: false };
+    }
+
+    const active = this.active.get(String(id));
+    if (active) {
+      // The running job records its own cancellation once the current page is done
+      active.controller.abort(cancelledError());
+      logger.info('Sync job cancellation requested', { jobId: id });
+      return { job: { ...job, status: 'cancelling' }, cancelled: true };
+    }
+
+    const { rows } = await db.query(
+      `UPDATE sync_jobs SET status = 'cancelled', finished_at = NOW()
+       WHERE id = $1 AND status = 'queued'
+       RETURNING ${JOB_COLUMNS}`,
+      [id]
+    );
+    if (rows.length === 0) {
+      // Finished in the meantime
+      return { job: await this.getJob(id), cancelled: false };
+    }
+
+    this.queue = this.queue.filter(queued => String(queued.id) !== String(id));
+    this.settle(id, { status: 'cancelled', error: null, progress: rows[0].progress });
+    this.stats.cancelled++;
+    logger.info('Queued sync job cancelled', { jobId: id });
+
+    return { job: rows[0], cancelled: true };
+  }
+
+  /**
+   * A job with its live progress when it is running
+   */
+  async getJob(id) {
+    const { rows } = await db.query(`SELECT ${JOB_COLUMNS} FROM sync_jobs WHERE id = $1`, [id]);
+    const job = rows[0];
+    if (!job) return null;
+
+    const active = this.active.get(String(id));
+    if (active) {
+      job.progress = { ...active.progress, errors: [...active.progress.errors] };
+      if (active.controller.signal.aborted) job.status = 'cancelling';
+    }
+
+    return job;
+  }
+
+  async listJobs({ status, limit = 20, offset = 0 } = {}) {
+    const { rows } = await db.query(
+      `SELECT ${JOB_COLUMNS} FROM sync_jobs
+       WHERE $1::TEXT IS NULL OR status = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [status || null, limit, offset]
+    );
+    return rows;
+  }
+
+  getStats() {
+    return {
+      waiting: this.queue.length,
+      running: [...this.active.keys()],
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new SyncJobQueue();
+module.exports.SYNC_TYPES = SYNC_TYPES;
@@ -0,0 +1,410 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const shiprocketAPI = require('../api/shiprocket');
+const tripleWhaleAPI = require('../api/triplewhale');
+const metricBuffer = require('../queue/metric-buffer');
+const metricRollup = require('../metrics/rollup');
+const syncCursors = require('../state/sync-cursors');
+const { classifyOutcome } = require('./attribution');
+const { buildDailySummaries } = require('./logistics-summary');
+const { forEachPage } = require('../utils/pagination');
+const { addDays, splitRange, toDay, today } = require('../utils/date-range');
+
+// Shiprocket lists we sync, each with its own cursor
+const LISTS = {
+  orders: {
+    fetchPage: params => shiprocketAPI.getOrders(params),
+    toMetrics: order => tripleWhaleAPI.transformOrderToMetrics(order),
+    toSource: order => ({ type: 'sync', syncType: 'orders', orderId: order.order_id, data: order }),
+    getPosition: order => ({ at: order.updated_at || order.created_at, id: order.id ?? order.order_id })
+  },
+  shipments: {
+    fetchPage: params => shiprocketAPI.getShipments(params),
+    toMetrics: shipment => tripleWhaleAPI.transformShipmentToMetrics(shipment),
+    toSource: shipment => ({ type: 'sync', syncType: 'shipments', shipmentId: shipment.shipment_id, data: shipment }),
+    getPosition: shipment => ({ at: shipment.updated_at || shipment.created_at, id: shipment.id ?? shipment.shipment_id })
+  }
+};
+
+// Lists that keep a cursor, and every sync type a job can run
+const CURSOR_TYPES = Object.keys(LISTS);
+const SYNC_TYPES = [...CURSOR_TYPES, 'returns', 'summary', 'all'];
+
+// Sync types with an incremental run in progress
+const running = new Set();
+
+function hasTimestamp(position) {
+  return position?.at && !Number.isNaN(Date.parse(position.at));
+}
+
+/**
+ * Queue a record's metrics for Triple Whale, or fold them into the daily
+ * rollups in rollup mode, the same way webhook metrics are handled
+ */
+function queueRecordMetrics(metrics, source) {
+  return metricRollup.isEnabled() ? metricRollup.record(metrics, source) : metricBuffer.add(metrics, source);
+}
+
+/**
+ * Sync every page of a Shiprocket list for a date range, queueing each
+ * record's metrics for Triple Whale. With `after`, records at or before that
+ * position are skipped. Resolves with the result and the newest position processed.
+ * onProgress({ type, pages, records, metricsPushed }) is called with the
+ * increments after each page; aborting `signal` stops before the next page.
+ */
+async function syncList(type, { startDate, endDate, after = null, signal, onProgress }) {
+  const list = LISTS[type];
+  const startedAt = Date.now();
+  let metricsPushed = 0;
+  let skipped = 0;
+  let position = null;
+
+  const { pages, records } = await forEachPage(
+    page => list.fetchPage({
+      start_date: startDate,
+      end_date: endDate,
+      per_page: config.sync.batchSize,
+      page
+    }),
+    async (items) => {
+      const pushedBefore = metricsPushed;
+
+      for (const item of items) {
+        const itemPosition = list.getPosition(item);
+
+        if (hasTimestamp(itemPosition)) {
+          if (after && syncCursors.comparePositions(itemPosition, after) <= 0) {
+            skipped++;
+            continue;
+          }
+          if (!position || syncCursors.comparePositions(itemPosition, position) > 0) {
+            position = { at: new Date(itemPosition.at).toISOString(), id: itemPosition.id };
+          }
+        }
+
+        metricsPushed += await queueRecordMetrics(list.toMetrics(item), list.toSource(item));
+      }
+
+      onProgress?.({ type, pages: 1, records: items.length, metricsPushed: metricsPushed - pushedBefore });
+    },
+    {
+      perPage: config.sync.batchSize,
+      concurrency: config.sync.pageConcurrency,
+      maxPages: config.sync.maxPages,
+      signal
+    }
+  );
+
+  if (records > 0) {
+    global.lastSyncTime = new Date().toISOString();
+  }
+
+  const result = { type, count: records - skipped, pages, metricsPushed, startDate, endDate };
+  if (after) result.skipped = skipped;
+
+  logger.debug('Sync finished', { ...result, duration: Date.now() - startedAt });
+
+  return { result, position };
+}
+
+async function syncOrders(startDate, endDate, options = {}) {
+  const { result } = await syncList('orders', { ...options, startDate, endDate });
+  return result;
+}
+
+async function syncShipments(startDate, endDate, options = {}) {
+  const { result } = await syncList('shipments', { ...options, startDate, endDate });
+  return result;
+}
+
+/**
+ * Returns, orders and RTOs per day within the range. Returns count on the day
+ * they were raised; orders and RTOs on the order day.
+ */
+function aggregateReturns(returns, orders, { startDate, endDate }) {
+  const days = new Map();
+  const totalsFor = (date) => {
+    if (!days.has(date)) {
+      days.set(date, { date, returns_count: 0, orders_count: 0, rto_count: 0 });
+    }
+    return days.get(date);
+  };
+  const inRange = date => date && date >= startDate && date <= endDate;
+
+  for (const item of returns) {
+    const date = toDay(item.return_date || item.created_at);
+    if (inRange(date)) totalsFor(date).returns_count++;
+  }
+
+  for (const order of orders) {
+    const date = toDay(order.order_date || order.created_at);
+    if (!inRange(date)) continue;
+
+    const totals = totalsFor(date);
+    totals.orders_count++;
+    if (classifyOutcome(order) === 'rto') totals.rto_count++;
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(totals => ({
+      ...totals,
+      return_rate: totals.orders_count > 0
+        ? Math.round((totals.returns_count / totals.orders_count) * 10000) / 100
+        : 0
+    }));
+}
+
+/**
+ * Sync daily return totals for a date range: every page of Shiprocket returns
+ * and orders is read to push return counts, return rate and RTO counts per day
+ */
+async function syncReturns(startDate, endDate, { signal, onProgress } = {}) {
+  const startedAt = Date.now();
+
+  const collect = async (type, fetchPage) => {
+    const records = [];
+    const { pages } = await forEachPage(
+      page => fetchPage({ start_date: startDate, end_date: endDate, per_page: config.sync.batchSize, page }),
+      (items) => {
+        records.push(...items);
+        onProgress?.({ type, pages: 1, records: items.length, metricsPushed: 0 });
+      },
+      {
+        perPage: config.sync.batchSize,
+        concurrency: config.sync.pageConcurrency,
+        maxPages: config.sync.maxPages,
+        signal
+      }
+    );
+    return { records, pages };
+  };
+
+  const [returns, orders] = await Promise.all([
+    collect('returns', params => shiprocketAPI.getReturns(params)),
+    collect('orders', params => shiprocketAPI.getOrders(params))
+  ]);
+
+  const days = aggregateReturns(returns.records, orders.records, { startDate, endDate });
+  let metricsPushed = 0;
+
+  for (const totals of days) {
+    // Totals are part of the source, so a day is pushed again only when its numbers change.
+    // Already daily totals without per-order dimensions, so they skip the rollups
+    // in rollup mode too - a rollup would add a changed day on top of the old one.
+    metricsPushed += await metricBuffer.add(tripleWhaleAPI.transformReturnDataToMetrics(totals), {
+      type: 'sync',
+      syncType: 'returns',
+      date: totals.date,
+      returns: totals.returns_count,
+      orders: totals.orders_count,
+      rto: totals.rto_count
+    });
+  }
+  onProgress?.({ type: 'returns', pages: 0, records: 0, metricsPushed });
+
+  const result = {
+    type: 'returns',
+    count: returns.records.length,
+    orders: orders.records.length,
+    days: days.length,
+    pages: returns.pages + orders.pages,
+    metricsPushed,
+    startDate,
+    endDate
+  };
+
+  logger.debug('Sync finished', { ...result, duration: Date.now() - startedAt });
+  return result;
+}
+
+/**
+ * Sync the daily shipping and delivery summary (orders created, shipping cost,
+ * average shipping time, delivery success rate, failed deliveries) for a range
+ */
+async function syncSummary(startDate, endDate, { signal, onProgress } = {}) {
+  const startedAt = Date.now();
+  const days = splitRange(startDate, endDate, 1).map(window => window.startDate);
+  const summaries = await buildDailySummaries(days, { signal });
+  let metricsPushed = 0;
+
+  for (const summary of summaries) {
+    const metrics = [
+      ...tripleWhaleAPI.transformShippingDataToMetrics(summary),
+      ...tripleWhaleAPI.transformDeliveryDataToMetrics(summary)
+    ];
+
+    // Like return totals, a day is pushed again only when its summary changes, and
+    // skips the rollups
+    const pushed = await metricBuffer.add(metrics, { type: 'sync', syncType: 'summary', ...summary });
+    metricsPushed += pushed;
+    onProgress?.({ type: 'summary', pages: 0, records: 1, metricsPushed: pushed });
+  }
+
+  const result = {
+    type: 'summary',
+    count: summaries.length,
+    days: days.length,
+    source: config.sync.summarySource,
+    metricsPushed,
+    startDate,
+    endDate
+  };
+
+  logger.debug('Sync finished', { ...result, duration: Date.now() - startedAt });
+  return result;
+}
+
+async function syncAll(startDate, endDate, options = {}) {
+  const [ordersResult, shipmentsResult, returnsResult, summaryResult] = await Promise.all([
+    syncOrders(startDate, endDate, options),
+    syncShipments(startDate, endDate, options),
+    syncReturns(startDate, endDate, options),
+    syncSummary(startDate, endDate, options)
+  ]);
+
+  return {
+    type: 'all',
+    orders: ordersResult.count,
+    shipments: shipmentsResult.count,
+    returns: returnsResult.count,
+    summaryDays: summaryResult.count,
+    total: ordersResult.count + shipmentsResult.count + returnsResult.count,
+    pages: ordersResult.pages + shipmentsResult.pages + returnsResult.pages,
+    metricsPushed: ordersResult.metricsPushed + shipmentsResult.metricsPushed + returnsResult.metricsPushed +
+      summaryResult.metricsPushed,
+    startDate,
+    endDate
+  };
+}
+
+/**
+ * Sync one list from its cursor up to today. A cursor left behind by downtime
+ * is caught up in windows of catchUpChunkDays, saving the synced day after
+ * each. Windows split by order date, so every window is compared with the
+ * cursor the run started from, and the new high-water mark is only saved
+ * with the last window.
+ */
+async function syncListIncrementally(type, options = {}) {
+  if (running.has(type)) {
+    const error = new Error(`An incremental ${type} sync is already in progress`);
+    error.code = 'ALREADY_RUNNING';
+    throw error;
+  }
+
+  running.add(type);
+
+  try {
+    const cursor = await syncCursors.get(type);
+    const endDate = today(config.scheduler.timezone);
+    const earliest = addDays(endDate, -config.sync.maxCatchUpDays);
+
+    let startDate = cursor?.synced_through || addDays(endDate, -config.sync.initialLookbackDays);
+    if (startDate < earliest) {
+      logger.warn('Sync cursor is older than the catch-up limit, skipping the oldest days', {
+        type,
+        syncedThrough: startDate,
+        maxCatchUpDays: config.sync.maxCatchUpDays
+      });
+      startDate = earliest;
+    }
+
+    const windows = splitRange(startDate, endDate, config.sync.catchUpChunkDays);
+    if (windows.length > 1) {
+      logger.info('Catching up incremental sync', { type, startDate, endDate, windows: windows.length });
+    }
+
+    const after = cursor?.high_water_mark ? { at: cursor.high_water_mark, id: cursor.last_record_id } : null;
+    const totals = { count: 0, skipped: 0, pages: 0, metricsPushed: 0 };
+    let newest = null;
+
+    for (const [index, window] of windows.entries()) {
+      options.signal?.throwIfAborted();
+
+      const { result, position } = await syncList(type, { ...options, ...window, after });
+      if (position && (!newest || syncCursors.comparePositions(position, newest) > 0)) {
+        newest = position;
+      }
+
+      for (const key of Object.keys(totals)) {
+        totals[key] += result[key] || 0;
+      }
+
+      const last = index === windows.length - 1;
+      await syncCursors.advance(type, { syncedThrough: window.endDate, position: last ? newest : null, result });
+    }
+
+    return { type, incremental: true, startDate, endDate, windows: windows.length, ...totals };
+  } finally {
+    running.delete(type);
+  }
+}
+
+/**
+ * Return totals have no cursor - each run redoes the last returnsLookbackDays days
+ */
+async function syncRecentReturns(options = {}) {
+  const endDate = today(config.scheduler.timezone);
+  const startDate = addDays(endDate, -(config.sync.returnsLookbackDays - 1));
+
+  return { ...await syncReturns(startDate, endDate, options), incremental: true };
+}
+
+/**
+ * The summary has no cursor either - each run redoes the last summaryLookbackDays days
+ */
+async function syncRecentSummary(options = {}) {
+  const endDate = today(config.scheduler.timezone);
+  const startDate = addDays(endDate, -(config.sync.summaryLookbackDays - 1));
+
+  return { ...await syncSummary(startDate, endDate, options), incremental: true };
+}
+
+/**
+ * Incremental sync for 'orders', 'shipments', 'returns', 'summary' or 'all'
+ */
+async function syncIncremental(syncType, options = {}) {
+  if (syncType === 'returns') {
+    return syncRecentReturns(options);
+  }
+  if (syncType === 'summary') {
+    return syncRecentSummary(options);
+  }
+  if (syncType !== 'all') {
+    return syncListIncrementally(syncType, options);
+  }
+
+  const [ordersResult, shipmentsResult, returnsResult, summaryResult] = await Promise.all([
+    syncListIncrementally('orders', options),
+    syncListIncrementally('shipments', options),
+    syncRecentReturns(options),
+    syncRecentSummary(options)
+  ]);
+
+  return {
+    type: 'all',
+    incremental: true,
+    orders: ordersResult.count,
+    shipments: shipmentsResult.count,
+    returns: returnsResult.count,
+    summaryDays: summaryResult.count,
+    total: ordersResult.count + shipmentsResult.count + returnsResult.count,
+    skipped: ordersResult.skipped + shipmentsResult.skipped,
+    pages: ordersResult.pages + shipmentsResult.pages + returnsResult.pages,
+    metricsPushed: ordersResult.metricsPushed + shipmentsResult.metricsPushed + returnsResult.metricsPushed +
+      summaryResult.metricsPushed,
+    details: { orders: ordersResult, shipments: shipmentsResult, returns: returnsResult, summary: summaryResult }
+  };
+}
+
+module.exports = {
+  SYNC_TYPES,
+  CURSOR_TYPES,
+  syncOrders,
+  syncShipments,
+  syncReturns,
+  syncSummary,
+  syncAll,
+  syncIncremental,
+  aggregateReturns
+};
@@ -0,0 +1,537 @@
+const logger = require('../utils/logger');
+
+/**
+ * Every metric we push to Triple Whale.
+ *
+ * valueType drives validation: counts are whole numbers, amounts and durations
+ * can't be negative (net amounts can) and percentages stay within 0-100. aggregation is how the
+ * daily rollup combines values. sourceEvents lists the webhook events
+ * (or sync:<type> / summary:<type> / reconciliation / attribution) that emit the metric.
+ */
+const METRICS = [
+  // Orders and payments
+  {
+    name: 'shiprocket_orders_created',
+    description: 'Orders created in Shiprocket',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'channel', 'payment_method', 'payment_status', 'payment_type', 'is_cod', 'is_fully_paid', 'is_partially_paid'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_payment_status',
+    description: 'Orders created, by payment status',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'payment_status', 'payment_type'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_cod_orders',
+    description: 'Cash on delivery orders created',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'cod_amount'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_cod_amount',
+    description: 'Amount to be collected on delivery for new COD orders',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'currency'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_prepaid_orders',
+    description: 'Fully prepaid orders created',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'prepaid_amount'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_partially_paid_orders',
+    description: 'Partially paid orders created',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'paid_amount', 'outstanding_amount', 'total_amount'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_outstanding_amount',
+    description: 'Unpaid balance on partially paid orders',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'currency'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_order_value',
+    description: 'Order total',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'channel', 'currency', 'payment_status', 'paid_amount', 'outstanding_amount', 'adjustment'],
+    sourceEvents: ['order_created', 'order_placed', 'sync:orders', 'reconciliation']
+  },
+  {
+    name: 'shiprocket_products_ordered',
+    description: 'Distinct products per order',
+    unit: 'products',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'payment_status'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+  {
+    name: 'shiprocket_items_ordered',
+    description: 'Total item quantity per order',
+    unit: 'items',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'payment_status'],
+    sourceEvents: ['order_created', 'order_placed']
+  },
+
+  // Shipping
+  {
+    name: 'shiprocket_shipments_created',
+    description: 'Shipments handed to a courier',
+    unit: 'shipments',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'courier'],
+    sourceEvents: ['order_shipped', 'shipment_created']
+  },
+  {
+    name: 'shiprocket_shipping_cost',
+    description: 'Forward shipping charges',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'courier', 'currency', 'adjustment'],
+    sourceEvents: ['order_shipped', 'shipment_created', 'sync:shipments', 'reconciliation']
+  },
+  {
+    name: 'shiprocket_processing_time',
+    description: 'Order creation to shipment',
+    unit: 'hours',
+    valueType: 'duration',
+    aggregation: 'avg',
+    dimensions: ['source', 'event', 'order_id', 'unit'],
+    sourceEvents: ['order_shipped', 'shipment_created']
+  },
+  {
+    name: 'shiprocket_pickups',
+    description: 'Shipments picked up by the courier',
+    unit: 'shipments',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'shipment_id', 'courier'],
+    sourceEvents: ['shipment_pickup']
+  },
+  {
+    name: 'shiprocket_in_transit',
+    description: 'In-transit tracking updates',
+    unit: 'updates',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'shipment_id', 'order_id'],
+    sourceEvents: ['in_transit']
+  },
+  {
+    name: 'shiprocket_out_for_delivery',
+    description: 'Out-for-delivery attempts',
+    unit: 'attempts',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'shipment_id', 'order_id'],
+    sourceEvents: ['out_for_delivery']
+  },
+  {
+    name: 'shiprocket_failed_deliveries',
+    description: 'Failed delivery attempts',
+    unit: 'attempts',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'shipment_id', 'order_id', 'reason'],
+    sourceEvents: ['failed_delivery', 'delivery_failed']
+  },
+
+  // Delivery and COD collection
+  {
+    name: 'shiprocket_deliveries_successful',
+    description: 'Shipments delivered',
+    unit: 'shipments',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'courier', 'payment_status', 'payment_type', 'was_cod'],
+    sourceEvents: ['order_delivered', 'delivered']
+  },
+  {
+    name: 'shiprocket_cod_collected',
+    description: 'COD orders paid on delivery',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'collection_status'],
+    sourceEvents: ['order_delivered', 'delivered']
+  },
+  {
+    name: 'shiprocket_cod_collection_amount',
+    description: 'Cash collected on delivery',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'currency', 'collection_method'],
+    sourceEvents: ['order_delivered', 'delivered']
+  },
+  {
+    name: 'shiprocket_payment_status_updated',
+    description: 'COD payment status changes (collected or failed)',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'previous_status', 'new_status', 'collection_method', 'failure_method'],
+    sourceEvents: ['order_delivered', 'delivered', 'order_returned', 'rto']
+  },
+  {
+    name: 'shiprocket_delivery_time',
+    description: 'Shipment to delivery',
+    unit: 'hours',
+    valueType: 'duration',
+    aggregation: 'avg',
+    dimensions: ['source', 'event', 'order_id', 'courier', 'unit', 'payment_type'],
+    sourceEvents: ['order_delivered', 'delivered']
+  },
+  {
+    name: 'shiprocket_transit_time',
+    description: 'Courier pickup to delivery',
+    unit: 'hours',
+    valueType: 'duration',
+    aggregation: 'avg',
+    dimensions: ['source', 'event', 'order_id', 'courier', 'unit'],
+    sourceEvents: ['order_delivered', 'delivered']
+  },
+  {
+    name: 'shiprocket_fulfillment_time',
+    description: 'Order creation to delivery',
+    unit: 'hours',
+    valueType: 'duration',
+    aggregation: 'avg',
+    dimensions: ['source', 'event', 'order_id', 'unit', 'payment_type'],
+    sourceEvents: ['order_delivered', 'delivered']
+  },
+
+  // Cancellations, returns and RTO
+  {
+    name: 'shiprocket_orders_cancelled',
+    description: 'Orders cancelled',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'reason'],
+    sourceEvents: ['order_cancelled', 'cancelled']
+  },
+  {
+    name: 'shiprocket_revenue_lost',
+    description: 'Order value of cancelled orders',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'currency'],
+    sourceEvents: ['order_cancelled', 'cancelled']
+  },
+  {
+    name: 'shiprocket_returns',
+    description: 'Customer returns received',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'reason', 'payment_status', 'payment_type', 'was_cod'],
+    sourceEvents: ['order_returned']
+  },
+  {
+    name: 'shiprocket_rto_orders',
+    description: 'Orders returned to origin',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'reason', 'payment_status', 'payment_type', 'was_cod'],
+    sourceEvents: ['order_returned', 'rto']
+  },
+  {
+    name: 'shiprocket_cod_collection_failed',
+    description: 'COD orders that went RTO without payment',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'shipment_id', 'failure_reason', 'collection_status'],
+    sourceEvents: ['order_returned', 'rto']
+  },
+  {
+    name: 'shiprocket_cod_collection_failed_amount',
+    description: 'COD amount not collected because of RTO',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'currency', 'failure_type'],
+    sourceEvents: ['order_returned', 'rto']
+  },
+  {
+    name: 'shiprocket_return_cost',
+    description: 'Return and RTO shipping charges',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'currency', 'payment_type'],
+    sourceEvents: ['order_returned', 'rto']
+  },
+
+  // Daily summaries
+  {
+    name: 'shipping_orders_created',
+    description: 'Orders created in the summary period',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'type'],
+    sourceEvents: ['summary:shipping']
+  },
+  {
+    name: 'shipping_cost_total',
+    description: 'Total shipping cost in the summary period',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'type', 'currency'],
+    sourceEvents: ['summary:shipping']
+  },
+  {
+    name: 'average_shipping_time',
+    description: 'Average shipping time in the summary period',
+    unit: 'hours',
+    valueType: 'duration',
+    aggregation: 'avg',
+    dimensions: ['source', 'type', 'unit'],
+    sourceEvents: ['summary:shipping']
+  },
+  {
+    name: 'deliveries_completed',
+    description: 'Successful deliveries in the summary period',
+    unit: 'shipments',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'type', 'status'],
+    sourceEvents: ['summary:delivery']
+  },
+  {
+    name: 'delivery_success_rate',
+    description: 'Share of delivery attempts that succeeded',
+    unit: 'percent',
+    valueType: 'percentage',
+    aggregation: 'avg',
+    dimensions: ['source', 'type', 'unit'],
+    sourceEvents: ['summary:delivery']
+  },
+  {
+    name: 'failed_deliveries',
+    description: 'Failed deliveries in the summary period',
+    unit: 'shipments',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'type', 'status'],
+    sourceEvents: ['summary:delivery']
+  },
+  {
+    name: 'returns_initiated',
+    description: 'Returns initiated in the summary period',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'type'],
+    sourceEvents: ['summary:returns']
+  },
+  {
+    name: 'return_rate',
+    description: 'Returns as a share of orders',
+    unit: 'percent',
+    valueType: 'percentage',
+    aggregation: 'avg',
+    dimensions: ['source', 'type', 'unit'],
+    sourceEvents: ['summary:returns']
+  },
+  {
+    name: 'rto_orders',
+    description: 'RTO orders in the summary period',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'type'],
+    sourceEvents: ['summary:returns']
+  },
+
+  // Per-order contribution margin, emitted when the order settles
+  {
+    name: 'shiprocket_order_net_revenue',
+    description: 'Revenue realized by a settled order (order value if delivered, otherwise 0)',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'outcome', 'payment_type', 'courier', 'channel', 'currency'],
+    sourceEvents: ['order_delivered', 'delivered', 'rto', 'order_returned', 'order_cancelled', 'cancelled']
+  },
+  {
+    name: 'shiprocket_order_logistics_cost',
+    description: 'Forward shipping, RTO/return charges and COD fees of a settled order',
+    unit: 'INR',
+    valueType: 'amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'outcome', 'payment_type', 'courier', 'channel', 'currency'],
+    sourceEvents: ['order_delivered', 'delivered', 'rto', 'order_returned', 'order_cancelled', 'cancelled']
+  },
+  {
+    name: 'shiprocket_order_contribution_margin',
+    description: 'Net revenue less logistics cost of a settled order',
+    unit: 'INR',
+    valueType: 'net_amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'event', 'order_id', 'outcome', 'payment_type', 'courier', 'channel', 'currency'],
+    sourceEvents: ['order_delivered', 'delivered', 'rto', 'order_returned', 'order_cancelled', 'cancelled']
+  },
+
+  // Outcomes by Triple Whale attribution
+  {
+    name: 'shiprocket_attributed_orders',
+    description: 'Orders by attributed channel, campaign and ad',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'channel', 'campaign', 'ad'],
+    sourceEvents: ['attribution']
+  },
+  {
+    name: 'shiprocket_attributed_rto_orders',
+    description: 'RTO orders by attributed channel, campaign and ad',
+    unit: 'orders',
+    valueType: 'count',
+    aggregation: 'sum',
+    dimensions: ['source', 'channel', 'campaign', 'ad'],
+    sourceEvents: ['attribution']
+  },
+  {
+    name: 'shiprocket_attributed_rto_rate',
+    description: 'RTOs as a share of delivered and RTO orders, by attribution',
+    unit: 'percent',
+    valueType: 'percentage',
+    aggregation: 'avg',
+    dimensions: ['source', 'channel', 'campaign', 'ad'],
+    sourceEvents: ['attribution']
+  },
+  {
+    name: 'shiprocket_attributed_cod_rto_rate',
+    description: 'RTOs as a share of COD orders, by attribution',
+    unit: 'percent',
+    valueType: 'percentage',
+    aggregation: 'avg',
+    dimensions: ['source', 'channel', 'campaign', 'ad'],
+    sourceEvents: ['attribution']
+  },
+  {
+    name: 'shiprocket_attributed_net_delivered_revenue',
+    description: 'Delivered order value less shipping and return charges, by attribution',
+    unit: 'INR',
+    valueType: 'net_amount',
+    aggregation: 'sum',
+    dimensions: ['source', 'channel', 'campaign', 'ad'],
+    sourceEvents: ['attribution']
+  }
+];
+
+const METRICS_BY_NAME = new Map(METRICS.map(metric => [metric.name, metric]));
+
+// Value checks per valueType: returns an error message or null
+const VALUE_CHECKS = {
+  count: value => (Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative whole number'),
+  amount: value => (value >= 0 ? null : 'must not be negative'),
+  duration: value => (value >= 0 ? null : 'must not be negative'),
+  percentage: value => (value >= 0 && value <= 100 ? null : 'must be between 0 and 100'),
+  net_amount: value => (Number.isFinite(value) ? null : 'must be a finite number'),
+  // Reconciliation adjustments correct drift in either direction
+  adjustment: () => null
+};
+
+const stats = {
+  checked: 0,
+  unknownMetrics: {},
+  undeclaredDimensions: {}
+};
+
+function getMetric(name) {
+  return METRICS_BY_NAME.get(name) || null;
+}
+
+/**
+ * Check a metric against its catalog entry.
+ * Unknown names and bad values are errors (the metric is quarantined);
+ * undeclared dimensions are only reported, so a new dimension doesn't drop data.
+ */
+function checkMetric(metric) {
+  stats.checked++;
+  const definition = getMetric(metric.metric_name);
+
+  if (!definition) {
+    stats.unknownMetrics[metric.metric_name] = (stats.unknownMetrics[metric.metric_name] || 0) + 1;
+    return [{ field: 'metric_name', message: `"${metric.metric_name}" is not in the metric catalog`, value: metric.metric_name }];
+  }
+
+  const errors = [];
+  const valueType = metric.dimensions?.adjustment ? 'adjustment' : definition.valueType;
+  const valueError = VALUE_CHECKS[valueType](Number(metric.value));
+  if (valueError) {
+    errors.push({ field: 'value', message: `${valueType} value ${valueError}`, value: metric.value });
+  }
+
+  const undeclared = Object.keys(metric.dimensions || {}).filter(name => !definition.dimensions.includes(name));
+  for (const name of undeclared) {
+    const key = `${metric.metric_name}.${name}`;
+    if (!stats.undeclaredDimensions[key]) {
+      logger.warn('Metric emitted with a dimension missing from the catalog', {
+        metricName: metric.metric_name,
+        dimension: name
+      });
+    }
+    stats.undeclaredDimensions[key] = (stats.undeclaredDimensions[key] || 0) + 1;
+  }
+
+  return errors;
+}
+
+function listMetrics() {
+  return METRICS.map(metric => ({ ...metric }));
+}
+
+function getStats() {
+  return {
+    metrics: METRICS.length,
+    checked: stats.checked,
+    unknownMetrics: { ...stats.unknownMetrics },
+    undeclaredDimensions: { ...stats.undeclaredDimensions }
+  };
+}
+
+module.exports = {
+  METRICS,
+  getMetric,
+  checkMetric,
+  listMetrics,
+  getStats
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+
+/**
+ * JSON with sorted keys so equal objects always serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Identity of the event or record metrics were built from. Sources pass an
+ * explicit eventId when they have one; otherwise every field except the raw
+ * payload identifies it.
+ */
+function getSourceId(source) {
+  if (!source) return null;
+  if (source.eventId) return String(source.eventId);
+
+  const identity = Object.fromEntries(Object.entries(source).filter(([key]) => key !== 'data'));
+  return stableStringify(identity);
+}
+
+/**
+ * Idempotency key for a metric from its source, name, date and dimensions.
+ * Metrics without a source are keyed on their value too, so only an exact
+ * repeat is treated as a duplicate.
+ */
+function getMetricKey(metric, sourceId = null) {
+  const parts = [
+    sourceId ?? `value:${metric.value}`,
+    metric.metric_name,
+    metric.date,
+    stableStringify(metric.dimensions || {})
+  ];
+
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Gives every metric a stable idempotency key and keeps a ledger of the keys
+ * already counted (acknowledged by Triple Whale or folded into a rollup), so
+ * retried flushes, dead-letter replays and repeated syncs can't count the same
+ * metric twice. The ledger fails open: if it can't be read, metrics are pushed.
+ */
+class MetricIdempotency {
+  constructor() {
+    this.timer = null;
+
+    this.stats = {
+      acknowledged: 0,
+      duplicatesSkipped: 0,
+      ledgerErrors: 0,
+      pruned: 0
+    };
+  }
+
+  isEnabled() {
+    return config.idempotency.enabled;
+  }
+
+  start() {
+    if (!this.isEnabled() || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.prune().catch(() => {});
+    }, config.idempotency.pruneIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Add idempotency keys to metrics that don't carry one yet
+   */
+  assignKeys(metrics, source = null) {
+    const sourceId = getSourceId(source);
+
+    return metrics.map(metric => (metric.idempotency_key
+      ? metric
+      : { ...metric, idempotency_key: getMetricKey(metric, sourceId) }));
+  }
+
+  /**
+   * Drop metrics whose key was already counted, including repeats within the list
+   */
+  async filterAcknowledged(metrics) {
+    const seen = new Set();
+    const unique = metrics.filter((metric) => {
+      if (seen.has(metric.idempotency_key)) return false;
+      seen.add(metric.idempotency_key);
+      return true;
+    });
+
+    let acknowledged = new Set();
+    if (this.isEnabled() && unique.length > 0) {
+      try {
+        const { rows } = await db.query(
+          'SELECT idempotency_key FROM metric_acknowledgements WHERE idempotency_key = ANY($1::TEXT[])',
+          [unique.map(metric => metric.idempotency_key)]
+        );
+        acknowledged = new Set(rows.map(row => row.idempotency_key));
+      } catch (error) {
+        this.stats.ledgerErrors++;
+        logger.warn('Metric acknowledgement ledger unavailable, pushing without duplicate check', {
+          error: error.message
+        });
+      }
+    }
+
+    const pending = unique.filter(metric => !acknowledged.has(metric.idempotency_key));
+    const skipped = metrics.length - pending.length;
+
+    if (skipped > 0) {
+      this.stats.duplicatesSkipped += skipped;
+      logger.info('Skipped metrics already counted', { skipped });
+    }
+
+    return pending;
+  }
+
+  /**
+   * Record keys Triple Whale accepted
+   */
+  async acknowledge(metrics, acknowledgedBy = 'triple_whale') {
+    if (!this.isEnabled() || metrics.length === 0) return;
+
+    try {
+      await db.query(
+        `INSERT INTO metric_acknowledgements (idempotency_key, metric_name, date, acknowledged_by)
+         SELECT * FROM UNNEST($1::TEXT[], $2::TEXT[], $3::DATE[], $4::TEXT[])
+         ON CONFLICT (idempotency_key) DO NOTHING`,
+        [
+          metrics.map(metric => metric.idempotency_key),
+          metrics.map(metric => metric.metric_name),
+          metrics.map(metric => metric.date),
+          metrics.map(() => acknowledgedBy)
+        ]
+      );
+      this.stats.acknowledged += metrics.length;
+    } catch (error) {
+      // The push already succeeded - a replay of these metrics could now be counted again
+      this.stats.ledgerErrors++;
+      logger.error('Failed to record acknowledged metric keys', error, { metricsCount: metrics.length });
+    }
+  }
+
+  /**
+   * Claim keys inside a caller's transaction. Returns the keys that were not
+   * claimed before.
+   */
+  async claim(client, metrics, acknowledgedBy) {
+    if (!this.isEnabled()) {
+      return new Set(metrics.map(metric => metric.idempotency_key));
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO metric_acknowledgements (idempotency_key, metric_name, date, acknowledged_by)
+       SELECT * FROM UNNEST($1::TEXT[], $2::TEXT[], $3::DATE[], $4::TEXT[])
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING idempotency_key`,
+      [
+        metrics.map(metric => metric.idempotency_key),
+        metrics.map(metric => metric.metric_name),
+        metrics.map(metric => metric.date),
+        metrics.map(() => acknowledgedBy)
+      ]
+    );
+
+    const claimed = new Set(rows.map(row => row.idempotency_key));
+    const skipped = metrics.length - claimed.size;
+    if (skipped > 0) {
+      this.stats.duplicatesSkipped += skipped;
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Forget keys older than the retention window
+   */
+  async prune() {
+    try {
+      const { rowCount } = await db.query(
+        `DELETE FROM metric_acknowledgements
+         WHERE acknowledged_at < NOW() - make_interval(days => $1)`,
+        [config.idempotency.retentionDays]
+      );
+      this.stats.pruned += rowCount;
+      return rowCount;
+    } catch (error) {
+      logger.warn('Failed to prune metric acknowledgements', { error: error.message });
+      throw error;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      retentionDays: config.idempotency.retentionDays,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MetricIdempotency();
+module.exports.getMetricKey = getMetricKey;
+module.exports.getSourceId = getSourceId;
@@ -0,0 +1,222 @@
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const metricBuffer = require('../queue/metric-buffer');
+const metricQuarantine = require('../queue/metric-quarantine');
+const metricCatalog = require('./catalog');
+const metricIdempotency = require('./idempotency');
+
+/**
+ * Dimensions a metric may keep once rolled up
+ */
+function getAllowedDimensions(metricName) {
+  return config.rollup.dimensionAllowlist[metricName] || config.rollup.dimensions;
+}
+
+/**
+ * Reduce a per-order metric's dimensions to the allowlisted, low-cardinality ones.
+ * payment_type is derived from the COD flags when the metric doesn't carry it.
+ */
+function rollupDimensions(metric) {
+  const source = { ...metric.dimensions };
+  const cod = source.is_cod ?? source.was_cod;
+
+  if (source.payment_type === undefined && cod !== undefined) {
+    source.payment_type = cod ? 'COD' : 'Prepaid';
+  }
+
+  const dimensions = {};
+  for (const name of getAllowedDimensions(metric.metric_name)) {
+    if (source[name] !== undefined && source[name] !== null) {
+      dimensions[name] = String(source[name]);
+    }
+  }
+
+  return dimensions;
+}
+
+/**
+ * Stable key for a dimension set, independent of property order
+ */
+function dimensionsKey(dimensions) {
+  return JSON.stringify(Object.keys(dimensions).sort().map(name => [name, dimensions[name]]));
+}
+
+/**
+ * Aggregates webhook metrics into per-day totals by a small set of dimensions
+ * (courier, channel, payment type by default) instead of pushing one metric
+ * per order. Totals are kept in PostgreSQL; changed totals are pushed
+ * periodically, each push carrying the full day value so far.
+ */
+class MetricRollup {
+  constructor() {
+    this.timer = null;
+    this.flushing = null;
+
+    this.stats = {
+      recorded: 0,
+      pushed: 0,
+      lastFlushAt: null,
+      lastError: null
+    };
+  }
+
+  isEnabled() {
+    return config.rollup.enabled;
+  }
+
+  start() {
+    if (!this.isEnabled() || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, config.rollup.flushIntervalMs);
+    this.timer.unref();
+
+    logger.info('Metric rollup started', {
+      dimensions: config.rollup.dimensions,
+      flushIntervalMs: config.rollup.flushIntervalMs
+    });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.isEnabled()) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Add metrics to their daily totals. Invalid metrics are quarantined first
+   * and metrics already counted (same idempotency key) are skipped.
+   */
+  async record(metrics, source = null) {
+    const valid = metricIdempotency.assignKeys(await metricQuarantine.filter(metrics, source), source);
+
+    const rows = valid.map((metric) => {
+      const dimensions = rollupDimensions(metric);
+      return {
+        metricName: metric.metric_name,
+        date: metric.date,
+        idempotencyKey: metric.idempotency_key,
+        key: dimensionsKey(dimensions),
+        dimensions,
+        // Quarantine already rejected metrics missing from the catalog
+        aggregation: metricCatalog.getMetric(metric.metric_name).aggregation,
+        value: Number(metric.value)
+      };
+    });
+
+    if (rows.length === 0) return 0;
+
+    // Same lock order in every transaction so concurrent events can't deadlock
+    rows.sort((a, b) => `${a.metricName}|${a.date}|${a.key}`.localeCompare(`${b.metricName}|${b.date}|${b.key}`));
+
+    const recorded = await db.withTransaction(async (client) => {
+      // Claiming the keys in the same transaction keeps a replayed event out of the totals
+      const claimed = await metricIdempotency.claim(client, valid, 'rollup');
+      const counted = rows.filter(row => claimed.delete(row.idempotencyKey));
+
+      for (const row of counted) {
+        await client.query(
+          `INSERT INTO metric_rollups (metric_name, date, dimensions_key, dimensions, aggregation, total, count, version)
+           VALUES ($1, $2, $3, $4, $5, $6, 1, 1)
+           ON CONFLICT (metric_name, date, dimensions_key) DO UPDATE
+           SET total = metric_rollups.total + EXCLUDED.total,
+               count = metric_rollups.count + 1,
+               version = metric_rollups.version + 1,
+               updated_at = NOW()`,
+          [row.metricName, row.date, row.key, row.dimensions, row.aggregation, row.value]
+        );
+      }
+
+      return counted.length;
+    });
+
+    this.stats.recorded += recorded;
+    return recorded;
+  }
+
+  /**
+   * Queue every changed daily total for Triple Whale. Claiming rows by
+   * bumping pushed_version keeps replicas from pushing the same change twice.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.pushChanged().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async pushChanged() {
+    try {
+      // If the totals can't be queued the claim is rolled back and retried next flush
+      const metrics = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `UPDATE metric_rollups
+           SET pushed_version = version, pushed_at = NOW()
+           WHERE version > pushed_version
+           RETURNING metric_name, to_char(date, 'YYYY-MM-DD') AS date, dimensions_key, dimensions,
+                     aggregation, total, count, version`
+        );
+
+        const changed = rows.map((row) => {
+          const metric = {
+            metric_name: row.metric_name,
+            value: row.aggregation === 'avg' ? row.total / row.count : row.total,
+            date: row.date,
+            dimensions: row.dimensions
+          };
+          // Each version of a daily total is pushed (and acknowledged) once
+          return { ...metric, idempotency_key: metricIdempotency.getMetricKey(metric, `rollup:${row.dimensions_key}:${row.version}`) };
+        });
+
+        await metricBuffer.add(changed, { type: 'rollup' });
+        return changed;
+      });
+
+      this.stats.pushed += metrics.length;
+      this.stats.lastFlushAt = new Date().toISOString();
+      this.stats.lastError = null;
+
+      if (metrics.length > 0) {
+        logger.debug('Daily rollups queued for Triple Whale', { metricsCount: metrics.length });
+      }
+
+      return metrics.length;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.error('Metric rollup flush failed', error);
+      throw error;
+    }
+  }
+
+  async getStats() {
+    const stats = {
+      enabled: this.isEnabled(),
+      dimensions: config.rollup.dimensions,
+      dimensionAllowlist: config.rollup.dimensionAllowlist,
+      ...this.stats
+    };
+
+    if (this.isEnabled()) {
+      try {
+        const { rows } = await db.query(
+          'SELECT COUNT(*)::INTEGER AS pending FROM metric_rollups WHERE version > pushed_version'
+        );
+        stats.pending = rows[0].pending;
+      } catch (error) {
+        stats.pending = null;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new MetricRollup();
+module.exports.rollupDimensions = rollupDimensions;
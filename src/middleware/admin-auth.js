@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Require the admin API key (X-API-Key header) for operational endpoints.
+ * Without ADMIN_API_KEY the admin API is only open outside production.
+ */
+function requireAdminKey(req, res, next) {
+  const expectedKey = config.security.adminApiKey;
+
+  if (!expectedKey) {
+    if (config.server.nodeEnv === 'production') {
+      return res.status(503).json({ error: 'Admin API is disabled - ADMIN_API_KEY is not configured' });
+    }
+    return next();
+  }
+
+  const providedKey = req.get('X-API-Key') || '';
+  const expected = Buffer.from(expectedKey);
+  const provided = Buffer.from(providedKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Rejected admin API request', {
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminKey
+};
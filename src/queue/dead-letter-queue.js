@@ -0,0 +1,225 @@
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const webhookDeduplicator = require('../webhooks/deduplicator');
+const { processWebhookEvent, emitWebhookMetrics } = require('../webhooks/shiprocket-handler');
+
+const STATUS = {
+  OPEN: 'open',
+  REPLAYED: 'replayed',
+  DISCARDED: 'discarded'
+};
+
+/**
+ * Build a WHERE clause from list/replay filters
+ */
+function buildFilter(filter = {}) {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filter.status) add('status = ?', filter.status);
+  if (filter.eventType) add('event_type = ?', filter.eventType);
+  if (filter.orderId) add('order_id = ?', String(filter.orderId));
+  if (filter.from) add('created_at >= ?', filter.from);
+  if (filter.to) add('created_at <= ?', filter.to);
+  if (filter.errorContains) add('error ILIKE ?', `%${filter.errorContains}%`);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Dead-letter store for webhook events that could not be delivered to Triple Whale.
+ *
+ * Keeps the original payload, the metrics that were generated with the event
+ * they came from, the error and the attempt count so an outage can be replayed
+ * once Triple Whale is back.
+ */
+class DeadLetterQueue {
+  async add({
+    inboxId = null, source = 'shiprocket', payload, metrics = null, metricSource = null, error, attempts = 0
+  }) {
+    const data = payload.data || {};
+
+    const { rows } = await db.query(
+      `INSERT INTO dead_letters
+         (inbox_id, source, event_type, order_id, shipment_id, payload, metrics, metric_source,
+          error, error_details, attempts)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id`,
+      [
+        inboxId,
+        source,
+        payload.event_type || null,
+        data.order_id != null ? String(data.order_id) : null,
+        data.shipment_id != null ? String(data.shipment_id) : null,
+        payload,
+        metrics ? JSON.stringify(metrics) : null,
+        metricSource,
+        error.message,
+        {
+          name: error.name,
+          code: error.code || null,
+          status: error.response?.status || null,
+          response: error.response?.data || null
+        },
+        attempts
+      ]
+    );
+
+    logger.warn('Event moved to dead-letter queue', {
+      deadLetterId: rows[0].id,
+      inboxId,
+      eventType: payload.event_type,
+      orderId: data.order_id,
+      metricsCount: metrics ? metrics.length : 0,
+      error: error.message
+    });
+
+    return rows[0].id;
+  }
+
+  async list(filter = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = buildFilter(filter);
+
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+      db.query(
+        `SELECT id, inbox_id, source, event_type, order_id, shipment_id, error, attempts,
+                status, replay_count, created_at, updated_at, replayed_at,
+                COALESCE(jsonb_array_length(metrics), 0) AS metrics_count
+         FROM dead_letters ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      db.query(`SELECT COUNT(*)::INTEGER AS total FROM dead_letters ${where}`, params)
+    ]);
+
+    return { entries: rows, total: countRows[0].total, limit, offset };
+  }
+
+  async get(id) {
+    const { rows } = await db.query('SELECT * FROM dead_letters WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Replay one entry. Stored metrics are queued again the way the webhook
+   * queued them, under the original event's idempotency keys; entries that
+   * failed before metrics were generated are processed again from the payload.
+   */
+  async replay(id) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return { id, success: false, reason: 'not_found', error: 'Dead letter not found' };
+    }
+
+    if (entry.status !== STATUS.OPEN) {
+      return { id, success: false, reason: 'not_open', error: `Dead letter is already ${entry.status}` };
+    }
+
+    try {
+      let metricsPushed;
+
+      if (entry.metrics && entry.metrics.length > 0) {
+        // Entries dead-lettered before the source was stored are keyed from the payload
+        const { settled = false, ...metricSource } = entry.metric_source || {
+          type: 'webhook',
+          eventId: webhookDeduplicator.getKey(entry.payload),
+          eventType: entry.event_type,
+          orderId: entry.order_id,
+          shipmentId: entry.shipment_id
+        };
+
+        await emitWebhookMetrics(entry.metrics, { ...metricSource, data: entry.payload.data }, { settled });
+        metricsPushed = entry.metrics.length;
+      } else {
+        const result = await processWebhookEvent(entry.payload.event_type, entry.payload.data);
+        metricsPushed = result.metricsGenerated || 0;
+      }
+
+      await db.query(
+        `UPDATE dead_letters
+         SET status = $2, replay_count = replay_count + 1, replayed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [id, STATUS.REPLAYED]
+      );
+
+      logger.info('Dead letter replayed', { deadLetterId: id, metricsPushed });
+      return { id, success: true, metricsPushed };
+
+    } catch (error) {
+      await db.query(
+        `UPDATE dead_letters
+         SET replay_count = replay_count + 1, error = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [id, error.message]
+      );
+
+      logger.error('Dead letter replay failed', error, { deadLetterId: id });
+      return { id, success: false, reason: 'push_failed', error: error.message };
+    }
+  }
+
+  /**
+   * Replay all open entries matching a filter, one at a time
+   */
+  async replayMany(filter = {}, { limit = 100 } = {}) {
+    const { where, params } = buildFilter({ ...filter, status: STATUS.OPEN });
+    const { rows } = await db.query(
+      `SELECT id FROM dead_letters ${where} ORDER BY created_at LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+
+    const results = [];
+    for (const row of rows) {
+      results.push(await this.replay(row.id));
+    }
+
+    return {
+      attempted: results.length,
+      replayed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+  }
+
+  /**
+   * Mark an entry as discarded. The row is kept for auditing.
+   */
+  async discard(id) {
+    const { rowCount } = await db.query(
+      `UPDATE dead_letters SET status = $2, updated_at = NOW()
+       WHERE id = $1 AND status = $3`,
+      [id, STATUS.DISCARDED, STATUS.OPEN]
+    );
+
+    if (rowCount > 0) {
+      logger.info('Dead letter discarded', { deadLetterId: id });
+    }
+
+    return rowCount > 0;
+  }
+
+  async getStats() {
+    const { rows } = await db.query(
+      'SELECT status, COUNT(*)::INTEGER AS count FROM dead_letters GROUP BY status'
+    );
+
+    const stats = { open: 0, replayed: 0, discarded: 0 };
+    for (const row of rows) {
+      stats[row.status] = row.count;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new DeadLetterQueue();
+module.exports.STATUS = STATUS;
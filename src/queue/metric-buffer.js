@@ -0,0 +1,332 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const redis = require('../db/redis');
+const tripleWhaleAPI = require('../api/triplewhale');
+const metricQuarantine = require('./metric-quarantine');
+const metricIdempotency = require('../metrics/idempotency');
+
+/**
+ * In-process metric store
+ */
+class MemoryStore {
+  constructor() {
+    this.items = [];
+  }
+
+  async push(metrics) {
+    this.items.push(...metrics);
+    return this.items.length;
+  }
+
+  async take(limit) {
+    return this.items.splice(0, limit);
+  }
+
+  // Put metrics back at the head so they go out before newer ones
+  async requeue(metrics) {
+    this.items.unshift(...metrics);
+  }
+
+  // Remove and return the oldest metrics past maxDepth
+  async trim(maxDepth) {
+    return this.items.splice(0, Math.max(this.items.length - maxDepth, 0));
+  }
+
+  async depth() {
+    return this.items.length;
+  }
+}
+
+/**
+ * Redis list store - survives restarts and is shared between replicas
+ */
+class RedisStore {
+  constructor(key) {
+    this.key = key;
+  }
+
+  async push(metrics) {
+    const client = await redis.getClient();
+    return client.rPush(this.key, metrics.map(metric => JSON.stringify(metric)));
+  }
+
+  async take(limit) {
+    const client = await redis.getClient();
+    const [items] = await client.multi()
+      .lRange(this.key, 0, limit - 1)
+      .lTrim(this.key, limit, -1)
+      .exec();
+    return items.map(item => JSON.parse(item));
+  }
+
+  async requeue(metrics) {
+    const client = await redis.getClient();
+    // LPUSH prepends one at a time, so push in reverse to keep the original order
+    await client.lPush(this.key, metrics.map(metric => JSON.stringify(metric)).reverse());
+  }
+
+  async trim(maxDepth) {
+    const client = await redis.getClient();
+    const excess = (await client.lLen(this.key)) - maxDepth;
+    if (excess <= 0) return [];
+
+    const [items] = await client.multi()
+      .lRange(this.key, 0, excess - 1)
+      .lTrim(this.key, excess, -1)
+      .exec();
+    return items.map(item => JSON.parse(item));
+  }
+
+  async depth() {
+    const client = await redis.getClient();
+    return client.lLen(this.key);
+  }
+}
+
+/**
+ * Collects metrics from webhooks and sync jobs and pushes them to Triple Whale
+ * in batches through pushBatchMetrics, once flushSize metrics are waiting or
+ * every flushIntervalMs. Metrics that fail to push stay buffered for the next
+ * flush. With the Redis store, metrics that can't be written to Redis fall
+ * back to the in-process buffer. Metrics trimmed past maxDepth, and metrics
+ * still in the in-process buffer at shutdown, go to the dead-letter queue.
+ */
+class MetricBuffer {
+  constructor() {
+    this.memory = new MemoryStore();
+    this.store = config.metricBuffer.store === 'redis'
+      ? new RedisStore(config.metricBuffer.redisKey)
+      : this.memory;
+    this.timer = null;
+    this.flushing = null;
+
+    this.stats = {
+      buffered: 0,
+      flushed: 0,
+      flushes: 0,
+      failedFlushes: 0,
+      deadLettered: 0,
+      dropped: 0,
+      lastFlushAt: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    if (!config.metricBuffer.enabled || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, config.metricBuffer.flushIntervalMs);
+    this.timer.unref();
+
+    logger.info('Metric buffer started', {
+      store: config.metricBuffer.store,
+      flushSize: config.metricBuffer.flushSize,
+      flushIntervalMs: config.metricBuffer.flushIntervalMs
+    });
+  }
+
+  /**
+   * Stop the flush timer and push whatever is still buffered. Metrics the
+   * in-process buffer still holds would be lost on exit, so they are
+   * dead-lettered; the Redis store keeps its metrics for the next start.
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (!config.metricBuffer.enabled) return;
+
+    let flushError = null;
+    try {
+      await this.flush();
+    } catch (error) {
+      flushError = error;
+    }
+
+    const unflushed = await this.memory.take(Infinity);
+    if (unflushed.length > 0) {
+      await this.deadLetter(unflushed, 'shutdown', flushError || new Error('Metric buffer stopped before it was flushed'));
+    }
+
+    logger.info('Metric buffer stopped', this.stats);
+  }
+
+  /**
+   * Queue metrics for Triple Whale. With buffering disabled they are pushed
+   * immediately, so push errors reach the caller. Invalid metrics are
+   * quarantined with `source` (the event or record they came from), which
+   * also keys the metrics for idempotency before they are buffered.
+   * Resolves to the number of valid metrics queued.
+   */
+  async add(metrics, source = null) {
+    metrics = metricIdempotency.assignKeys(await metricQuarantine.filter(metrics, source), source);
+    if (metrics.length === 0) return 0;
+
+    if (!config.metricBuffer.enabled) {
+      await tripleWhaleAPI.pushKeyedMetrics(metrics);
+      global.metricsSynced = (global.metricsSynced || 0) + metrics.length;
+      return metrics.length;
+    }
+
+    let depth;
+    try {
+      depth = await this.store.push(metrics);
+    } catch (error) {
+      logger.warn('Metric buffer store unavailable, buffering in memory', { error: error.message });
+      depth = await this.memory.push(metrics);
+    }
+
+    this.stats.buffered += metrics.length;
+
+    if (depth > config.metricBuffer.maxDepth) {
+      await this.enforceMaxDepth();
+    }
+
+    if (depth >= config.metricBuffer.flushSize) {
+      this.flush().catch(() => {});
+    }
+
+    return metrics.length;
+  }
+
+  async enforceMaxDepth() {
+    let trimmed;
+    try {
+      trimmed = await this.store.trim(config.metricBuffer.maxDepth);
+    } catch (error) {
+      logger.warn('Failed to trim metric buffer', { error: error.message });
+      return;
+    }
+
+    if (trimmed.length === 0) return;
+
+    logger.error('Metric buffer full, dead-lettering oldest metrics', null, {
+      trimmed: trimmed.length,
+      maxDepth: config.metricBuffer.maxDepth
+    });
+    await this.deadLetter(
+      trimmed,
+      'overflow',
+      new Error(`Metric buffer exceeded ${config.metricBuffer.maxDepth} metrics`)
+    );
+  }
+
+  /**
+   * Move metrics the buffer can't keep to the dead-letter queue. They keep
+   * their idempotency keys, so a replay can't count them twice.
+   */
+  async deadLetter(metrics, reason, error) {
+    // Required here because the dead-letter queue replays through the webhook handler, which requires this module
+    const deadLetterQueue = require('./dead-letter-queue');
+
+    try {
+      await deadLetterQueue.add({
+        source: 'metric_buffer',
+        payload: { event_type: `metric_buffer_${reason}` },
+        metrics,
+        metricSource: { type: 'metric_buffer', reason },
+        error
+      });
+      this.stats.deadLettered += metrics.length;
+    } catch (dlqError) {
+      this.stats.dropped += metrics.length;
+      logger.error('Failed to dead-letter metrics, metrics dropped', dlqError, {
+        reason,
+        dropped: metrics.length
+      });
+    }
+  }
+
+  /**
+   * Push everything buffered. Concurrent calls share the same flush.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    const stores = this.store === this.memory ? [this.memory] : [this.memory, this.store];
+    let flushed = 0;
+
+    try {
+      for (const store of stores) {
+        flushed += await this.drainStore(store);
+      }
+      this.stats.lastError = null;
+    } catch (error) {
+      flushed += error.flushed || 0;
+      this.stats.failedFlushes++;
+      this.stats.lastError = error.message;
+      throw error;
+    } finally {
+      if (flushed > 0) {
+        this.stats.flushes++;
+        this.stats.flushed += flushed;
+        this.stats.lastFlushAt = new Date().toISOString();
+        global.metricsSynced = (global.metricsSynced || 0) + flushed;
+      }
+    }
+
+    return flushed;
+  }
+
+  async drainStore(store) {
+    let flushed = 0;
+
+    for (;;) {
+      let batch;
+      try {
+        batch = await store.take(config.metricBuffer.flushSize);
+      } catch (error) {
+        logger.warn('Metric buffer store unavailable, skipping flush', { error: error.message });
+        return flushed;
+      }
+
+      if (batch.length === 0) return flushed;
+
+      try {
+        await tripleWhaleAPI.pushBatchMetrics(batch, { keyed: true });
+        flushed += batch.length;
+      } catch (error) {
+        const unsent = error.unsentMetrics || batch;
+        await store.requeue(unsent).catch(() => this.memory.requeue(unsent));
+
+        logger.error('Metric buffer flush failed, metrics kept for retry', error, {
+          unsent: unsent.length
+        });
+        error.flushed = flushed + batch.length - unsent.length;
+        throw error;
+      }
+    }
+  }
+
+  async getStats() {
+    let depth = await this.memory.depth();
+
+    if (this.store !== this.memory) {
+      try {
+        depth += await this.store.depth();
+      } catch (error) {
+        depth = null;
+      }
+    }
+
+    return {
+      enabled: config.metricBuffer.enabled,
+      store: config.metricBuffer.store,
+      depth,
+      flushSize: config.metricBuffer.flushSize,
+      flushIntervalMs: config.metricBuffer.flushIntervalMs,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MetricBuffer();
@@ -0,0 +1,131 @@
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const { validateMetrics } = require('../utils/validators');
+const metricCatalog = require('../metrics/catalog');
+
+// Keep NaN/Infinity visible in the stored metric instead of JSON's null
+function serializeMetric(metric) {
+  return JSON.stringify(metric, (key, value) =>
+    typeof value === 'number' && !Number.isFinite(value) ? String(value) : value
+  );
+}
+
+/**
+ * Holds metrics that failed validation so they never reach Triple Whale.
+ * Each entry keeps the validation errors and the event or sync record the
+ * metric was built from.
+ */
+class MetricQuarantine {
+  constructor() {
+    this.stats = {
+      checked: 0,
+      quarantined: 0,
+      storeErrors: 0,
+      byMetric: {}
+    };
+  }
+
+  /**
+   * Validate metrics against the schema and the metric catalog, quarantine
+   * the invalid ones and return the valid ones
+   */
+  async filter(metrics, source = null) {
+    const list = Array.isArray(metrics) ? metrics : [metrics];
+    this.stats.checked += list.length;
+
+    const result = validateMetrics(list);
+    const invalid = new Map(result.isValid ? [] : result.errors.map(entry => [entry.index, entry.errors]));
+
+    list.forEach((metric, index) => {
+      if (invalid.has(index)) return;
+
+      const errors = metricCatalog.checkMetric(metric);
+      if (errors.length > 0) {
+        invalid.set(index, errors);
+      }
+    });
+
+    if (invalid.size === 0) {
+      return list;
+    }
+
+    await Promise.all([...invalid].map(([index, errors]) => this.add(list[index], errors, source)));
+
+    return list.filter((metric, index) => !invalid.has(index));
+  }
+
+  async add(metric, errors, source) {
+    const metricName = typeof metric?.metric_name === 'string' ? metric.metric_name : null;
+
+    this.stats.quarantined++;
+    this.stats.byMetric[metricName || 'unknown'] = (this.stats.byMetric[metricName || 'unknown'] || 0) + 1;
+
+    logger.warn('Invalid metric quarantined', {
+      metricName,
+      errors: errors.map(error => error.message),
+      source: source ? { type: source.type, eventType: source.eventType, orderId: source.orderId } : null
+    });
+
+    try {
+      await db.query(
+        `INSERT INTO metric_quarantine (metric_name, metric, errors, source)
+         VALUES ($1, $2, $3, $4)`,
+        [metricName, serializeMetric(metric ?? null), JSON.stringify(errors), source]
+      );
+    } catch (error) {
+      // Never hold up the valid metrics because the quarantine can't be written
+      this.stats.storeErrors++;
+      logger.error('Failed to store quarantined metric', error, { metric: serializeMetric(metric ?? null) });
+    }
+  }
+
+  async list({ metricName, from, to } = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (metricName) {
+      params.push(metricName);
+      conditions.push(`metric_name = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+      db.query(
+        `SELECT * FROM metric_quarantine ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      db.query(`SELECT COUNT(*)::INTEGER AS total FROM metric_quarantine ${where}`, params)
+    ]);
+
+    return { entries: rows, total: countRows[0].total, limit, offset };
+  }
+
+  /**
+   * Stored totals per metric name
+   */
+  async getCounts() {
+    const { rows } = await db.query(
+      `SELECT COALESCE(metric_name, 'unknown') AS metric_name, COUNT(*)::INTEGER AS count
+       FROM metric_quarantine GROUP BY 1 ORDER BY 2 DESC`
+    );
+
+    return Object.fromEntries(rows.map(row => [row.metric_name, row.count]));
+  }
+
+  getStats() {
+    return { ...this.stats, byMetric: { ...this.stats.byMetric } };
+  }
+}
+
+module.exports = new MetricQuarantine();
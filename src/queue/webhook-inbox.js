@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const { getEventRank } = require('../state/shipment-lifecycle');
+
+const STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * Durable inbox for accepted webhooks.
+ *
+ * Every webhook is written here before it is acknowledged, so a crash or a
+ * Triple Whale outage after the 200 can never lose the event. The worker
+ * claims pending rows, processes them and records the outcome.
+ */
+class WebhookInbox extends EventEmitter {
+  /**
+   * Persist an accepted webhook and notify the worker
+   */
+  async enqueue({ eventType, payload, source = 'shiprocket' }) {
+    const data = payload.data || {};
+
+    const { rows } = await db.query(
+      `INSERT INTO webhook_inbox (source, event_type, order_id, shipment_id, payload, status_rank)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, status, received_at`,
+      [
+        source,
+        eventType,
+        data.order_id != null ? String(data.order_id) : null,
+        data.shipment_id != null ? String(data.shipment_id) : null,
+        payload,
+        getEventRank(eventType, data)
+      ]
+    );
+
+    const entry = rows[0];
+    this.emit('enqueued', entry);
+    return entry;
+  }
+
+  /**
+   * Atomically claim a batch of due events. SKIP LOCKED lets several
+   * workers (or replicas) poll the same table without double-processing.
+   *
+   * Events are serialized per order: only the head of each order's queue
+   * (lowest lifecycle rank, then arrival) can be claimed, and nothing is
+   * claimed for an order that already has an event in processing. A head
+   * waiting for its retry holds back the events behind it.
+   *
+   * Claimed rows carry a lease (locked_by plus locked_at) that the worker
+   * renews while it works; only the lease holder can record the outcome.
+   */
+  async claimBatch(limit = config.inbox.batchSize) {
+    const { rows } = await db.query(
+      `UPDATE webhook_inbox
+       SET status = $1, attempts = attempts + 1, locked_at = NOW(), locked_by = $4
+       WHERE id IN (
+         SELECT i.id FROM webhook_inbox i
+         WHERE i.status = $2
+           AND i.next_attempt_at <= NOW()
+           AND NOT EXISTS (
+             SELECT 1 FROM webhook_inbox p
+             WHERE p.order_id = i.order_id
+               AND p.id <> i.id
+               AND (
+                 p.status = $1
+                 OR (p.status = $2 AND (p.status_rank, p.received_at, p.id) < (i.status_rank, i.received_at, i.id))
+               )
+           )
+         ORDER BY i.received_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [STATUS.PROCESSING, STATUS.PENDING, limit, crypto.randomUUID()]
+    );
+
+    return rows.sort((a, b) => a.received_at - b.received_at);
+  }
+
+  /**
+   * Extend a claimed event's lease. Returns false when the lease was lost
+   * (released as stale and possibly claimed by another worker).
+   */
+  async renewLease(id, lockedBy) {
+    const { rowCount } = await db.query(
+      `UPDATE webhook_inbox SET locked_at = NOW()
+       WHERE id = $1 AND status = $2 AND locked_by = $3`,
+      [id, STATUS.PROCESSING, lockedBy]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Record a processed event. Returns false when the lease was lost and the
+   * outcome was left to the current holder.
+   */
+  async markDone(id, result = null, lockedBy = null) {
+    const { rowCount } = await db.query(
+      `UPDATE webhook_inbox
+       SET status = $2, result = $3, last_error = NULL, locked_at = NULL, locked_by = NULL, processed_at = NOW()
+       WHERE id = $1 AND ($4::TEXT IS NULL OR locked_by = $4)`,
+      [id, STATUS.DONE, result, lockedBy]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Record a processing failure. The event goes back to pending with an
+   * exponential back-off until it runs out of attempts. leaseLost is set when
+   * another worker holds the event now, and nothing was recorded.
+   */
+  async markFailed(id, error, attempts, lockedBy = null) {
+    const exhausted = attempts >= config.inbox.maxAttempts;
+    const delayMs = config.inbox.retryDelayMs * Math.pow(config.retry.backoffFactor, attempts - 1);
+
+    const { rowCount } = await db.query(
+      `UPDATE webhook_inbox
+       SET status = $2,
+           last_error = $3,
+           locked_at = NULL,
+           locked_by = NULL,
+           next_attempt_at = NOW() + $4::INTEGER * INTERVAL '1 millisecond',
+           processed_at = CASE WHEN $5 THEN NOW() ELSE processed_at END
+       WHERE id = $1 AND ($6::TEXT IS NULL OR locked_by = $6)`,
+      [id, exhausted ? STATUS.FAILED : STATUS.PENDING, error.message, Math.round(delayMs), exhausted, lockedBy]
+    );
+
+    if (rowCount === 0) {
+      return { exhausted: false, retryInMs: null, leaseLost: true };
+    }
+    return { exhausted, retryInMs: exhausted ? null : delayMs, leaseLost: false };
+  }
+
+  /**
+   * Return events whose lease ran out (e.g. the process died mid-flight) to pending
+   */
+  async releaseStale(staleAfterMs = config.inbox.staleAfterMs) {
+    const { rowCount } = await db.query(
+      `UPDATE webhook_inbox
+       SET status = $1, locked_at = NULL, locked_by = NULL
+       WHERE status = $2 AND locked_at < NOW() - $3::INTEGER * INTERVAL '1 millisecond'`,
+      [STATUS.PENDING, STATUS.PROCESSING, staleAfterMs]
+    );
+
+    if (rowCount > 0) {
+      logger.warn('Released stale inbox events', { count: rowCount });
+    }
+
+    return rowCount;
+  }
+
+  async getById(id) {
+    const { rows } = await db.query('SELECT * FROM webhook_inbox WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Count events by status for monitoring
+   */
+  async getStats() {
+    const { rows } = await db.query(
+      `SELECT status, COUNT(*)::INTEGER AS count, MIN(received_at) AS oldest
+       FROM webhook_inbox
+       GROUP BY status`
+    );
+
+    const stats = { pending: 0, processing: 0, done: 0, failed: 0, oldestPending: null };
+    for (const row of rows) {
+      stats[row.status] = row.count;
+      if (row.status === STATUS.PENDING) {
+        stats.oldestPending = row.oldest;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new WebhookInbox();
+module.exports.STATUS = STATUS;
@@ -0,0 +1,206 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const webhookInbox = require('./webhook-inbox');
+const deadLetterQueue = require('./dead-letter-queue');
+const { processWebhookEvent } = require('../webhooks/shiprocket-handler');
+
+/**
+ * Background worker that drains the webhook inbox
+ */
+class WebhookWorker {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+    this.currentTick = null;
+    this.wakeRequested = false;
+
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      retried: 0,
+      leaseLost: 0,
+      doneNotRecorded: 0,
+      lastRunAt: null
+    };
+
+    // Pick up new events immediately instead of waiting for the next poll
+    webhookInbox.on('enqueued', () => this.wake());
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    logger.info('Webhook worker started', {
+      pollIntervalMs: config.inbox.pollIntervalMs,
+      batchSize: config.inbox.batchSize
+    });
+
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling and wait for the in-flight batch to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+
+    logger.info('Webhook worker stopped', this.stats);
+  }
+
+  wake() {
+    if (!this.running) return;
+
+    if (this.currentTick) {
+      this.wakeRequested = true;
+      return;
+    }
+
+    this.schedule(0);
+  }
+
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.currentTick = this.tick().finally(() => {
+        this.currentTick = null;
+      });
+    }, delayMs);
+  }
+
+  async tick() {
+    let claimed = 0;
+
+    try {
+      await webhookInbox.releaseStale();
+
+      const events = await webhookInbox.claimBatch(config.inbox.batchSize);
+      claimed = events.length;
+
+      // A batch holds at most one event per order, so different orders run in
+      // parallel while each order's events are handled one at a time
+      await Promise.all(events.map(event => this.processEntry(event)));
+      this.stats.lastRunAt = new Date().toISOString();
+    } catch (error) {
+      logger.error('Webhook worker poll failed', error);
+    }
+
+    if (!this.running) return;
+
+    // Keep draining while there is work (finishing an event can unblock the
+    // next one for the same order), otherwise fall back to polling
+    const busy = claimed > 0 || this.wakeRequested;
+    this.wakeRequested = false;
+    this.schedule(busy ? 0 : config.inbox.pollIntervalMs);
+  }
+
+  async processEntry(entry) {
+    const { event_type: eventType, data } = entry.payload;
+
+    // Keep the lease while the event is processed, so a slow event isn't released as stale
+    const lease = setInterval(() => {
+      webhookInbox.renewLease(entry.id, entry.locked_by)
+        .then(held => held || logger.warn('Inbox event lease lost while processing', { inboxId: entry.id }))
+        .catch(error => logger.warn('Failed to renew inbox event lease', { inboxId: entry.id, error: error.message }));
+    }, Math.max(config.inbox.staleAfterMs / 3, 1000));
+
+    try {
+      let result;
+      try {
+        result = await processWebhookEvent(eventType, data);
+      } catch (error) {
+        await this.recordFailure(entry, error);
+        return;
+      }
+
+      await this.recordDone(entry, result);
+    } finally {
+      clearInterval(lease);
+    }
+  }
+
+  /**
+   * Mark a processed event done. Failing to record that is not a processing
+   * failure, so the event is not retried for it: it stays claimed until it is
+   * released as stale, and its metric keys keep a second run from counting twice.
+   */
+  async recordDone(entry, result) {
+    let recorded;
+    try {
+      recorded = await webhookInbox.markDone(entry.id, result, entry.locked_by);
+    } catch (error) {
+      this.stats.doneNotRecorded++;
+      logger.error('Inbox event processed but could not be marked done', error, { inboxId: entry.id });
+      return;
+    }
+
+    if (!recorded) {
+      this.stats.leaseLost++;
+      logger.warn('Inbox event was reclaimed by another worker, result not recorded', { inboxId: entry.id });
+      return;
+    }
+
+    this.stats.processed++;
+    global.webhooksProcessed = (global.webhooksProcessed || 0) + 1;
+  }
+
+  /**
+   * Schedule a retry for a failed event, or dead-letter it once its attempts are used up
+   */
+  async recordFailure(entry, error) {
+    const eventType = entry.payload.event_type;
+    const { exhausted, retryInMs, leaseLost } = await webhookInbox.markFailed(
+      entry.id, error, entry.attempts, entry.locked_by
+    );
+
+    if (leaseLost) {
+      this.stats.leaseLost++;
+      logger.warn('Inbox event was reclaimed by another worker, failure not recorded', {
+        inboxId: entry.id,
+        error: error.message
+      });
+    } else if (exhausted) {
+      this.stats.failed++;
+      global.integrationErrors = (global.integrationErrors || 0) + 1;
+      logger.error('Inbox event failed permanently', error, {
+        inboxId: entry.id,
+        eventType,
+        attempts: entry.attempts
+      });
+
+      await deadLetterQueue.add({
+        inboxId: entry.id,
+        source: entry.source,
+        payload: entry.payload,
+        metrics: error.metrics || null,
+        metricSource: error.metricSource || null,
+        error,
+        attempts: entry.attempts
+      });
+    } else {
+      this.stats.retried++;
+      logger.warn('Inbox event failed, will retry', {
+        inboxId: entry.id,
+        eventType,
+        attempts: entry.attempts,
+        retryInMs,
+        error: error.message
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      running: this.running,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new WebhookWorker();
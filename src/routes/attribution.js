@@ -0,0 +1,39 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const attributionJob = require('../jobs/attribution');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Run the attribution outcome job now. Body: { startDate, endDate } - both optional.
+ */
+router.post('/run', async (req, res) => {
+  const { startDate, endDate } = req.body;
+
+  if ((startDate || endDate) && !(DATE_PATTERN.test(startDate) && DATE_PATTERN.test(endDate) && startDate <= endDate)) {
+    return res.status(400).json({ success: false, error: 'startDate and endDate must both be YYYY-MM-DD, startDate first' });
+  }
+
+  try {
+    const summary = await attributionJob.run({ startDate, endDate, trigger: 'manual' });
+    res.json({ success: true, summary });
+  } catch (error) {
+    if (error.code === 'ALREADY_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    logger.error('Manual attribution run failed', error);
+    res.status(502).json({ success: false, error: 'Attribution run failed', message: error.message });
+  }
+});
+
+/**
+ * Status of the job and its last run
+ */
+router.get('/status', (req, res) => {
+  res.json({ success: true, ...attributionJob.getStats() });
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const deadLetterQueue = require('../queue/dead-letter-queue');
+
+const router = express.Router();
+
+/**
+ * Pick supported filters from a query string or request body
+ */
+function parseFilter(source = {}) {
+  return {
+    status: source.status,
+    eventType: source.eventType,
+    orderId: source.orderId,
+    from: source.from,
+    to: source.to,
+    errorContains: source.errorContains
+  };
+}
+
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid dead letter ID' });
+  }
+  next();
+});
+
+/**
+ * List dead letters
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await deadLetterQueue.list(parseFilter(req.query), { limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Failed to list dead letters', error);
+    res.status(500).json({ success: false, error: 'Failed to list dead letters' });
+  }
+});
+
+/**
+ * Bulk replay open dead letters matching a filter
+ */
+router.post('/replay', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body.limit) || 100, 1000);
+    const filter = parseFilter(req.body);
+
+    logger.info('Bulk dead letter replay requested', { filter, limit });
+
+    const result = await deadLetterQueue.replayMany(filter, { limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Bulk dead letter replay failed', error);
+    res.status(500).json({ success: false, error: 'Bulk replay failed', message: error.message });
+  }
+});
+
+/**
+ * Inspect one dead letter including payload, metrics and error details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await deadLetterQueue.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    logger.error('Failed to get dead letter', error, { id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to get dead letter' });
+  }
+});
+
+/**
+ * Replay one dead letter
+ */
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const result = await deadLetterQueue.replay(req.params.id);
+    const statusByReason = { not_found: 404, not_open: 409, push_failed: 502 };
+    const status = result.success ? 200 : statusByReason[result.reason];
+
+    res.status(status).json(result);
+  } catch (error) {
+    logger.error('Dead letter replay failed', error, { id: req.params.id });
+    res.status(500).json({ success: false, error: 'Replay failed', message: error.message });
+  }
+});
+
+/**
+ * Discard a dead letter
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const discarded = await deadLetterQueue.discard(req.params.id);
+    if (!discarded) {
+      return res.status(404).json({ success: false, error: 'No open dead letter with this ID' });
+    }
+
+    res.json({ success: true, id: req.params.id, status: 'discarded' });
+  } catch (error) {
+    logger.error('Failed to discard dead letter', error, { id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to discard dead letter' });
+  }
+});
+
+module.exports = router;
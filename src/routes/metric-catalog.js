@@ -0,0 +1,17 @@
+const express = require('express');
+const metricCatalog = require('../metrics/catalog');
+
+const router = express.Router();
+
+/**
+ * Every metric pushed to Triple Whale with its unit, value type, allowed
+ * dimensions and the events that emit it
+ */
+router.get('/catalog', (req, res) => {
+  const metrics = metricCatalog.listMetrics()
+    .filter(metric => !req.query.sourceEvent || metric.sourceEvents.includes(req.query.sourceEvent));
+
+  res.json({ success: true, count: metrics.length, metrics });
+});
+
+module.exports = router;
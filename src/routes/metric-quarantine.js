@@ -0,0 +1,32 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const metricQuarantine = require('../queue/metric-quarantine');
+
+const router = express.Router();
+
+/**
+ * List quarantined metrics with their validation errors and source event
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const filter = {
+      metricName: req.query.metricName,
+      from: req.query.from,
+      to: req.query.to
+    };
+
+    const [result, counts] = await Promise.all([
+      metricQuarantine.list(filter, { limit, offset }),
+      metricQuarantine.getCounts()
+    ]);
+
+    res.json({ success: true, counts, ...result });
+  } catch (error) {
+    logger.error('Failed to list quarantined metrics', error);
+    res.status(500).json({ success: false, error: 'Failed to list quarantined metrics' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const shipmentLifecycle = require('../state/shipment-lifecycle');
+const orderLedger = require('../state/order-ledger');
+
+const router = express.Router();
+
+/**
+ * Stored lifecycle (state, transition history, durations) for each shipment of an order
+ */
+router.get('/:orderId/lifecycle', async (req, res) => {
+  try {
+    const shipments = await shipmentLifecycle.getByOrder(req.params.orderId);
+    if (shipments.length === 0) {
+      return res.status(404).json({ success: false, error: 'No lifecycle recorded for this order' });
+    }
+
+    res.json({ success: true, orderId: req.params.orderId, shipments });
+  } catch (error) {
+    logger.error('Failed to get order lifecycle', error, { orderId: req.params.orderId });
+    res.status(500).json({ success: false, error: 'Failed to get order lifecycle' });
+  }
+});
+
+/**
+ * Contribution margin ledger (order value, charges per shipment, settlement) for an order
+ */
+router.get('/:orderId/ledger', async (req, res) => {
+  try {
+    const ledger = await orderLedger.getByOrder(req.params.orderId);
+    if (!ledger) {
+      return res.status(404).json({ success: false, error: 'No ledger recorded for this order' });
+    }
+
+    res.json({ success: true, orderId: req.params.orderId, ledger });
+  } catch (error) {
+    logger.error('Failed to get order ledger', error, { orderId: req.params.orderId });
+    res.status(500).json({ success: false, error: 'Failed to get order ledger' });
+  }
+});
+
+module.exports = router;
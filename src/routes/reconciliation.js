@@ -0,0 +1,77 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const reconciliationJob = require('../jobs/reconciliation');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid reconciliation run ID' });
+  }
+  next();
+});
+
+/**
+ * Run a reconciliation now. Body: { startDate, endDate, autoCorrect } - all optional.
+ */
+router.post('/run', async (req, res) => {
+  const { startDate, endDate, autoCorrect } = req.body;
+
+  if ((startDate || endDate) && !(DATE_PATTERN.test(startDate) && DATE_PATTERN.test(endDate) && startDate <= endDate)) {
+    return res.status(400).json({ success: false, error: 'startDate and endDate must both be YYYY-MM-DD, startDate first' });
+  }
+
+  try {
+    const result = await reconciliationJob.run({
+      startDate,
+      endDate,
+      autoCorrect: typeof autoCorrect === 'boolean' ? autoCorrect : undefined,
+      trigger: 'manual'
+    });
+    res.json({ success: true, run: result });
+  } catch (error) {
+    if (error.code === 'ALREADY_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    logger.error('Manual reconciliation failed', error);
+    res.status(502).json({ success: false, error: 'Reconciliation failed', message: error.message });
+  }
+});
+
+/**
+ * Recent runs with their summaries
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const runs = await reconciliationJob.listRuns({ limit, offset });
+    res.json({ success: true, runs, limit, offset });
+  } catch (error) {
+    logger.error('Failed to list reconciliation runs', error);
+    res.status(500).json({ success: false, error: 'Failed to list reconciliation runs' });
+  }
+});
+
+/**
+ * One run including every per-metric, per-day difference and correction
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await reconciliationJob.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Reconciliation run not found' });
+    }
+
+    res.json({ success: true, run });
+  } catch (error) {
+    logger.error('Failed to get reconciliation run', error, { id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to get reconciliation run' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const scheduler = require('../jobs/scheduler');
+
+const router = express.Router();
+
+router.param('name', (req, res, next, name) => {
+  if (!scheduler.hasJob(name)) {
+    return res.status(404).json({ success: false, error: 'Scheduled job not found' });
+  }
+  next();
+});
+
+/**
+ * Every scheduled job with its cron, next run time and last run
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await scheduler.listJobs();
+    res.json({ success: true, jobs, invalid: scheduler.getStats().invalid });
+  } catch (error) {
+    logger.error('Failed to list scheduled jobs', error);
+    res.status(500).json({ success: false, error: 'Failed to list scheduled jobs' });
+  }
+});
+
+/**
+ * Run a job now. Answers right away; follow the run in its history.
+ */
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const run = await scheduler.trigger(req.params.name, 'manual');
+    res.status(202).json({ success: true, run });
+  } catch (error) {
+    if (error.code === 'ALREADY_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    logger.error('Failed to trigger scheduled job', error, { job: req.params.name });
+    res.status(500).json({ success: false, error: 'Failed to trigger scheduled job', message: error.message });
+  }
+});
+
+async function listRuns(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const runs = await scheduler.listRuns({ name: req.params.name || req.query.job, limit, offset });
+    res.json({ success: true, runs, limit, offset });
+  } catch (error) {
+    logger.error('Failed to list scheduled job runs', error);
+    res.status(500).json({ success: false, error: 'Failed to list scheduled job runs' });
+  }
+}
+
+/**
+ * Run history, newest first - for one job, or all jobs (optionally ?job=name)
+ */
+router.get('/jobs/:name/runs', listRuns);
+router.get('/runs', listRuns);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { STATUS_CODES, getUnmappedStatuses } = require('../webhooks/status-mapper');
+
+const router = express.Router();
+
+/**
+ * Shiprocket status code -> internal event type mapping
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, statusCodes: STATUS_CODES });
+});
+
+/**
+ * Status codes received from Shiprocket that have no mapping yet
+ */
+router.get('/unmapped', async (req, res) => {
+  try {
+    const statuses = await getUnmappedStatuses();
+    res.json({ success: true, count: statuses.length, statuses });
+  } catch (error) {
+    logger.error('Failed to get unmapped statuses', error);
+    res.status(500).json({ success: false, error: 'Failed to get unmapped statuses' });
+  }
+});
+
+module.exports = router;
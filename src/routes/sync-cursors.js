@@ -0,0 +1,64 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const syncCursors = require('../state/sync-cursors');
+const { CURSOR_TYPES } = require('../jobs/sync');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.param('syncType', (req, res, next, syncType) => {
+  if (!CURSOR_TYPES.includes(syncType)) {
+    return res.status(400).json({ success: false, error: `Sync type must be one of: ${CURSOR_TYPES.join(', ')}` });
+  }
+  next();
+});
+
+/**
+ * Every incremental sync cursor
+ */
+router.get('/', async (req, res) => {
+  try {
+    const cursors = await syncCursors.list();
+    res.json({ success: true, cursors });
+  } catch (error) {
+    logger.error('Failed to list sync cursors', error);
+    res.status(500).json({ success: false, error: 'Failed to list sync cursors' });
+  }
+});
+
+router.get('/:syncType', async (req, res) => {
+  try {
+    const cursor = await syncCursors.get(req.params.syncType);
+    if (!cursor) {
+      return res.status(404).json({ success: false, error: 'No cursor recorded for this sync type' });
+    }
+
+    res.json({ success: true, cursor });
+  } catch (error) {
+    logger.error('Failed to get sync cursor', error, { syncType: req.params.syncType });
+    res.status(500).json({ success: false, error: 'Failed to get sync cursor' });
+  }
+});
+
+/**
+ * Reset a cursor. Body: { syncedThrough } - the next run re-syncs from that day.
+ * Without it the cursor is removed and the next run starts from the initial lookback.
+ */
+router.post('/:syncType/reset', async (req, res) => {
+  const { syncedThrough } = req.body || {};
+
+  if (syncedThrough !== undefined && !DATE_PATTERN.test(syncedThrough)) {
+    return res.status(400).json({ success: false, error: 'syncedThrough must be YYYY-MM-DD' });
+  }
+
+  try {
+    const cursor = await syncCursors.reset(req.params.syncType, { syncedThrough });
+    res.json({ success: true, cursor });
+  } catch (error) {
+    logger.error('Failed to reset sync cursor', error, { syncType: req.params.syncType });
+    res.status(500).json({ success: false, error: 'Failed to reset sync cursor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const syncJobs = require('../jobs/sync-jobs');
+
+const router = express.Router();
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid sync job ID' });
+  }
+  next();
+});
+
+/**
+ * Job history, newest first. Query: status, limit, offset
+ */
+router.get('/', async (req, res) => {
+  const { status } = req.query;
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const jobs = await syncJobs.listJobs({ status, limit, offset });
+    res.json({ success: true, jobs, limit, offset });
+  } catch (error) {
+    logger.error('Failed to list sync jobs', error);
+    res.status(500).json({ success: false, error: 'Failed to list sync jobs' });
+  }
+});
+
+/**
+ * One job with its progress (pages, records, metrics pushed, errors)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await syncJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Sync job not found' });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Failed to get sync job', error, { id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to get sync job' });
+  }
+});
+
+/**
+ * Cancel a queued or running job
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const outcome = await syncJobs.cancel(req.params.id);
+    if (!outcome) {
+      return res.status(404).json({ success: false, error: 'Sync job not found' });
+    }
+    if (!outcome.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Sync job is ${outcome.job.status} and can no longer be cancelled`,
+        job: outcome.job
+      });
+    }
+
+    res.json({ success: true, job: outcome.job });
+  } catch (error) {
+    logger.error('Failed to cancel sync job', error, { id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to cancel sync job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { reconcileWebhooks, listWebhooks } = require('../webhooks/registration');
+
+const router = express.Router();
+
+/**
+ * Webhooks currently registered with Shiprocket
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks();
+    res.json({ success: true, webhooks });
+  } catch (error) {
+    logger.error('Failed to list Shiprocket webhooks', error);
+    res.status(502).json({ success: false, error: 'Failed to list Shiprocket webhooks', message: error.message });
+  }
+});
+
+/**
+ * Register/repair our webhook with Shiprocket. Pass { "dryRun": true } to only see the plan.
+ */
+router.post('/reconcile', async (req, res) => {
+  try {
+    const report = await reconcileWebhooks({ dryRun: req.body.dryRun === true });
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('Webhook reconciliation failed', error);
+    res.status(502).json({ success: false, error: 'Webhook reconciliation failed', message: error.message });
+  }
+});
+
+module.exports = router;
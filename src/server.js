@@ -4,14 +4,50 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const cron = require('node-cron');
 
 const config = require('./config');
 const logger = require('./utils/logger');
 const shiprocketAPI = require('./api/shiprocket');
 const tripleWhaleAPI = require('./api/triplewhale');
 const shiprocketWebhooks = require('./webhooks/shiprocket-handler');
-const { CircuitBreaker, RateLimiter } = require('./utils/retry');
+const webhookInbox = require('./queue/webhook-inbox');
+const webhookWorker = require('./queue/webhook-worker');
+const metricBuffer = require('./queue/metric-buffer');
+const metricQuarantine = require('./queue/metric-quarantine');
+const metricRollup = require('./metrics/rollup');
+const webhookDeduplicator = require('./webhooks/deduplicator');
+const orderEnricher = require('./webhooks/enricher');
+const deadLetterQueue = require('./queue/dead-letter-queue');
+const deadLetterRoutes = require('./routes/dead-letters');
+const orderRoutes = require('./routes/orders');
+const statusRoutes = require('./routes/statuses');
+const webhookRegistrationRoutes = require('./routes/webhook-registrations');
+const metricQuarantineRoutes = require('./routes/metric-quarantine');
+const metricCatalogRoutes = require('./routes/metric-catalog');
+const reconciliationRoutes = require('./routes/reconciliation');
+const attributionRoutes = require('./routes/attribution');
+const attributionJob = require('./jobs/attribution');
+const syncJobs = require('./jobs/sync-jobs');
+const syncJobRoutes = require('./routes/sync-jobs');
+const scheduler = require('./jobs/scheduler');
+const schedulerRoutes = require('./routes/scheduler');
+const syncCursorRoutes = require('./routes/sync-cursors');
+const orderLedger = require('./state/order-ledger');
+const metricIdempotency = require('./metrics/idempotency');
+const metricCatalog = require('./metrics/catalog');
+const { reconcileWebhooks } = require('./webhooks/registration');
+const { requireAdminKey } = require('./middleware/admin-auth');
+const { captureRawBody } = require('./webhooks/middleware');
+const db = require('./db/postgres');
+const redis = require('./db/redis');
+const { runMigrations } = require('./db/schema');
+const { CircuitBreaker } = require('./utils/retry');
+const { validateDate } = require('./utils/validators');
+
+// Validate configuration on startup
+if (config.server.nodeEnv === 'production') {
+  config.validateConfig();
+}
 
 // Initialize Express app
 const app = express();
@@ -81,12 +117,12 @@ app.use(morgan('combined', {
   }
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (keeps the raw webhook bytes for signature verification)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Trust proxy for accurate IP addresses
-app.set('trust proxy', 1);
+app.set('trust proxy', config.server.trustProxy);
 
 // Apply rate limiting
 app.use('/api/', generalRateLimit);
@@ -175,6 +211,10 @@ app.get('/metrics', async (req, res) => {
         shiprocket: shiprocketCircuitBreaker.getState(),
         tripleWhale: tripleWhaleCircuitBreaker.getState()
       },
+      rateLimiters: {
+        shiprocket: shiprocketAPI.rateLimiter.getStats(),
+        tripleWhale: tripleWhaleAPI.rateLimiter.getStats()
+      },
       process: {
         uptime: Math.floor(process.uptime()),
         memory: process.memoryUsage(),
@@ -185,9 +225,39 @@ app.get('/metrics', async (req, res) => {
         metricssynced: global.metricsSynced || 0,
         lastSyncTime: global.lastSyncTime || null,
         errors: global.integrationErrors || 0
-      }
+      },
+      webhookWorker: webhookWorker.getStats(),
+      webhookDedup: webhookDeduplicator.getStats(),
+      orderEnrichment: orderEnricher.getStats(),
+      metricBuffer: await metricBuffer.getStats(),
+      metricRollup: await metricRollup.getStats(),
+      metricCatalog: metricCatalog.getStats(),
+      attribution: attributionJob.getStats(),
+      orderLedger: orderLedger.getStats(),
+      metricIdempotency: metricIdempotency.getStats(),
+      syncJobs: syncJobs.getStats(),
+      scheduler: scheduler.getStats()
     };
 
+    try {
+      metrics.webhookInbox = await webhookInbox.getStats();
+    } catch (error) {
+      metrics.webhookInbox = { error: error.message };
+    }
+
+    try {
+      metrics.deadLetters = await deadLetterQueue.getStats();
+    } catch (error) {
+      metrics.deadLetters = { error: error.message };
+    }
+
+    metrics.metricQuarantine = metricQuarantine.getStats();
+    try {
+      metrics.metricQuarantine.stored = await metricQuarantine.getCounts();
+    } catch (error) {
+      metrics.metricQuarantine.stored = { error: error.message };
+    }
+
     res.json(metrics);
   } catch (error) {
     logger.error('Failed to get metrics', error);
@@ -198,44 +268,57 @@ app.get('/metrics', async (req, res) => {
 // Webhook endpoints
 app.use('/webhooks', shiprocketWebhooks);
 
+// Admin endpoints
+app.use('/api/admin/dlq', requireAdminKey, deadLetterRoutes);
+app.use('/api/admin/orders', requireAdminKey, orderRoutes);
+app.use('/api/admin/statuses', requireAdminKey, statusRoutes);
+app.use('/api/admin/webhooks', requireAdminKey, webhookRegistrationRoutes);
+app.use('/api/admin/quarantine', requireAdminKey, metricQuarantineRoutes);
+app.use('/api/admin/reconciliation', requireAdminKey, reconciliationRoutes);
+app.use('/api/admin/attribution', requireAdminKey, attributionRoutes);
+app.use('/api/admin/sync/cursors', requireAdminKey, syncCursorRoutes);
+app.use('/api/admin/scheduler', requireAdminKey, schedulerRoutes);
+
+// Metric discovery
+app.use('/api/metrics', metricCatalogRoutes);
+
 // API endpoints for manual operations
-app.post('/api/sync/manual', async (req, res) => {
+app.post('/api/sync/manual', requireAdminKey, async (req, res) => {
   try {
     const { startDate, endDate, syncType } = req.body;
     
     logger.info('Manual sync requested', { startDate, endDate, syncType });
 
-    let result;
-    switch (syncType) {
-      case 'orders':
-        result = await syncOrders(startDate, endDate);
-        break;
-      case 'shipments':
-        result = await syncShipments(startDate, endDate);
-        break;
-      case 'all':
-        result = await syncAll(startDate, endDate);
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid sync type' });
+    if (!syncJobs.SYNC_TYPES.includes(syncType)) {
+      return res.status(400).json({ error: 'Invalid sync type' });
     }
 
-    res.json({
+    // Without dates, the job syncs incrementally from the stored cursors
+    if ((startDate || endDate) && !(validateDate(startDate) && validateDate(endDate) && startDate <= endDate)) {
+      return res.status(400).json({ success: false, error: 'startDate and endDate must both be YYYY-MM-DD, startDate first' });
+    }
+
+    const job = await syncJobs.enqueue({ syncType, startDate, endDate, trigger: 'manual' });
+
+    res.status(202).json({
       success: true,
-      message: 'Manual sync completed',
-      result
+      message: 'Manual sync queued',
+      jobId: job.id,
+      job
     });
 
   } catch (error) {
-    logger.error('Manual sync failed', error);
+    logger.error('Failed to queue manual sync', error);
     res.status(500).json({
       success: false,
-      error: 'Manual sync failed',
+      error: 'Failed to queue manual sync',
       message: error.message
     });
   }
 });
 
+app.use('/api/sync/jobs', requireAdminKey, syncJobRoutes);
+
 // API endpoint to test connections
 app.get('/api/test-connections', async (req, res) => {
   try {
@@ -272,92 +355,6 @@ app.get('/api/test-connections', async (req, res) => {
   }
 });
 
-// Manual data sync functions
-async function syncOrders(startDate, endDate) {
-  const orders = await shiprocketAPI.getOrders({
-    start_date: startDate,
-    end_date: endDate,
-    per_page: config.sync.batchSize
-  });
-
-  if (orders.data && orders.data.length > 0) {
-    await tripleWhaleAPI.pushShiprocketOrderData(orders.data);
-    global.metricsSynced = (global.metricsSynced || 0) + orders.data.length;
-    global.lastSyncTime = new Date().toISOString();
-  }
-
-  return {
-    type: 'orders',
-    count: orders.data?.length || 0,
-    startDate,
-    endDate
-  };
-}
-
-async function syncShipments(startDate, endDate) {
-  const shipments = await shiprocketAPI.getShipments({
-    start_date: startDate,
-    end_date: endDate,
-    per_page: config.sync.batchSize
-  });
-
-  if (shipments.data && shipments.data.length > 0) {
-    await tripleWhaleAPI.pushShiprocketShipmentData(shipments.data);
-    global.metricsSynced = (global.metricsSynced || 0) + shipments.data.length;
-    global.lastSyncTime = new Date().toISOString();
-  }
-
-  return {
-    type: 'shipments',
-    count: shipments.data?.length || 0,
-    startDate,
-    endDate
-  };
-}
-
-async function syncAll(startDate, endDate) {
-  const [ordersResult, shipmentsResult] = await Promise.all([
-    syncOrders(startDate, endDate),
-    syncShipments(startDate, endDate)
-  ]);
-
-  return {
-    type: 'all',
-    orders: ordersResult.count,
-    shipments: shipmentsResult.count,
-    total: ordersResult.count + shipmentsResult.count,
-    startDate,
-    endDate
-  };
-}
-
-// Scheduled sync job
-if (config.sync.enableRealTimeSync) {
-  // Run daily sync at 12:05 AM as per user preference
-  cron.schedule('5 0 * * *', async () => {
-    try {
-      logger.info('Starting scheduled daily sync');
-      
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const startDate = yesterday.toISOString().split('T')[0];
-      const endDate = startDate;
-
-      const result = await syncAll(startDate, endDate);
-      
-      logger.sync('Scheduled sync completed', 'success', result);
-      
-    } catch (error) {
-      logger.error('Scheduled sync failed', error);
-      global.integrationErrors = (global.integrationErrors || 0) + 1;
-    }
-  }, {
-    timezone: "Asia/Kolkata" // Indian timezone
-  });
-
-  logger.info('Scheduled daily sync job configured for 12:05 AM IST');
-}
-
 // Initialize global metrics
 global.webhooksProcessed = 0;
 global.metricsSynced = 0;
@@ -365,23 +362,32 @@ global.lastSyncTime = null;
 global.integrationErrors = 0;
 
 // Graceful shutdown handling
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+function gracefulShutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
   
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
-  });
-});
+  server.close(async () => {
+    try {
+      // No new scheduled runs while shutting down
+      scheduler.stop();
+      // Let in-flight inbox events finish so they are not left in processing
+      await webhookWorker.stop();
+      // Push rollups and buffered metrics before the connections go away
+      await metricRollup.stop();
+      await metricBuffer.stop();
+      metricIdempotency.stop();
+      await db.close();
+      await redis.close();
+    } catch (error) {
+      logger.error('Error during shutdown', error);
+    }
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  
-  server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Unhandled promise rejection handler
 process.on('unhandledRejection', (reason, promise) => {
@@ -407,8 +413,38 @@ const server = app.listen(config.server.port, config.server.host, () => {
     host: config.server.host,
     environment: config.server.nodeEnv,
     realTimeSync: config.sync.enableRealTimeSync,
-    scheduledSync: '12:05 AM IST daily'
+    scheduler: config.scheduler.enabled
   });
+
+  metricBuffer.start();
+  metricRollup.start();
+  metricIdempotency.start();
+
+  runMigrations()
+    .catch((error) => {
+      logger.error('Database migration failed on startup', error);
+    })
+    .finally(() => {
+      webhookWorker.start();
+
+      syncJobs.recover().catch((error) => {
+        logger.error('Failed to recover sync jobs on startup', error);
+      });
+
+      scheduler.start();
+
+      // Catch up whatever was missed while the service was down
+      if (config.scheduler.enabled) {
+        syncJobs.enqueue({ syncType: 'all', trigger: 'startup' })
+          .catch(error => logger.error('Failed to queue startup catch-up sync', error));
+      }
+    });
+
+  if (config.webhook.autoRegister) {
+    reconcileWebhooks().catch((error) => {
+      logger.error('Webhook registration failed on startup', error);
+    });
+  }
 });
 
 // Handle server errors
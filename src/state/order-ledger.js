@@ -0,0 +1,236 @@
+const config = require('../config');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const { STATES } = require('./shipment-lifecycle');
+
+// Lifecycle states that settle an order's contribution margin
+const SETTLING_STATES = [STATES.DELIVERED, STATES.RTO, STATES.CANCELLED];
+
+// Charge kinds kept per shipment so repeated events overwrite instead of adding up
+const CHARGE_FIELDS = {
+  shipping: 'shipping_charges',
+  returns: 'return_charges',
+  cod: 'cod_charges'
+};
+
+function toAmount(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function sum(byShipment = {}) {
+  return Object.values(byShipment).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * 'COD' or 'Prepaid' when the event carries payment details, otherwise null
+ */
+function resolvePaymentType(data) {
+  const method = String(data.payment_method || data.payment_mode || '').toLowerCase();
+  if (!method && data.is_cod === undefined && !data.cod_amount) return null;
+
+  const isCOD = method.includes('cod') || method.includes('cash') || data.is_cod === true ||
+    parseFloat(data.cod_amount) > 0;
+  return isCOD ? 'COD' : 'Prepaid';
+}
+
+/**
+ * Merge the charges an event carries into the per-shipment charge map
+ */
+function mergeCharges(charges, data) {
+  const merged = { ...charges };
+  const shipmentKey = data.shipment_id != null ? String(data.shipment_id) : '';
+
+  for (const [kind, field] of Object.entries(CHARGE_FIELDS)) {
+    const amount = toAmount(data[field]);
+    if (amount === null) continue;
+
+    const byShipment = { ...merged[kind] };
+    // A charge recorded before the shipment ID was known belongs to this shipment
+    if (shipmentKey) delete byShipment[''];
+    byShipment[shipmentKey] = amount;
+    merged[kind] = byShipment;
+  }
+
+  return merged;
+}
+
+/**
+ * Estimated COD fee for orders whose payloads never carried cod_charges
+ */
+function estimateCodFee(orderValue) {
+  const { codFeePercent, codFeeMin } = config.ledger;
+  if (!codFeePercent && !codFeeMin) return 0;
+  return Math.max(codFeeMin, ((orderValue || 0) * codFeePercent) / 100);
+}
+
+/**
+ * Net revenue, logistics cost and contribution margin for a settled order.
+ * Only delivered orders realize revenue; RTO and cancelled orders keep their costs.
+ */
+function computeSettlement(ledger, outcome) {
+  const orderValue = ledger.order_value || 0;
+  const charges = ledger.charges || {};
+
+  const shipping = sum(charges.shipping);
+  const returns = sum(charges.returns);
+  let codFee = sum(charges.cod);
+  if (!charges.cod && outcome === STATES.DELIVERED && ledger.payment_type === 'COD') {
+    codFee = estimateCodFee(orderValue);
+  }
+
+  const netRevenue = outcome === STATES.DELIVERED ? orderValue : 0;
+  const logisticsCost = shipping + returns + codFee;
+
+  return {
+    outcome,
+    orderValue: round(orderValue),
+    shipping: round(shipping),
+    returns: round(returns),
+    codFee: round(codFee),
+    netRevenue: round(netRevenue),
+    logisticsCost: round(logisticsCost),
+    contributionMargin: round(netRevenue - logisticsCost)
+  };
+}
+
+/**
+ * Triple Whale metrics for a settled ledger row
+ */
+function buildSettlementMetrics(ledger) {
+  const { settlement } = ledger;
+  const dimensions = {
+    source: 'shiprocket',
+    event: 'order_settled',
+    order_id: ledger.order_id,
+    outcome: settlement.outcome,
+    payment_type: ledger.payment_type || 'unknown',
+    courier: ledger.courier || 'unknown',
+    channel: ledger.channel || 'unknown',
+    currency: 'INR'
+  };
+  const metric = (name, value) => ({ metric_name: name, value, date: ledger.settlement_date, dimensions });
+
+  return [
+    metric('shiprocket_order_net_revenue', settlement.netRevenue),
+    metric('shiprocket_order_logistics_cost', settlement.logisticsCost),
+    metric('shiprocket_order_contribution_margin', settlement.contributionMargin)
+  ];
+}
+
+/**
+ * Per-order ledger of order value, forward shipping, RTO/return charges and
+ * COD fees. When an order first reaches delivered, RTO or cancelled the ledger
+ * is settled into a contribution margin and the settlement metrics are emitted
+ * once. Charges that arrive after settlement are recorded but don't re-settle.
+ */
+class OrderLedger {
+  constructor() {
+    this.stats = {
+      settled: { delivered: 0, rto: 0, cancelled: 0 },
+      emitted: 0
+    };
+  }
+
+  isEnabled() {
+    return config.ledger.enabled;
+  }
+
+  /**
+   * Record an event's amounts and return the settlement metrics still to be emitted
+   */
+  async recordEvent(eventType, data, lifecycle) {
+    if (!this.isEnabled() || data.order_id == null) {
+      return [];
+    }
+
+    const orderId = String(data.order_id);
+
+    const ledger = await db.withTransaction(async (client) => {
+      await client.query(
+        'INSERT INTO order_ledgers (order_id) VALUES ($1) ON CONFLICT (order_id) DO NOTHING',
+        [orderId]
+      );
+      const { rows } = await client.query('SELECT * FROM order_ledgers WHERE order_id = $1 FOR UPDATE', [orderId]);
+      const current = rows[0];
+
+      const next = {
+        ...current,
+        order_value: toAmount(data.total_amount) ?? current.order_value,
+        payment_type: resolvePaymentType(data) || current.payment_type,
+        channel: data.channel_name || current.channel,
+        courier: data.courier_name || current.courier,
+        charges: mergeCharges(current.charges, data)
+      };
+
+      const state = lifecycle?.state;
+      const settles = !current.settled_at && SETTLING_STATES.includes(state);
+      const settlement = settles ? computeSettlement(next, state) : null;
+      const settlementDate = settles
+        ? (lifecycle.state_timestamps?.[state] || new Date().toISOString()).slice(0, 10)
+        : null;
+
+      const { rows: updated } = await client.query(
+        `UPDATE order_ledgers
+         SET order_value = $2, payment_type = $3, channel = $4, courier = $5, charges = $6,
+             outcome = COALESCE(outcome, $7),
+             settlement = COALESCE(settlement, $8),
+             settlement_date = COALESCE(settlement_date, $9::DATE),
+             settled_at = COALESCE(settled_at, CASE WHEN $7::TEXT IS NOT NULL THEN NOW() END),
+             updated_at = NOW()
+         WHERE order_id = $1
+         RETURNING *, to_char(settlement_date, 'YYYY-MM-DD') AS settlement_date`,
+        [
+          orderId, next.order_value, next.payment_type, next.channel, next.courier, next.charges,
+          settles ? state : null, settlement, settlementDate
+        ]
+      );
+
+      return { ...updated[0], settled: settles };
+    });
+
+    if (ledger.settled) {
+      this.stats.settled[ledger.outcome]++;
+      logger.info('Order contribution margin settled', { orderId, ...ledger.settlement });
+    }
+
+    // Re-emit a settlement whose metrics never made it into the queue
+    return ledger.settled_at && !ledger.emitted_at ? buildSettlementMetrics(ledger) : [];
+  }
+
+  /**
+   * Mark an order's settlement metrics as queued for Triple Whale
+   */
+  async markEmitted(orderId) {
+    await db.query(
+      'UPDATE order_ledgers SET emitted_at = NOW() WHERE order_id = $1 AND emitted_at IS NULL',
+      [String(orderId)]
+    );
+    this.stats.emitted++;
+  }
+
+  async getByOrder(orderId) {
+    const { rows } = await db.query(
+      `SELECT *, to_char(settlement_date, 'YYYY-MM-DD') AS settlement_date
+       FROM order_ledgers WHERE order_id = $1`,
+      [String(orderId)]
+    );
+    return rows[0] || null;
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      settled: { ...this.stats.settled },
+      emitted: this.stats.emitted
+    };
+  }
+}
+
+module.exports = new OrderLedger();
+module.exports.computeSettlement = computeSettlement;
+module.exports.mergeCharges = mergeCharges;
@@ -0,0 +1,262 @@
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+
+const STATES = {
+  CREATED: 'created',
+  SHIPPED: 'shipped',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERY_FAILED: 'delivery_failed',
+  DELIVERED: 'delivered',
+  RTO: 'rto',
+  CANCELLED: 'cancelled',
+  RETURNED: 'returned'
+};
+
+// Position of each state in the lifecycle. Moving to a lower rank is out of order.
+const RANK = {
+  [STATES.CREATED]: 0,
+  [STATES.SHIPPED]: 1,
+  [STATES.PICKED_UP]: 2,
+  [STATES.IN_TRANSIT]: 3,
+  [STATES.OUT_FOR_DELIVERY]: 4,
+  [STATES.DELIVERY_FAILED]: 4,
+  [STATES.DELIVERED]: 5,
+  [STATES.RTO]: 5,
+  [STATES.CANCELLED]: 5,
+  [STATES.RETURNED]: 6
+};
+
+// Transitions allowed out of terminal states and between equal-rank states
+const SPECIAL_TRANSITIONS = {
+  [STATES.OUT_FOR_DELIVERY]: [STATES.DELIVERY_FAILED],
+  [STATES.DELIVERY_FAILED]: [STATES.OUT_FOR_DELIVERY, STATES.IN_TRANSIT],
+  [STATES.DELIVERED]: [STATES.RETURNED],
+  [STATES.RTO]: [],
+  [STATES.CANCELLED]: [],
+  [STATES.RETURNED]: []
+};
+
+const TERMINAL_STATES = [STATES.DELIVERED, STATES.RTO, STATES.CANCELLED, STATES.RETURNED];
+
+// Internal event type -> lifecycle state and the payload fields holding its timestamp
+const EVENT_STATES = {
+  order_created: { state: STATES.CREATED, timestampFields: ['order_date', 'order_created_date'] },
+  order_placed: { state: STATES.CREATED, timestampFields: ['order_date', 'order_created_date'] },
+  order_shipped: { state: STATES.SHIPPED, timestampFields: ['shipped_date'] },
+  shipment_created: { state: STATES.SHIPPED, timestampFields: ['shipped_date'] },
+  shipment_pickup: { state: STATES.PICKED_UP, timestampFields: ['pickup_date', 'picked_up_date'] },
+  in_transit: { state: STATES.IN_TRANSIT, timestampFields: [] },
+  out_for_delivery: { state: STATES.OUT_FOR_DELIVERY, timestampFields: [] },
+  failed_delivery: { state: STATES.DELIVERY_FAILED, timestampFields: [] },
+  delivery_failed: { state: STATES.DELIVERY_FAILED, timestampFields: [] },
+  order_delivered: { state: STATES.DELIVERED, timestampFields: ['delivered_date'] },
+  delivered: { state: STATES.DELIVERED, timestampFields: ['delivered_date'] },
+  order_cancelled: { state: STATES.CANCELLED, timestampFields: ['cancelled_date'] },
+  cancelled: { state: STATES.CANCELLED, timestampFields: ['cancelled_date'] },
+  order_returned: { state: STATES.RETURNED, timestampFields: ['returned_date', 'rto_date'] },
+  rto: { state: STATES.RTO, timestampFields: ['rto_date', 'returned_date'] }
+};
+
+// Generic status-change timestamps Shiprocket sends on tracking updates
+const GENERIC_TIMESTAMP_FIELDS = ['current_timestamp', 'status_date', 'updated_at'];
+
+/**
+ * Resolve the lifecycle state an event moves the shipment to
+ */
+function resolveState(eventType, data) {
+  const mapping = EVENT_STATES[eventType];
+  if (!mapping) return null;
+
+  // order_returned covers both customer returns and RTO
+  if (mapping.state === STATES.RETURNED && (data.return_type === 'rto' || data.is_rto === true)) {
+    return { ...mapping, state: STATES.RTO };
+  }
+
+  return mapping;
+}
+
+/**
+ * Pick the time the status change happened, falling back to now
+ */
+function resolveTimestamp(mapping, data) {
+  const candidates = [...mapping.timestampFields, ...GENERIC_TIMESTAMP_FIELDS];
+
+  for (const field of candidates) {
+    if (data[field]) {
+      const time = new Date(data[field]);
+      if (!isNaN(time.getTime())) {
+        return time.toISOString();
+      }
+    }
+  }
+
+  return new Date().toISOString();
+}
+
+/**
+ * Classify a move from one state to another.
+ * Returns 'initial', 'forward', 'repeat', 'out_of_order' or 'illegal'.
+ */
+function classifyTransition(from, to) {
+  if (!from) return 'initial';
+  if (from === to) return 'repeat';
+  if ((SPECIAL_TRANSITIONS[from] || []).includes(to)) return 'forward';
+  if (TERMINAL_STATES.includes(from)) return 'illegal';
+  if (RANK[to] > RANK[from]) return 'forward';
+  return 'out_of_order';
+}
+
+/**
+ * Lifecycle position of an event, used to order pending events of one order
+ * (0 for events that don't move the lifecycle)
+ */
+function getEventRank(eventType, data = {}) {
+  const mapping = resolveState(eventType, data);
+  return mapping ? RANK[mapping.state] : 0;
+}
+
+function hoursBetween(start, end) {
+  if (!start || !end) return null;
+  return (new Date(end) - new Date(start)) / (1000 * 60 * 60);
+}
+
+/**
+ * Durations derived from the stored transition timestamps (in hours)
+ */
+function getDurations(lifecycle) {
+  const at = (lifecycle && lifecycle.state_timestamps) || {};
+  const shippedAt = at[STATES.SHIPPED] || at[STATES.PICKED_UP];
+
+  return {
+    processingHours: hoursBetween(at[STATES.CREATED], shippedAt),
+    transitHours: hoursBetween(at[STATES.PICKED_UP], at[STATES.DELIVERED]),
+    deliveryHours: hoursBetween(shippedAt, at[STATES.DELIVERED]),
+    fulfillmentHours: hoursBetween(at[STATES.CREATED], at[STATES.DELIVERED])
+  };
+}
+
+/**
+ * Persisted per-order/per-shipment lifecycle state machine.
+ *
+ * Each event is recorded as a transition with its timestamp. Illegal moves
+ * (out of a terminal state) and out-of-order moves (backwards) are flagged and
+ * never change the current state, but a late event still fills in the
+ * timestamp of a state we skipped so durations stay correct.
+ */
+class ShipmentLifecycle {
+  async recordEvent(eventType, data) {
+    const mapping = resolveState(eventType, data);
+    if (!mapping || data.order_id == null) {
+      return null;
+    }
+
+    const orderId = String(data.order_id);
+    const shipmentId = data.shipment_id != null ? String(data.shipment_id) : '';
+    const at = resolveTimestamp(mapping, data);
+
+    return db.withTransaction(async (client) => {
+      const lifecycle = await this.lockRow(client, orderId, shipmentId);
+      const timestamps = { ...lifecycle.state_timestamps };
+      const flag = classifyTransition(lifecycle.state, mapping.state);
+
+      // Orders often reach us mid-lifecycle - seed the creation time from the payload
+      if (!timestamps[STATES.CREATED] && (data.order_created_date || data.order_date)) {
+        const created = new Date(data.order_created_date || data.order_date);
+        if (!isNaN(created.getTime())) {
+          timestamps[STATES.CREATED] = created.toISOString();
+        }
+      }
+
+      if (!timestamps[mapping.state]) {
+        timestamps[mapping.state] = at;
+      }
+
+      const advances = flag === 'initial' || flag === 'forward';
+      const nextState = advances ? mapping.state : lifecycle.state;
+      const anomaly = flag === 'out_of_order' || flag === 'illegal';
+
+      const transition = { from: lifecycle.state, to: mapping.state, at, eventType, flag };
+
+      const { rows } = await client.query(
+        `UPDATE shipment_lifecycles
+         SET state = $3,
+             state_timestamps = $4,
+             transitions = transitions || $5::JSONB,
+             anomalies = anomalies + $6,
+             updated_at = NOW()
+         WHERE order_id = $1 AND shipment_id = $2
+         RETURNING *`,
+        [orderId, lifecycle.shipment_id, nextState, timestamps, JSON.stringify([transition]), anomaly ? 1 : 0]
+      );
+
+      if (anomaly) {
+        logger.warn('Unexpected shipment lifecycle transition', {
+          orderId,
+          shipmentId: lifecycle.shipment_id,
+          ...transition
+        });
+      }
+
+      return { ...rows[0], transition, durations: getDurations(rows[0]) };
+    });
+  }
+
+  /**
+   * Lock (creating if needed) the lifecycle row for an order/shipment.
+   * A shipment event adopts the order-level row created by order_created.
+   */
+  async lockRow(client, orderId, shipmentId) {
+    const select = (id) => client.query(
+      'SELECT * FROM shipment_lifecycles WHERE order_id = $1 AND shipment_id = $2 FOR UPDATE',
+      [orderId, id]
+    );
+
+    let { rows } = await select(shipmentId);
+    if (rows[0]) return rows[0];
+
+    if (shipmentId) {
+      const adopted = await client.query(
+        `UPDATE shipment_lifecycles SET shipment_id = $2
+         WHERE order_id = $1 AND shipment_id = ''
+         RETURNING *`,
+        [orderId, shipmentId]
+      );
+      if (adopted.rows[0]) return adopted.rows[0];
+    }
+
+    // Additional shipments of a split order inherit the order's creation time
+    const sibling = await client.query(
+      'SELECT state_timestamps FROM shipment_lifecycles WHERE order_id = $1 LIMIT 1',
+      [orderId]
+    );
+    const created = sibling.rows[0]?.state_timestamps?.[STATES.CREATED];
+
+    await client.query(
+      `INSERT INTO shipment_lifecycles (order_id, shipment_id, state, state_timestamps)
+       VALUES ($1, $2, NULL, $3)
+       ON CONFLICT (order_id, shipment_id) DO NOTHING`,
+      [orderId, shipmentId, created ? { [STATES.CREATED]: created } : {}]
+    );
+
+    ({ rows } = await select(shipmentId));
+    return rows[0];
+  }
+
+  async getByOrder(orderId) {
+    const { rows } = await db.query(
+      'SELECT * FROM shipment_lifecycles WHERE order_id = $1 ORDER BY created_at',
+      [String(orderId)]
+    );
+
+    return rows.map(row => ({ ...row, durations: getDurations(row) }));
+  }
+}
+
+module.exports = new ShipmentLifecycle();
+module.exports.STATES = STATES;
+module.exports.TERMINAL_STATES = TERMINAL_STATES;
+module.exports.classifyTransition = classifyTransition;
+module.exports.getDurations = getDurations;
+module.exports.getEventRank = getEventRank;
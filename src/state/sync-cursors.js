@@ -0,0 +1,92 @@
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+
+const COLUMNS = `sync_type, to_char(synced_through, 'YYYY-MM-DD') AS synced_through,
+  high_water_mark, last_record_id, last_result, last_run_at, updated_at`;
+
+/**
+ * Order two record positions by timestamp, then ID (numerically when both are numbers)
+ */
+function comparePositions(a, b) {
+  const byTime = new Date(a.at) - new Date(b.at);
+  if (byTime !== 0) return byTime;
+
+  const [idA, idB] = [String(a.id ?? ''), String(b.id ?? '')];
+  if (/^\d+$/.test(idA) && /^\d+$/.test(idB)) {
+    return idA.length - idB.length || idA.localeCompare(idB);
+  }
+  return idA.localeCompare(idB);
+}
+
+/**
+ * Persisted high-water marks for incremental syncs, one row per sync type.
+ * synced_through is the last day fully fetched; high_water_mark and
+ * last_record_id are the newest record processed, so a re-fetched day
+ * skips what was already synced.
+ */
+class SyncCursors {
+  async get(syncType) {
+    const { rows } = await db.query(`SELECT ${COLUMNS} FROM sync_cursors WHERE sync_type = $1`, [syncType]);
+    return rows[0] || null;
+  }
+
+  async list() {
+    const { rows } = await db.query(`SELECT ${COLUMNS} FROM sync_cursors ORDER BY sync_type`);
+    return rows;
+  }
+
+  /**
+   * Move a cursor forward after a synced window. Never moves it back, so an
+   * overlapping run can't undo a newer one.
+   */
+  async advance(syncType, { syncedThrough, position, result }) {
+    const { rows } = await db.query(
+      `INSERT INTO sync_cursors (sync_type, synced_through, high_water_mark, last_record_id, last_result, last_run_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (sync_type) DO UPDATE
+       SET synced_through = GREATEST(sync_cursors.synced_through, EXCLUDED.synced_through),
+           high_water_mark = CASE
+             WHEN EXCLUDED.high_water_mark IS NOT NULL
+               AND (sync_cursors.high_water_mark IS NULL OR EXCLUDED.high_water_mark >= sync_cursors.high_water_mark)
+             THEN EXCLUDED.high_water_mark ELSE sync_cursors.high_water_mark END,
+           last_record_id = CASE
+             WHEN EXCLUDED.high_water_mark IS NOT NULL
+               AND (sync_cursors.high_water_mark IS NULL OR EXCLUDED.high_water_mark >= sync_cursors.high_water_mark)
+             THEN EXCLUDED.last_record_id ELSE sync_cursors.last_record_id END,
+           last_result = EXCLUDED.last_result,
+           last_run_at = NOW(),
+           updated_at = NOW()
+       RETURNING ${COLUMNS}`,
+      [syncType, syncedThrough, position?.at || null, position?.id != null ? String(position.id) : null, result || null]
+    );
+
+    return rows[0];
+  }
+
+  /**
+   * Reset a cursor. Without syncedThrough the cursor is removed and the next
+   * run starts from the initial lookback; with it, the next run re-syncs from that day.
+   */
+  async reset(syncType, { syncedThrough = null } = {}) {
+    if (!syncedThrough) {
+      const { rowCount } = await db.query('DELETE FROM sync_cursors WHERE sync_type = $1', [syncType]);
+      logger.info('Sync cursor removed', { syncType });
+      return rowCount > 0 ? { sync_type: syncType, synced_through: null } : null;
+    }
+
+    const { rows } = await db.query(
+      `INSERT INTO sync_cursors (sync_type, synced_through)
+       VALUES ($1, $2)
+       ON CONFLICT (sync_type) DO UPDATE
+       SET synced_through = EXCLUDED.synced_through, high_water_mark = NULL, last_record_id = NULL, updated_at = NOW()
+       RETURNING ${COLUMNS}`,
+      [syncType, syncedThrough]
+    );
+
+    logger.info('Sync cursor reset', { syncType, syncedThrough });
+    return rows[0];
+  }
+}
+
+module.exports = new SyncCursors();
+module.exports.comparePositions = comparePositions;
@@ -0,0 +1,140 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const SEARCH_LIMIT_MS = 366 * 24 * HOUR_MS;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Fields of a six-field expression; five-field expressions fire at second 0
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+const formatters = new Map();
+
+function parseValue(token, field) {
+  const text = token.toLowerCase();
+  const nameIndex = field.names ? field.names.findIndex(name => text.startsWith(name)) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${token}" in cron expression`);
+  }
+  return value;
+}
+
+/**
+ * The values a field matches. Ranges may be written either way round, and a
+ * step keeps the values divisible by it (so "1-10/3" is 3, 6 and 9), the way
+ * node-cron reads them.
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron expression`);
+    }
+
+    let [start, end] = range === '*' ? [field.min, field.max] : range.split('-').map(token => parseValue(token, field));
+    if (end === undefined) end = start;
+    if (start > end) [start, end] = [end, start];
+
+    for (let value = start; value <= end; value++) {
+      if (value % step === 0) values.add(value);
+    }
+  }
+
+  // Sunday is 0 or 7
+  if (field.name === 'weekday' && values.delete(7)) values.add(0);
+  return values;
+}
+
+function parseExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw new Error(`Invalid cron expression "${expression}"`);
+  }
+
+  return Object.fromEntries(FIELDS.map((field, index) => [field.name, parseField(parts[index], field)]));
+}
+
+/**
+ * Wall-clock fields of a time in a timezone (the process's own without one)
+ */
+function getLocalTime(date, timezone) {
+  if (!timezone) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay()
+    };
+  }
+
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Next time a cron expression fires after `from`, or null if it doesn't fire
+ * within a year. node-cron 3 has no next-run API, so the expression is read
+ * the same way node-cron matches it: every field must match, day of month and
+ * day of week included. Only the first matching second of a minute is reported.
+ */
+function getNextRun(expression, { timezone, from = new Date() } = {}) {
+  const fields = parseExpression(expression);
+  const second = Math.min(...fields.second);
+
+  let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + second * 1000;
+  if (time <= from.getTime()) time += MINUTE_MS;
+
+  const limit = from.getTime() + SEARCH_LIMIT_MS;
+  while (time <= limit) {
+    const local = getLocalTime(new Date(time), timezone);
+
+    if (!fields.day.has(local.day) || !fields.month.has(local.month) || !fields.weekday.has(local.weekday) ||
+      !fields.hour.has(local.hour)) {
+      // Skip to the next local hour - hour by hour, so DST changes can't skip a match
+      time += (60 - local.minute) * MINUTE_MS;
+    } else if (!fields.minute.has(local.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getNextRun,
+  parseExpression
+};
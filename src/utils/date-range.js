@@ -0,0 +1,84 @@
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * The YYYY-MM-DD day an instant falls on in a timezone (UTC without one)
+ */
+function toZonedDay(date, timezone) {
+  if (!timezone) return formatDate(date);
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Today as YYYY-MM-DD in a timezone (UTC without one), so a job running at
+ * 00:05 in Asia/Kolkata sees the new day rather than the UTC one
+ */
+function today(timezone) {
+  return toZonedDay(new Date(), timezone);
+}
+
+/**
+ * The last `days` full days in a timezone, ending yesterday, as YYYY-MM-DD strings
+ */
+function getTrailingRange(days, timezone) {
+  const endDate = addDays(today(timezone), -1);
+  return { startDate: addDays(endDate, -(days - 1)), endDate };
+}
+
+/**
+ * YYYY-MM-DD `days` after (or before, if negative) a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return formatDate(result);
+}
+
+/**
+ * YYYY-MM-DD for a Shiprocket date, which comes either as ISO-like text or as
+ * "16 Jan 2024, 11:20 AM"
+ */
+function toDay(value) {
+  if (!value) return null;
+
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+  // Parsed as local time, so the day is read back in local time too
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+
+  const pad = number => String(number).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+/**
+ * Split an inclusive date range into consecutive windows of at most `days` days
+ */
+function splitRange(startDate, endDate, days) {
+  const windows = [];
+
+  for (let start = startDate; start <= endDate; start = addDays(start, days)) {
+    const end = addDays(start, days - 1);
+    windows.push({ startDate: start, endDate: end < endDate ? end : endDate });
+  }
+
+  return windows;
+}
+
+module.exports = {
+  formatDate,
+  addDays,
+  getTrailingRange,
+  splitRange,
+  toDay,
+  toZonedDay,
+  today
+};
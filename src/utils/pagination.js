@@ -0,0 +1,87 @@
+const logger = require('./logger');
+
+/**
+ * Walk every page of a paginated Shiprocket list, handing each page's records
+ * to handlePage(records, page) as it arrives.
+ *
+ * When the first response carries meta.pagination.total_pages, the remaining
+ * pages are fetched `concurrency` at a time (so pages may be handled out of
+ * order). Without it, pages are fetched one by one until a short page.
+ * fetchPage(page) must resolve to the raw API response. Aborting `signal`
+ * stops paging before the next page is fetched, rejecting with its reason.
+ */
+async function forEachPage(fetchPage, handlePage, { perPage, concurrency = 1, maxPages = 1000, signal } = {}) {
+  let records = 0;
+
+  const fetchChecked = (page) => {
+    signal?.throwIfAborted();
+    return fetchPage(page);
+  };
+
+  const handle = async (page, response) => {
+    const data = Array.isArray(response?.data) ? response.data : [];
+    records += data.length;
+    if (data.length > 0) {
+      await handlePage(data, page);
+    }
+    return data;
+  };
+
+  const first = await fetchChecked(1);
+  let data = await handle(1, first);
+  const totalPages = first?.meta?.pagination?.total_pages;
+
+  if (totalPages !== undefined) {
+    const lastPage = Math.min(totalPages, maxPages);
+    if (totalPages > maxPages) {
+      logger.warn('Stopped paging before the last page', { maxPages, totalPages });
+    }
+
+    let next = 2;
+    let failed = false;
+    const worker = async () => {
+      while (!failed && next <= lastPage) {
+        const page = next++;
+        try {
+          await handle(page, await fetchChecked(page));
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(Math.min(concurrency, lastPage - 1), 0) }, worker));
+    return { pages: Math.max(lastPage, 1), records, totalPages };
+  }
+
+  let page = 1;
+  while (data.length > 0 && data.length >= perPage) {
+    if (page >= maxPages) {
+      logger.warn('Stopped paging before the last page', { maxPages });
+      break;
+    }
+
+    page++;
+    data = await handle(page, await fetchChecked(page));
+  }
+
+  return { pages: page, records, totalPages: null };
+}
+
+/**
+ * Fetch every page of a paginated Shiprocket list, in order
+ */
+async function fetchAllPages(fetchPage, { perPage, maxPages = 1000 } = {}) {
+  const records = [];
+  const { pages } = await forEachPage(fetchPage, (data) => {
+    records.push(...data);
+  }, { perPage, maxPages });
+
+  return { records, pages };
+}
+
+module.exports = {
+  forEachPage,
+  fetchAllPages
+};
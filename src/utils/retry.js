@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('./logger');
+const redis = require('../db/redis');
 
 /**
  * Retry a function with exponential backoff
@@ -12,6 +13,7 @@ async function retryRequest(fn, options = {}) {
     maxAttempts = config.retry.maxAttempts,
     delayMs = config.retry.delayMs,
     backoffFactor = config.retry.backoffFactor,
+    maxRetryAfterMs = config.retry.maxRetryAfterMs,
     shouldRetry = defaultShouldRetry,
     onRetry = defaultOnRetry
   } = options;
@@ -53,8 +55,19 @@ async function retryRequest(fn, options = {}) {
         break;
       }
 
+      // A server-provided Retry-After replaces our own backoff
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {
+        logger.error('Request failed, Retry-After is longer than we wait', error, {
+          attempt,
+          retryAfterMs,
+          maxRetryAfterMs
+        });
+        throw error;
+      }
+
       // Calculate delay for next attempt
-      const delay = delayMs * Math.pow(backoffFactor, attempt - 1);
+      const delay = retryAfterMs ?? delayMs * Math.pow(backoffFactor, attempt - 1);
       const jitteredDelay = addJitter(delay);
 
       logger.warn('Request failed, retrying', {
@@ -117,6 +130,26 @@ function defaultShouldRetry(error, attempt) {
   return false;
 }
 
+/**
+ * Back-off requested by the server through Retry-After (seconds or an HTTP date)
+ * @param {Error} error - The error that occurred
+ * @returns {number|null} - Milliseconds to wait, or null if none was given
+ */
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Default retry callback
  * @param {Error} error - The error that occurred
@@ -275,49 +308,165 @@ class CircuitBreaker {
   }
 }
 
+// Refill and take one token atomically; returns 0 or the ms to wait for the next token
+const TAKE_TOKEN_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at', 'paused_until')
+local pausedUntil = tonumber(state[3]) or 0
+if pausedUntil > now then
+  return pausedUntil - now
+end
+local tokens = tonumber(state[1]) or burst
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(burst, tokens + (now - updatedAt) * rate)
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst / rate) + 60000)
+return wait
+`;
+
+// Hold every caller back until now + ARGV[1] ms (never shortens an existing pause)
+const PAUSE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local until_ = now + tonumber(ARGV[1])
+local current = tonumber(redis.call('HGET', KEYS[1], 'paused_until')) or 0
+if until_ > current then
+  redis.call('HSET', KEYS[1], 'paused_until', until_)
+  redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[1]) + 60000)
+end
+return until_
+`;
+
 /**
- * Rate limiter for API calls
+ * Token bucket rate limiter for outbound API calls.
+ * Holds up to `burst` tokens and refills `ratePerSecond` tokens per second;
+ * each request takes one and waits when the bucket is empty. With the Redis
+ * store the bucket is shared by every replica; if Redis can't be reached the
+ * limiter falls back to its in-process bucket.
  */
 class RateLimiter {
   constructor(options = {}) {
-    this.maxRequests = options.maxRequests || 100;
-    this.windowMs = options.windowMs || 60000; // 1 minute
-    this.requests = [];
+    this.name = options.name || 'default';
+    this.ratePerSecond = options.ratePerSecond || 5;
+    this.burst = options.burst || 10;
+    this.store = options.store || 'memory';
+    this.redisKey = options.redisKey || `ratelimit:${this.name}`;
+    this.enabled = options.enabled !== false;
+    this.maxPauseMs = options.maxPauseMs || 60000;
+
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+
+    this.stats = {
+      requests: 0,
+      throttled: 0,
+      waitedMs: 0,
+      pauses: 0,
+      storeErrors: 0
+    };
   }
 
+  /**
+   * Wait until a request may be sent
+   */
   async checkLimit() {
-    const now = Date.now();
-    
-    // Remove old requests outside the window
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-    
-    if (this.requests.length >= this.maxRequests) {
-      const oldestRequest = Math.min(...this.requests);
-      const waitTime = this.windowMs - (now - oldestRequest);
-      
-      logger.warn('Rate limit exceeded, waiting', {
-        currentRequests: this.requests.length,
-        maxRequests: this.maxRequests,
-        waitTimeMs: waitTime
-      });
-      
-      await sleep(waitTime);
-      return this.checkLimit(); // Recursive check after wait
+    if (!this.enabled) return true;
+
+    this.stats.requests++;
+    let waited = false;
+
+    for (;;) {
+      const waitMs = await this.takeToken();
+      if (waitMs <= 0) break;
+
+      if (!waited) {
+        this.stats.throttled++;
+        waited = true;
+        logger.debug('Outbound rate limit reached, waiting', { limiter: this.name, waitMs });
+      }
+      this.stats.waitedMs += waitMs;
+      await sleep(waitMs);
     }
-    
-    this.requests.push(now);
+
     return true;
   }
 
-  getStats() {
+  /**
+   * Stop sending for `ms` (e.g. a server's Retry-After), at most maxPauseMs
+   */
+  async pause(ms) {
+    if (!this.enabled || !(ms > 0)) return;
+
+    ms = Math.min(ms, this.maxPauseMs);
+    this.stats.pauses++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    logger.warn('Outbound requests paused by server back-off', { limiter: this.name, pauseMs: ms });
+
+    if (this.store === 'redis') {
+      try {
+        const client = await redis.getClient();
+        await client.eval(PAUSE_SCRIPT, { keys: [this.redisKey], arguments: [String(Math.ceil(ms))] });
+      } catch (error) {
+        this.stats.storeErrors++;
+      }
+    }
+  }
+
+  async takeToken() {
+    if (this.store === 'redis') {
+      try {
+        const client = await redis.getClient();
+        return Number(await client.eval(TAKE_TOKEN_SCRIPT, {
+          keys: [this.redisKey],
+          arguments: [String(this.ratePerSecond / 1000), String(this.burst)]
+        }));
+      } catch (error) {
+        this.stats.storeErrors++;
+      }
+    }
+
+    return this.takeLocalToken();
+  }
+
+  takeLocalToken() {
     const now = Date.now();
-    const activeRequests = this.requests.filter(time => now - time < this.windowMs);
-    
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+
+    const ratePerMs = this.ratePerSecond / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * ratePerMs);
+    this.updatedAt = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil((1 - this.tokens) / ratePerMs);
+  }
+
+  getStats() {
     return {
-      activeRequests: activeRequests.length,
-      maxRequests: this.maxRequests,
-      windowMs: this.windowMs,
-      remainingRequests: this.maxRequests - activeRequests.length
+      name: this.name,
+      enabled: this.enabled,
+      store: this.store,
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst,
+      // Only meaningful for the in-process bucket
+      availableTokens: this.store === 'memory' ? Math.floor(this.tokens) : null,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats
     };
   }
 }
@@ -328,6 +477,7 @@ module.exports = {
   retryConfigs,
   CircuitBreaker,
   RateLimiter,
+  getRetryAfterMs,
   sleep,
   defaultShouldRetry,
   addJitter
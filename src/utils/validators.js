@@ -31,7 +31,7 @@ const orderDataSchema = Joi.object({
  * Shipment data schema for validation
  */
 const shipmentDataSchema = Joi.object({
-  shipment_id: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+  shipment_id: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
   order_id: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
   courier_name: Joi.string().optional(),
   tracking_number: Joi.string().optional(),
@@ -39,7 +39,7 @@ const shipmentDataSchema = Joi.object({
   delivered_date: Joi.date().iso().optional(),
   shipping_charges: Joi.number().positive().optional(),
   status: Joi.string().optional()
-});
+}).or('shipment_id', 'tracking_number'); // Native tracking webhooks may only carry the AWB
 
 /**
  * Triple Whale metrics schema
@@ -47,8 +47,15 @@ const shipmentDataSchema = Joi.object({
 const metricsSchema = Joi.object({
   metric_name: Joi.string().required(),
   value: Joi.number().required(),
-  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return value; // Already reported by pattern
+
+    // Reject impossible days like 2024-02-30 that still match the pattern
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : helpers.error('any.invalid');
+  }).required(),
   dimensions: Joi.object().optional(),
+  idempotency_key: Joi.string().optional(),
   timestamp: Joi.date().iso().optional()
 });
 
@@ -135,7 +142,7 @@ function validateMetrics(metrics) {
   const errors = [];
 
   for (let i = 0; i < metricsArray.length; i++) {
-    const { error } = metricsSchema.validate(metricsArray[i]);
+    const { error } = metricsSchema.validate(metricsArray[i], { abortEarly: false });
     
     if (error) {
       errors.push({
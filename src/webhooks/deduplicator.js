@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const redis = require('../db/redis');
+
+// Payload fields that carry the time of the status change, in order of preference
+const STATUS_TIMESTAMP_FIELDS = [
+  'current_timestamp',
+  'status_date',
+  'updated_at',
+  'delivered_date',
+  'rto_date',
+  'returned_date',
+  'cancelled_date',
+  'shipped_date',
+  'pickup_date',
+  'order_date'
+];
+
+/**
+ * Redis-backed deduplication for redelivered webhooks
+ */
+class WebhookDeduplicator {
+  constructor() {
+    this.stats = {
+      checked: 0,
+      duplicates: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Build the dedup key: webhook_id when Shiprocket sends one, otherwise a
+   * fingerprint of event type, order, shipment and status timestamp
+   */
+  getKey(payload) {
+    if (payload.webhook_id) {
+      return `${config.dedup.keyPrefix}id:${payload.webhook_id}`;
+    }
+
+    const data = payload.data || {};
+    const statusTimestamp = STATUS_TIMESTAMP_FIELDS
+      .map(field => data[field])
+      .find(value => value) || payload.timestamp || '';
+
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update([
+        payload.event_type,
+        data.order_id ?? '',
+        data.shipment_id ?? '',
+        statusTimestamp
+      ].join('|'))
+      .digest('hex');
+
+    return `${config.dedup.keyPrefix}fp:${fingerprint}`;
+  }
+
+  /**
+   * Claim the event. Returns duplicate: true if it was already claimed within
+   * the TTL. Fails open when Redis is down - a duplicate metric is better than
+   * dropping a webhook.
+   */
+  async claim(payload) {
+    const key = this.getKey(payload);
+    this.stats.checked++;
+
+    if (!config.dedup.enabled) {
+      return { key: null, duplicate: false };
+    }
+
+    try {
+      const client = await redis.getClient();
+      const result = await client.set(key, new Date().toISOString(), {
+        NX: true,
+        EX: config.dedup.ttlSeconds
+      });
+
+      const duplicate = result === null;
+      if (duplicate) {
+        this.stats.duplicates++;
+      }
+
+      return { key, duplicate };
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Webhook dedup check failed, processing anyway', { key, error: error.message });
+      return { key: null, duplicate: false };
+    }
+  }
+
+  /**
+   * Release a claim so a redelivery is processed (used when the event could not be stored)
+   */
+  async release(key) {
+    if (!key) return;
+
+    try {
+      const client = await redis.getClient();
+      await client.del(key);
+    } catch (error) {
+      logger.warn('Failed to release webhook dedup key', { key, error: error.message });
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: config.dedup.enabled,
+      ttlSeconds: config.dedup.ttlSeconds,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new WebhookDeduplicator();
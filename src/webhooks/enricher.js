@@ -0,0 +1,160 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const redis = require('../db/redis');
+const shiprocketAPI = require('../api/shiprocket');
+
+// Events whose handlers depend on order details that tracking webhooks often omit
+const ENRICHED_EVENTS = [
+  'order_created', 'order_placed',
+  'order_shipped', 'shipment_created',
+  'order_delivered', 'delivered',
+  'order_cancelled', 'cancelled',
+  'order_returned', 'rto'
+];
+
+/**
+ * Pick the fields we merge into events from a GET /orders/show response
+ */
+function extractOrderDetails(response) {
+  const order = response?.data || response || {};
+  const shipment = Array.isArray(order.shipments) ? order.shipments[0] : order.shipments;
+  const charges = order.awb_data?.charges || {};
+
+  const details = {
+    total_amount: order.total ?? order.net_total,
+    payment_method: order.payment_method,
+    channel_name: order.channel_name,
+    courier_name: shipment?.courier || shipment?.courier_name,
+    shipping_charges: charges.freight_charges ?? charges.applied_weight_amount,
+    cod_charges: charges.cod_charges,
+    products: Array.isArray(order.products)
+      ? order.products.map(product => ({
+        sku: product.sku,
+        name: product.name,
+        quantity: Number(product.quantity) || 1,
+        price: Number(product.price ?? product.selling_price) || undefined
+      }))
+      : undefined
+  };
+
+  if (details.total_amount !== undefined) {
+    details.total_amount = parseFloat(details.total_amount);
+  }
+  if (details.shipping_charges !== undefined) {
+    details.shipping_charges = parseFloat(details.shipping_charges);
+  }
+  if (details.cod_charges !== undefined) {
+    details.cod_charges = parseFloat(details.cod_charges);
+  }
+
+  return Object.fromEntries(
+    Object.entries(details).filter(([, value]) => value !== undefined && value !== null && value !== '' && !Number.isNaN(value))
+  );
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Fills in order details missing from sparse webhook payloads using the
+ * Shiprocket order API. Lookups are cached in Redis and enrichment is best
+ * effort: if Shiprocket can't be reached the event is processed as received.
+ */
+class OrderEnricher {
+  constructor() {
+    this.stats = {
+      enriched: 0,
+      cacheHits: 0,
+      lookups: 0,
+      errors: 0
+    };
+  }
+
+  async enrich(eventType, data) {
+    const result = { data, enrichedFields: [], cached: false, error: null };
+
+    if (!config.enrichment.enabled || !ENRICHED_EVENTS.includes(eventType) || data.order_id == null) {
+      return result;
+    }
+
+    const missing = config.enrichment.fields.filter(field => isMissing(data[field]));
+    if (missing.length === 0) {
+      return result;
+    }
+
+    try {
+      const { details, cached } = await this.getOrderDetails(data.order_id);
+      const enrichedFields = missing.filter(field => !isMissing(details[field]));
+
+      result.cached = cached;
+      result.enrichedFields = enrichedFields;
+      result.data = {
+        ...data,
+        ...Object.fromEntries(enrichedFields.map(field => [field, details[field]]))
+      };
+
+      if (enrichedFields.length > 0) {
+        this.stats.enriched++;
+        logger.debug('Webhook event enriched from Shiprocket order', {
+          eventType,
+          orderId: data.order_id,
+          enrichedFields,
+          cached
+        });
+      }
+    } catch (error) {
+      this.stats.errors++;
+      result.error = error.message;
+      logger.warn('Order enrichment failed, processing event as received', {
+        eventType,
+        orderId: data.order_id,
+        missing,
+        error: error.message
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Order details from cache, falling back to the Shiprocket API
+   */
+  async getOrderDetails(orderId) {
+    const key = `${config.enrichment.cacheKeyPrefix}${orderId}`;
+    let client = null;
+
+    try {
+      client = await redis.getClient();
+      const cached = await client.get(key);
+      if (cached) {
+        this.stats.cacheHits++;
+        return { details: JSON.parse(cached), cached: true };
+      }
+    } catch (error) {
+      logger.debug('Order cache unavailable', { error: error.message });
+      client = null;
+    }
+
+    this.stats.lookups++;
+    const details = extractOrderDetails(await shiprocketAPI.getOrder(orderId));
+
+    if (client) {
+      await client.set(key, JSON.stringify(details), { EX: config.enrichment.cacheTtlSeconds })
+        .catch(error => logger.debug('Failed to cache order details', { error: error.message }));
+    }
+
+    return { details, cached: false };
+  }
+
+  getStats() {
+    return {
+      enabled: config.enrichment.enabled,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new OrderEnricher();
+module.exports.extractOrderDetails = extractOrderDetails;
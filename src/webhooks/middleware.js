@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const net = require('net');
+const config = require('../config');
+const logger = require('../utils/logger');
+const redis = require('../db/redis');
+const { parseShiprocketDate } = require('./status-mapper');
+
+/**
+ * Capture the raw request bytes for signature verification.
+ * Used as the `verify` option of express.json, before the body is parsed.
+ */
+function captureRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/webhooks/')) {
+    req.rawBody = Buffer.from(buf);
+  }
+}
+
+/**
+ * Decode a received signature (hex or base64, optionally prefixed with "sha256=")
+ */
+function decodeSignature(signature) {
+  const value = signature.replace(/^(sha256=|Bearer\s+)/i, '').trim();
+
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+
+  return Buffer.from(value, 'base64');
+}
+
+/**
+ * Verify webhook signature against every active secret.
+ * Returns the index of the matching secret, or -1 if none matched.
+ */
+function verifyWebhookSignature(rawBody, signature, secrets) {
+  const received = decodeSignature(signature);
+
+  return secrets.findIndex((secret) => {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest();
+
+    // timingSafeEqual throws on length mismatch - a wrong length is simply invalid
+    return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * Reject Shiprocket webhooks that are not signed with an active secret
+ */
+function verifyShiprocketSignature(req, res, next) {
+  if (!config.webhook.verifySignature && !config.webhook.requireSignature) {
+    return next(); // Skip verification if disabled
+  }
+
+  const signature = req.get('X-Shiprocket-Signature') || req.get('Authorization');
+
+  if (!signature) {
+    if (config.webhook.requireSignature) {
+      logger.warn('Unsigned webhook rejected', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      return res.status(401).json({ error: 'Missing signature' });
+    }
+    return next();
+  }
+
+  const secrets = config.shiprocket.webhookSecrets;
+  if (secrets.length === 0) {
+    logger.error('Webhook signature received but no webhook secret is configured');
+    return res.status(500).json({ error: 'Webhook verification is misconfigured' });
+  }
+
+  const secretIndex = req.rawBody ? verifyWebhookSignature(req.rawBody, signature, secrets) : -1;
+
+  if (secretIndex === -1) {
+    logger.warn('Invalid webhook signature', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      hasRawBody: Boolean(req.rawBody)
+    });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  if (secretIndex > 0) {
+    // Still signed with an older secret - useful to know when rotation can be completed
+    logger.info('Webhook verified with a previous secret', { secretIndex });
+  }
+
+  // Identifies this exact body for replay protection
+  req.webhookSignature = decodeSignature(signature).toString('hex');
+  next();
+}
+
+/**
+ * Build a BlockList from "a.b.c.d", "a.b.c.d/nn" and IPv6 equivalents
+ */
+function buildAllowlist(entries) {
+  const list = new net.BlockList();
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      logger.warn('Ignoring invalid webhook allowlist entry', { entry });
+      continue;
+    }
+
+    if (prefix !== undefined) {
+      list.addSubnet(address, parseInt(prefix), type);
+    } else {
+      list.addAddress(address, type);
+    }
+  }
+
+  return list;
+}
+
+const sourceAllowlist = buildAllowlist(config.webhook.allowedSourceIps);
+
+/**
+ * Check an address against the allowlist (IPv4-mapped IPv6 addresses are unwrapped)
+ */
+function isAllowedSource(ip) {
+  const address = (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+  return net.isIP(address) !== 0 && sourceAllowlist.check(address, type);
+}
+
+/**
+ * Only accept webhooks from allowlisted Shiprocket addresses.
+ * req.ip honours the app's `trust proxy` setting.
+ */
+function restrictWebhookSource(req, res, next) {
+  if (config.webhook.allowedSourceIps.length === 0) {
+    return next();
+  }
+
+  if (!isAllowedSource(req.ip)) {
+    logger.warn('Webhook from non-allowlisted source rejected', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    return res.status(403).json({ error: 'Source not allowed' });
+  }
+
+  next();
+}
+
+/**
+ * Parse a webhook timestamp (epoch seconds, epoch milliseconds or a date
+ * string, Shiprocket's zone-less IST formats included)
+ */
+function parseWebhookTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(value))) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  const date = parseShiprocketDate(value);
+  return date ? new Date(date).getTime() : NaN;
+}
+
+/**
+ * What identifies a webhook for replay protection: its nonce, else its
+ * verified signature. Both come from the signed body, so a replay can't
+ * dodge the check by changing a header.
+ */
+function getReplayKey(req) {
+  const nonce = req.body?.nonce;
+  const id = nonce ? `nonce:${nonce}` : req.webhookSignature ? `signature:${req.webhookSignature}` : null;
+
+  return id && `${config.webhook.nonceKeyPrefix}${crypto.createHash('sha256').update(id).digest('hex')}`;
+}
+
+/**
+ * Reject stale webhooks and acknowledge replayed ones without processing them.
+ *
+ * The timestamp (body.timestamp, or data.current_timestamp) must fall inside
+ * the tolerance window, and each nonce - or, without one, each verified
+ * signature - is only processed once within that window. A repeat is answered
+ * with 200 like a deduplicated redelivery, so Shiprocket stops retrying it.
+ * Runs after signature verification and only reads signed fields, so neither
+ * the timestamp nor the nonce can be tampered with.
+ */
+async function preventWebhookReplay(req, res, next) {
+  const toleranceMs = config.webhook.timestampToleranceSeconds * 1000;
+  const rawTimestamp = req.body?.timestamp ?? req.body?.data?.current_timestamp;
+  const timestamp = parseWebhookTimestamp(rawTimestamp);
+
+  if (timestamp === null) {
+    if (config.webhook.requireTimestamp) {
+      logger.warn('Webhook without timestamp rejected', { ip: req.ip });
+      return res.status(401).json({ error: 'Missing timestamp' });
+    }
+  } else if (isNaN(timestamp) || Math.abs(Date.now() - timestamp) > toleranceMs) {
+    logger.warn('Webhook timestamp outside tolerance window', {
+      ip: req.ip,
+      timestamp: rawTimestamp,
+      toleranceSeconds: config.webhook.timestampToleranceSeconds
+    });
+    return res.status(401).json({ error: 'Timestamp outside tolerance window' });
+  }
+
+  const key = getReplayKey(req);
+  if (!key) {
+    return next();
+  }
+
+  let client;
+
+  try {
+    client = await redis.getClient();
+    const claimed = await client.set(key, req.ip || 'unknown', {
+      NX: true,
+      EX: config.webhook.timestampToleranceSeconds * 2
+    });
+
+    if (claimed === null) {
+      logger.warn('Replayed webhook ignored', { ip: req.ip });
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Webhook already received'
+      });
+    }
+  } catch (error) {
+    // Fail open like deduplication - signature and timestamp checks still apply
+    logger.warn('Webhook replay check failed, continuing', { error: error.message });
+    return next();
+  }
+
+  // Free the key if the webhook was not accepted so a legitimate retry gets through
+  res.on('finish', () => {
+    if (res.statusCode >= 300) {
+      client.del(key).catch(() => {});
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  captureRawBody,
+  verifyWebhookSignature,
+  verifyShiprocketSignature,
+  restrictWebhookSource,
+  preventWebhookReplay,
+  isAllowedSource,
+  parseWebhookTimestamp
+};
@@ -0,0 +1,131 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const shiprocketAPI = require('../api/shiprocket');
+
+/**
+ * Pull the registration list out of the GET /webhooks response
+ */
+function extractRegistrations(response) {
+  const list = response?.data?.webhooks || response?.data || response?.webhooks || response;
+  return Array.isArray(list) ? list : [];
+}
+
+function toEventList(events) {
+  if (Array.isArray(events)) return [...events];
+  return String(events || '').split(',').map(event => event.trim()).filter(Boolean);
+}
+
+function sameEvents(a, b) {
+  const left = toEventList(a).sort();
+  const right = toEventList(b).sort();
+  return left.length === right.length && left.every((event, i) => event === right[i]);
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out what has to change to get from the current registrations to the desired one.
+ * Registrations pointing at our webhook path (on any host) are ours: the best
+ * match is kept and corrected, the rest are stale.
+ */
+function planReconciliation(registrations, desired) {
+  const desiredPath = pathOf(desired.url);
+  const managed = registrations.filter(registration => pathOf(registration.url) === desiredPath);
+  const others = registrations.length - managed.length;
+
+  if (managed.length === 0) {
+    return { create: desired, update: null, remove: [], keep: null, others };
+  }
+
+  const keep = managed.find(registration => registration.url === desired.url) || managed[0];
+  const remove = managed.filter(registration => registration !== keep);
+
+  const changes = [];
+  if (keep.url !== desired.url) changes.push('url');
+  if (!sameEvents(keep.events, desired.events)) changes.push('events');
+  // The API only returns the secret on some accounts - compare it when we can
+  if (desired.secret && keep.secret !== undefined && keep.secret !== desired.secret) changes.push('secret');
+
+  return {
+    create: null,
+    update: changes.length > 0 ? { id: keep.id, changes } : null,
+    remove,
+    keep,
+    others
+  };
+}
+
+/**
+ * Ensure our public webhook URL is registered with Shiprocket for the events
+ * we handle, fix drifted URLs/events/secrets and remove stale registrations.
+ * With dryRun the plan is reported without changing anything.
+ */
+async function reconcileWebhooks({ dryRun = false } = {}) {
+  if (!config.webhook.publicUrl) {
+    throw new Error('WEBHOOK_PUBLIC_URL is not configured');
+  }
+
+  const desired = {
+    url: config.webhook.publicUrl,
+    events: config.webhook.registeredEvents,
+    secret: config.shiprocket.webhookSecret
+  };
+
+  const registrations = extractRegistrations(await shiprocketAPI.getWebhooks());
+  const plan = planReconciliation(registrations, desired);
+
+  const report = {
+    dryRun,
+    url: desired.url,
+    events: desired.events,
+    created: null,
+    updated: null,
+    deleted: [],
+    unchanged: plan.keep && !plan.update ? plan.keep.id : null,
+    unmanaged: plan.others
+  };
+
+  if (plan.create) {
+    report.created = dryRun ? { url: desired.url } : await shiprocketAPI.createWebhook(desired);
+  }
+
+  if (plan.update) {
+    if (!dryRun) {
+      await shiprocketAPI.updateWebhook(plan.update.id, desired);
+    }
+    report.updated = plan.update;
+  }
+
+  for (const registration of plan.remove) {
+    if (!dryRun) {
+      await shiprocketAPI.deleteWebhook(registration.id);
+    }
+    report.deleted.push({ id: registration.id, url: registration.url });
+  }
+
+  const changed = Boolean(report.created || report.updated || report.deleted.length > 0);
+  logger.info(dryRun ? 'Webhook reconciliation planned' : 'Webhook reconciliation completed', {
+    changed,
+    created: Boolean(report.created),
+    updated: report.updated,
+    deleted: report.deleted.length
+  });
+
+  return { ...report, changed };
+}
+
+async function listWebhooks() {
+  return extractRegistrations(await shiprocketAPI.getWebhooks());
+}
+
+module.exports = {
+  reconcileWebhooks,
+  planReconciliation,
+  listWebhooks
+};
@@ -1,31 +1,51 @@
 const express = require('express');
-const crypto = require('crypto');
-const config = require('../config');
 const logger = require('../utils/logger');
-const tripleWhaleAPI = require('../api/triplewhale');
+const metricBuffer = require('../queue/metric-buffer');
+const metricRollup = require('../metrics/rollup');
+const webhookInbox = require('../queue/webhook-inbox');
+const shipmentLifecycle = require('../state/shipment-lifecycle');
+const orderLedger = require('../state/order-ledger');
+const webhookDeduplicator = require('./deduplicator');
+const { normalizeWebhookPayload, recordUnmappedStatus } = require('./status-mapper');
+const orderEnricher = require('./enricher');
+const {
+  restrictWebhookSource,
+  verifyShiprocketSignature,
+  preventWebhookReplay
+} = require('./middleware');
 const { validateWebhookData } = require('../utils/validators');
 
 const router = express.Router();
 
 /**
- * Verify webhook signature
+ * Queue a webhook event's metrics for Triple Whale, or fold them into the
+ * daily rollups, and mark a settlement emitted once it is queued. Used for
+ * live events and dead-letter replays alike, so both count the same way.
  */
-function verifyWebhookSignature(payload, signature, secret) {
-  if (!config.webhook.verifySignature) {
-    return true; // Skip verification if disabled
+async function emitWebhookMetrics(metrics, source, { settled = false } = {}) {
+  try {
+    if (metricRollup.isEnabled()) {
+      await metricRollup.record(metrics, source);
+    } else {
+      await metricBuffer.add(metrics, source);
+    }
+  } catch (error) {
+    // Keep the generated metrics and their source with the error so they can be dead-lettered and replayed
+    error.metrics = metrics;
+    error.metricSource = {
+      type: source.type,
+      eventId: source.eventId,
+      eventType: source.eventType,
+      orderId: source.orderId,
+      shipmentId: source.shipmentId,
+      settled
+    };
+    throw error;
   }
 
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-
-  const receivedSignature = signature.replace('sha256=', '');
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(expectedSignature, 'hex'),
-    Buffer.from(receivedSignature, 'hex')
-  );
+  if (settled) {
+    await orderLedger.markEmitted(source.orderId);
+  }
 }
 
 /**
@@ -42,6 +62,13 @@ async function processWebhookEvent(eventType, data) {
     });
 
     let metrics = [];
+
+    // Tracking webhooks often lack order value, payment method or products - fill them in
+    const enrichment = await orderEnricher.enrich(eventType, data);
+    data = enrichment.data;
+
+    // Record the transition first so durations come from stored state, not the payload
+    const lifecycle = await shipmentLifecycle.recordEvent(eventType, data);
     
     switch (eventType) {
       case 'order_created':
@@ -51,12 +78,12 @@ async function processWebhookEvent(eventType, data) {
         
       case 'order_shipped':
       case 'shipment_created':
-        metrics = await processOrderShipped(data);
+        metrics = await processOrderShipped(data, lifecycle);
         break;
         
       case 'order_delivered':
       case 'delivered':
-        metrics = await processOrderDelivered(data);
+        metrics = await processOrderDelivered(data, lifecycle);
         break;
         
       case 'order_cancelled':
@@ -86,16 +113,43 @@ async function processWebhookEvent(eventType, data) {
         metrics = await processFailedDelivery(data);
         break;
         
+      case 'status_update':
+        // Known Shiprocket status that doesn't produce metrics (e.g. packing, RTO progress)
+        return {
+          success: true,
+          metricsGenerated: 0,
+          reason: 'Informational status',
+          status: data.native_status
+        };
+
+      case 'unmapped_status':
+        await recordUnmappedStatus(data);
+        return { success: false, reason: 'Unmapped status code', status: data.native_status };
+        
       default:
         logger.warn('Unknown webhook event type', { eventType, data });
         return { success: false, reason: 'Unknown event type' };
     }
 
-    // Push metrics to Triple Whale if any were generated
+    // Contribution margin metrics once the order reaches delivered, RTO or cancelled
+    const settlementMetrics = await orderLedger.recordEvent(eventType, data, lifecycle);
+    metrics = metrics.concat(settlementMetrics);
+
+    // Queue metrics for Triple Whale (or fold them into the daily rollups) if any were generated
     if (metrics.length > 0) {
-      await tripleWhaleAPI.pushCustomMetrics(metrics);
+      const source = {
+        type: 'webhook',
+        // Same fingerprint on inbox retries and dead-letter replays, so the metrics keep their idempotency keys
+        eventId: webhookDeduplicator.getKey({ event_type: eventType, data }),
+        eventType,
+        orderId: data.order_id,
+        shipmentId: data.shipment_id,
+        data
+      };
+
+      await emitWebhookMetrics(metrics, source, { settled: settlementMetrics.length > 0 });
       
-      logger.sync('Webhook data synced to Triple Whale', 'success', {
+      logger.sync('Webhook metrics queued for Triple Whale', 'success', {
         eventType,
         metricsCount: metrics.length,
         duration: Date.now() - startTime
@@ -105,6 +159,8 @@ async function processWebhookEvent(eventType, data) {
     return { 
       success: true, 
       metricsGenerated: metrics.length,
+      lifecycle: lifecycle ? { state: lifecycle.state, flag: lifecycle.transition.flag } : null,
+      enrichedFields: enrichment.enrichedFields,
       processingTime: Date.now() - startTime
     };
 
@@ -346,7 +402,7 @@ function determinePaymentStatus(orderData) {
 /**
  * Process order shipped events
  */
-async function processOrderShipped(data) {
+async function processOrderShipped(data, lifecycle) {
   const metrics = [];
   const date = data.shipped_date ? data.shipped_date.split('T')[0] : new Date().toISOString().split('T')[0];
 
@@ -381,12 +437,9 @@ async function processOrderShipped(data) {
     });
   }
 
-  // Processing time metric (if order creation time is available)
-  if (data.order_created_date && data.shipped_date) {
-    const createdTime = new Date(data.order_created_date);
-    const shippedTime = new Date(data.shipped_date);
-    const processingHours = (shippedTime - createdTime) / (1000 * 60 * 60);
-
+  // Processing time metric (once the order's creation time has been recorded)
+  const { processingHours } = shipmentLifecycle.getDurations(lifecycle);
+  if (processingHours !== null) {
     metrics.push({
       metric_name: 'shiprocket_processing_time',
       value: processingHours,
@@ -406,7 +459,7 @@ async function processOrderShipped(data) {
 /**
  * Process order delivered events - Enhanced for COD Payment Collection
  */
-async function processOrderDelivered(data) {
+async function processOrderDelivered(data, lifecycle) {
   const metrics = [];
   const date = data.delivered_date ? data.delivered_date.split('T')[0] : new Date().toISOString().split('T')[0];
 
@@ -476,12 +529,10 @@ async function processOrderDelivered(data) {
     });
   }
 
-  // Calculate delivery time
-  if (data.shipped_date && data.delivered_date) {
-    const shippedTime = new Date(data.shipped_date);
-    const deliveredTime = new Date(data.delivered_date);
-    const deliveryHours = (deliveredTime - shippedTime) / (1000 * 60 * 60);
+  const { deliveryHours, transitHours, fulfillmentHours } = shipmentLifecycle.getDurations(lifecycle);
 
+  // Calculate delivery time (shipped to delivered)
+  if (deliveryHours !== null) {
     metrics.push({
       metric_name: 'shiprocket_delivery_time',
       value: deliveryHours,
@@ -497,12 +548,24 @@ async function processOrderDelivered(data) {
     });
   }
 
-  // Total fulfillment time (order to delivery)
-  if (data.order_created_date && data.delivered_date) {
-    const createdTime = new Date(data.order_created_date);
-    const deliveredTime = new Date(data.delivered_date);
-    const fulfillmentHours = (deliveredTime - createdTime) / (1000 * 60 * 60);
+  // Transit time (picked up by the courier to delivered)
+  if (transitHours !== null) {
+    metrics.push({
+      metric_name: 'shiprocket_transit_time',
+      value: transitHours,
+      date,
+      dimensions: {
+        source: 'shiprocket',
+        event: 'order_delivered',
+        order_id: data.order_id,
+        courier: data.courier_name || 'unknown',
+        unit: 'hours'
+      }
+    });
+  }
 
+  // Total fulfillment time (order to delivery)
+  if (fulfillmentHours !== null) {
     metrics.push({
       metric_name: 'shiprocket_fulfillment_time',
       value: fulfillmentHours,
@@ -714,29 +777,16 @@ async function processFailedDelivery(data) {
 /**
  * Main webhook endpoint
  */
-router.post('/shiprocket', async (req, res) => {
+router.post('/shiprocket', restrictWebhookSource, verifyShiprocketSignature, preventWebhookReplay, async (req, res) => {
   const startTime = Date.now();
+  let dedupKey = null;
   
   try {
-    // Get raw body for signature verification
-    const payload = JSON.stringify(req.body);
-    const signature = req.headers['x-shiprocket-signature'] || req.headers['authorization'];
-    
-    // Verify webhook signature
-    if (config.webhook.verifySignature && signature) {
-      const isValid = verifyWebhookSignature(payload, signature, config.shiprocket.webhookSecret);
-      if (!isValid) {
-        logger.warn('Invalid webhook signature', {
-          signature,
-          ip: req.ip,
-          userAgent: req.get('User-Agent')
-        });
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-    }
+    // Native tracking webhooks carry status codes - map them to our event types first
+    const event = normalizeWebhookPayload(req.body);
 
     // Validate webhook data structure
-    const validationResult = validateWebhookData(req.body);
+    const validationResult = validateWebhookData(event);
     if (!validationResult.isValid) {
       logger.warn('Invalid webhook data', {
         errors: validationResult.errors,
@@ -748,43 +798,63 @@ router.post('/shiprocket', async (req, res) => {
       });
     }
 
-    const { event_type, data } = req.body;
-    
-    // Process the webhook event
-    const result = await processWebhookEvent(event_type, data);
-    
+    const { event_type, data } = event;
+
+    // Shiprocket redelivers webhooks - acknowledge repeats without processing them again
+    const dedup = await webhookDeduplicator.claim(event);
+    if (dedup.duplicate) {
+      logger.info('Duplicate webhook ignored', {
+        eventType: event_type,
+        webhookId: event.webhook_id,
+        orderId: data.order_id,
+        shipmentId: data.shipment_id
+      });
+
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Webhook already received'
+      });
+    }
+    dedupKey = dedup.key;
+
+    // Persist before acknowledging - the worker processes it asynchronously
+    const entry = await webhookInbox.enqueue({ eventType: event_type, payload: event });
+
     const duration = Date.now() - startTime;
-    
-    logger.info('Webhook processed successfully', {
+
+    logger.info('Webhook accepted', {
+      inboxId: entry.id,
       eventType: event_type,
       orderId: data.order_id,
       shipmentId: data.shipment_id,
-      metricsGenerated: result.metricsGenerated,
       duration
     });
 
-    // Respond quickly to avoid timeouts
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
-      metricsGenerated: result.metricsGenerated,
+      message: 'Webhook accepted',
+      inboxId: entry.id,
       processingTime: duration
     });
 
   } catch (error) {
     const duration = Date.now() - startTime;
     
-    logger.error('Webhook processing failed', error, {
+    logger.error('Failed to accept webhook', error, {
       body: req.body,
       headers: req.headers,
       duration
     });
 
-    // Still return 200 to avoid webhook retries for application errors
-    res.status(200).json({
+    // The event was not persisted, so let the redelivery through
+    await webhookDeduplicator.release(dedupKey);
+
+    // Ask Shiprocket to redeliver it
+    res.status(503).json({
       success: false,
-      error: 'Internal processing error',
-      message: 'Webhook received but processing failed'
+      error: 'Webhook not accepted',
+      message: 'Temporarily unable to store webhook, please retry'
     });
   }
 });
@@ -800,4 +870,6 @@ router.get('/shiprocket/health', (req, res) => {
   });
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
+module.exports.processWebhookEvent = processWebhookEvent;
+module.exports.emitWebhookMetrics = emitWebhookMetrics;
@@ -0,0 +1,229 @@
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+
+// Event types understood by processWebhookEvent
+const INTERNAL_EVENT_TYPES = [
+  'order_created', 'order_placed',
+  'order_shipped', 'shipment_created',
+  'order_delivered', 'delivered',
+  'order_cancelled', 'cancelled',
+  'order_returned', 'rto',
+  'shipment_pickup', 'in_transit', 'out_for_delivery',
+  'failed_delivery', 'delivery_failed'
+];
+
+// Marker for statuses we know about but deliberately don't turn into metrics
+const INFORMATIONAL = 'informational';
+
+/**
+ * Shiprocket shipment status codes (current_status_id / shipment_status_id).
+ * eventType is the internal event the code maps to; dateField is where the
+ * status timestamp is copied so the existing handlers pick it up.
+ */
+const STATUS_CODES = {
+  6: { label: 'Shipped', eventType: 'order_shipped', dateField: 'shipped_date' },
+  7: { label: 'Delivered', eventType: 'order_delivered', dateField: 'delivered_date' },
+  8: { label: 'Canceled', eventType: 'order_cancelled', dateField: 'cancelled_date' },
+  9: { label: 'RTO Initiated', eventType: 'rto', dateField: 'rto_date' },
+  10: { label: 'RTO Delivered', eventType: INFORMATIONAL },
+  12: { label: 'Lost', eventType: INFORMATIONAL },
+  13: { label: 'Pickup Error', eventType: INFORMATIONAL },
+  14: { label: 'RTO Acknowledged', eventType: INFORMATIONAL },
+  15: { label: 'Pickup Rescheduled', eventType: INFORMATIONAL },
+  16: { label: 'Cancellation Requested', eventType: INFORMATIONAL },
+  17: { label: 'Out For Delivery', eventType: 'out_for_delivery' },
+  18: { label: 'In Transit', eventType: 'in_transit' },
+  19: { label: 'Out For Pickup', eventType: INFORMATIONAL },
+  20: { label: 'Pickup Exception', eventType: INFORMATIONAL },
+  21: { label: 'Undelivered', eventType: 'failed_delivery' },
+  22: { label: 'Delayed', eventType: 'in_transit' },
+  23: { label: 'Partial Delivered', eventType: 'order_delivered', dateField: 'delivered_date' },
+  24: { label: 'Destroyed', eventType: INFORMATIONAL },
+  25: { label: 'Damaged', eventType: INFORMATIONAL },
+  26: { label: 'Fulfilled', eventType: INFORMATIONAL },
+  38: { label: 'Reached at Destination', eventType: 'in_transit' },
+  39: { label: 'Misrouted', eventType: 'in_transit' },
+  40: { label: 'RTO NDR', eventType: INFORMATIONAL },
+  41: { label: 'RTO OFD', eventType: INFORMATIONAL },
+  42: { label: 'Picked Up', eventType: 'shipment_pickup', dateField: 'pickup_date' },
+  43: { label: 'Self Fulfilled', eventType: INFORMATIONAL },
+  44: { label: 'Disposed Off', eventType: INFORMATIONAL },
+  45: { label: 'Cancelled Before Dispatched', eventType: 'order_cancelled', dateField: 'cancelled_date' },
+  46: { label: 'RTO In Transit', eventType: INFORMATIONAL },
+  47: { label: 'QC Failed', eventType: INFORMATIONAL },
+  48: { label: 'Reached Warehouse', eventType: 'in_transit' },
+  49: { label: 'Custom Cleared', eventType: 'in_transit' },
+  50: { label: 'In Flight', eventType: 'in_transit' },
+  51: { label: 'Handover to Courier', eventType: INFORMATIONAL },
+  52: { label: 'Shipment Booked', eventType: INFORMATIONAL },
+  54: { label: 'In Transit Overseas', eventType: 'in_transit' },
+  55: { label: 'Connection Aligned', eventType: 'in_transit' },
+  56: { label: 'Reached Overseas Warehouse', eventType: 'in_transit' },
+  57: { label: 'Custom Cleared Overseas', eventType: 'in_transit' },
+  59: { label: 'Box Packing', eventType: INFORMATIONAL },
+  60: { label: 'FC Allocated', eventType: INFORMATIONAL },
+  61: { label: 'Picklist Generated', eventType: INFORMATIONAL },
+  62: { label: 'Ready to Pack', eventType: INFORMATIONAL },
+  63: { label: 'Packed', eventType: INFORMATIONAL },
+  67: { label: 'FC Manifest Generated', eventType: INFORMATIONAL },
+  68: { label: 'Processed at Warehouse', eventType: 'in_transit' },
+  71: { label: 'Handover Exception', eventType: INFORMATIONAL },
+  72: { label: 'Packed Exception', eventType: INFORMATIONAL },
+  75: { label: 'RTO Lock', eventType: INFORMATIONAL },
+  76: { label: 'Untraceable', eventType: INFORMATIONAL },
+  77: { label: 'Issue Related to the Recipient', eventType: 'failed_delivery' },
+  78: { label: 'Reached Back at Seller City', eventType: INFORMATIONAL }
+};
+
+// Lookup by label for payloads that only carry current_status text
+const CODES_BY_LABEL = Object.entries(STATUS_CODES).reduce((acc, [code, entry]) => {
+  acc[entry.label.toLowerCase()] = Number(code);
+  return acc;
+}, {});
+
+/**
+ * Parse Shiprocket timestamps ("23 05 2023 11:43:52", "2023-05-23 11:43:52" or ISO).
+ * Shiprocket reports local time, so zone-less values are treated as IST.
+ */
+function parseShiprocketDate(value) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{2})[ -](\d{2})[ -](\d{4})[ T](\d{2}):(\d{2}):(\d{2})$/);
+  if (match) {
+    const [, day, month, year, hours, minutes, seconds] = match;
+    return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}+05:30`).toISOString();
+  }
+
+  match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})$/);
+  if (match) {
+    return new Date(`${match[1]}T${match[2]}+05:30`).toISOString();
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Map a native status to its internal event type
+ */
+function mapStatus(code, label, { isReturn = false } = {}) {
+  const statusCode = code != null && code !== '' ? Number(code) : CODES_BY_LABEL[String(label || '').toLowerCase()];
+  const entry = STATUS_CODES[statusCode];
+
+  if (!entry) {
+    return { code: statusCode ?? null, label: label || null, eventType: null, mapped: false };
+  }
+
+  // Reverse (return) shipments only matter once they reach the warehouse
+  if (isReturn) {
+    return statusCode === 7
+      ? { code: statusCode, label: entry.label, eventType: 'order_returned', dateField: 'returned_date', mapped: true }
+      : { code: statusCode, label: entry.label, eventType: INFORMATIONAL, mapped: true };
+  }
+
+  return { code: statusCode, label: entry.label, eventType: entry.eventType, dateField: entry.dateField, mapped: true };
+}
+
+/**
+ * Normalize both webhook styles into { event_type, data, timestamp, webhook_id }:
+ * - friendly: { event_type, data } as produced by our own tooling
+ * - native: Shiprocket tracking webhooks with current_status / shipment_status_id
+ * Unmapped codes become 'unmapped_status' so they are stored and reviewed, not dropped.
+ */
+function normalizeWebhookPayload(body) {
+  const friendly = body.event_type && body.data && typeof body.data === 'object';
+
+  if (friendly && INTERNAL_EVENT_TYPES.includes(body.event_type)) {
+    return body;
+  }
+
+  const source = friendly ? body.data : body;
+  const code = source.shipment_status_id ?? source.current_status_id;
+  const label = source.shipment_status || source.current_status;
+
+  if (code == null && !label) {
+    return body; // Nothing to map - let validation and the dispatcher deal with it
+  }
+
+  const status = mapStatus(code, label, { isReturn: Boolean(Number(source.is_return)) });
+  const statusTimestamp = parseShiprocketDate(source.current_timestamp);
+
+  const data = {
+    ...source,
+    order_id: source.sr_order_id ?? source.order_id,
+    channel_order_id: source.sr_order_id != null ? source.order_id : source.channel_order_id,
+    tracking_number: source.tracking_number || (source.awb != null ? String(source.awb) : undefined),
+    current_timestamp: statusTimestamp || source.current_timestamp,
+    native_status: {
+      code: status.code,
+      label: status.label,
+      rawTimestamp: source.current_timestamp || null
+    }
+  };
+
+  if (status.dateField && statusTimestamp && !data[status.dateField]) {
+    data[status.dateField] = statusTimestamp;
+  }
+
+  if (status.eventType === 'rto') {
+    data.return_type = 'rto';
+  }
+
+  let eventType = status.eventType;
+  if (!status.mapped) {
+    eventType = 'unmapped_status';
+  } else if (status.eventType === INFORMATIONAL) {
+    eventType = 'status_update';
+  }
+
+  return {
+    event_type: eventType,
+    data,
+    timestamp: body.timestamp || statusTimestamp || undefined,
+    webhook_id: body.webhook_id
+  };
+}
+
+/**
+ * Record a status code we could not map so it can be reviewed and added
+ */
+async function recordUnmappedStatus(data) {
+  const status = data.native_status || {};
+  const code = status.code != null ? String(status.code) : '';
+  const label = status.label || data.current_status || data.shipment_status || '';
+
+  await db.query(
+    `INSERT INTO unmapped_statuses (status_code, status_label, sample_payload)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (status_code, status_label) DO UPDATE
+     SET occurrences = unmapped_statuses.occurrences + 1,
+         last_seen_at = NOW(),
+         sample_payload = EXCLUDED.sample_payload`,
+    [code, label, data]
+  );
+
+  logger.warn('Unmapped Shiprocket status received', {
+    statusCode: code,
+    statusLabel: label,
+    orderId: data.order_id
+  });
+}
+
+async function getUnmappedStatuses() {
+  const { rows } = await db.query(
+    'SELECT * FROM unmapped_statuses ORDER BY last_seen_at DESC'
+  );
+  return rows;
+}
+
+module.exports = {
+  STATUS_CODES,
+  INTERNAL_EVENT_TYPES,
+  INFORMATIONAL,
+  mapStatus,
+  normalizeWebhookPayload,
+  parseShiprocketDate,
+  recordUnmappedStatus,
+  getUnmappedStatuses
+};
@@ -0,0 +1,124 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/api/shiprocket', () => ({ getOrders: jest.fn() }));
+jest.mock('../src/api/triplewhale', () => ({ getAttributionData: jest.fn() }));
+jest.mock('../src/queue/metric-buffer', () => ({ add: jest.fn() }));
+
+const config = require('../src/config');
+const shiprocketAPI = require('../src/api/shiprocket');
+const tripleWhaleAPI = require('../src/api/triplewhale');
+const metricBuffer = require('../src/queue/metric-buffer');
+const attributionJob = require('../src/jobs/attribution');
+const { aggregateOutcomes, buildAttributionMetrics, classifyOutcome } = require('../src/jobs/attribution');
+
+const order = (id, fields = {}) => ({
+  order_id: `SR-${id}`,
+  channel_order_id: `#${id}`,
+  order_date: '2024-01-16',
+  status: 'DELIVERED',
+  payment_method: 'prepaid',
+  total_amount: 1000,
+  shipping_charges: 80,
+  ...fields
+});
+const journey = (id, source, campaignName = 'winter') => ({
+  order_id: id,
+  attribution: { lastClick: [{ source, campaignName }] }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.attribution.model = 'lastClick';
+  config.attribution.groupBy = ['channel', 'campaign'];
+  config.attribution.limit = 2;
+  config.sync.batchSize = 100;
+});
+
+describe('classifyOutcome', () => {
+  it('reads the final outcome from the status text', () => {
+    expect(classifyOutcome({ status: 'RTO DELIVERED' })).toBe('rto');
+    expect(classifyOutcome({ current_status: 'Canceled by seller' })).toBe('cancelled');
+    expect(classifyOutcome({ status: 'DELIVERED' })).toBe('delivered');
+    expect(classifyOutcome({ status: 'UNDELIVERED' })).toBe('pending');
+  });
+});
+
+describe('aggregateOutcomes', () => {
+  it('groups orders by day and attributed touchpoint', () => {
+    const { groups, matched } = aggregateOutcomes(
+      [
+        order(1),
+        order(2, { status: 'RTO INITIATED', payment_method: 'COD', return_charges: 60 }),
+        order(3)
+      ],
+      [journey(1, 'facebook-ads'), journey('#2', 'facebook-ads')]
+    );
+
+    expect(matched).toBe(2);
+    expect(groups).toEqual([
+      expect.objectContaining({
+        date: '2024-01-16',
+        dimensions: { channel: 'facebook-ads', campaign: 'winter' },
+        orders: 2,
+        delivered: 1,
+        rto: 1,
+        codRto: 1,
+        deliveredRevenue: 1000,
+        shippingCost: 160,
+        returnCost: 60
+      }),
+      expect.objectContaining({ dimensions: { channel: 'unattributed', campaign: 'unattributed' }, orders: 1 })
+    ]);
+  });
+});
+
+describe('buildAttributionMetrics', () => {
+  it('measures the RTO rate against settled orders and nets costs off delivered revenue', () => {
+    const [group] = aggregateOutcomes(
+      [order(1), order(2, { status: 'RTO DELIVERED', return_charges: 60 }), order(3, { status: 'IN TRANSIT' })],
+      [journey(1, 'google-ads'), journey(2, 'google-ads'), journey(3, 'google-ads')]
+    ).groups;
+
+    const values = Object.fromEntries(buildAttributionMetrics([group]).map(metric => [metric.metric_name, metric.value]));
+
+    expect(values).toEqual({
+      shiprocket_attributed_orders: 3,
+      shiprocket_attributed_rto_orders: 1,
+      shiprocket_attributed_rto_rate: 50,
+      shiprocket_attributed_cod_rto_rate: 0,
+      shiprocket_attributed_net_delivered_revenue: 700
+    });
+  });
+});
+
+describe('attributionJob.run', () => {
+  it('reads every page of attributed orders', async () => {
+    shiprocketAPI.getOrders.mockResolvedValue({ data: [order(1), order(2), order(3)] });
+    tripleWhaleAPI.getAttributionData
+      .mockResolvedValueOnce({ ordersWithJourneys: [journey(1, 'facebook-ads'), journey(2, 'facebook-ads')] })
+      .mockResolvedValueOnce({ ordersWithJourneys: [journey(3, 'google-ads')] });
+
+    const summary = await attributionJob.run({ startDate: '2024-01-16', endDate: '2024-01-16' });
+
+    expect(tripleWhaleAPI.getAttributionData.mock.calls.map(([params]) => params)).toEqual([
+      { start_date: '2024-01-16', end_date: '2024-01-16', limit: 2, page: 1 },
+      { start_date: '2024-01-16', end_date: '2024-01-16', limit: 2, page: 2 }
+    ]);
+    expect(summary).toMatchObject({ orders: 3, attributedOrders: 3, matched: 3, groups: 2 });
+    expect(metricBuffer.add).toHaveBeenCalledWith(
+      expect.arrayContaining([expect.objectContaining({ idempotency_key: expect.stringMatching(/^[0-9a-f]{64}$/) })]),
+      { type: 'attribution', startDate: '2024-01-16', endDate: '2024-01-16' }
+    );
+  });
+
+  it('fails the run when a page of attributed orders cannot be read', async () => {
+    shiprocketAPI.getOrders.mockResolvedValue({ data: [order(1)] });
+    tripleWhaleAPI.getAttributionData
+      .mockResolvedValueOnce({ ordersWithJourneys: [journey(1, 'facebook-ads'), journey(2, 'facebook-ads')] })
+      .mockRejectedValueOnce(new Error('Triple Whale unavailable'));
+
+    await expect(attributionJob.run({ startDate: '2024-01-16', endDate: '2024-01-16' })).rejects.toThrow('Triple Whale unavailable');
+    expect(metricBuffer.add).not.toHaveBeenCalled();
+    expect(attributionJob.getStats().lastRun).toMatchObject({ status: 'failed' });
+  });
+});
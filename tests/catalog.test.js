@@ -0,0 +1,55 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const logger = require('../src/utils/logger');
+const { METRICS, checkMetric, getStats } = require('../src/metrics/catalog');
+
+const metric = (fields = {}) => ({
+  metric_name: 'shiprocket_order_value',
+  value: 1500,
+  date: '2024-01-16',
+  dimensions: { source: 'shiprocket', order_id: 7 },
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('metric catalog', () => {
+  it('lists every metric name once', () => {
+    const names = METRICS.map(definition => definition.name);
+
+    expect(new Set(names).size).toBe(names.length);
+  });
+});
+
+describe('checkMetric', () => {
+  it('rejects names missing from the catalog and counts them', () => {
+    const before = getStats().unknownMetrics.shiprocket_mystery_metric || 0;
+
+    expect(checkMetric(metric({ metric_name: 'shiprocket_mystery_metric' }))).toEqual([
+      expect.objectContaining({ field: 'metric_name' })
+    ]);
+    expect(getStats().unknownMetrics.shiprocket_mystery_metric).toBe(before + 1);
+  });
+
+  it('checks values against the catalog value type', () => {
+    expect(checkMetric(metric({ metric_name: 'shiprocket_orders_created', value: 2.5 }))).toEqual([
+      expect.objectContaining({ field: 'value', message: 'count value must be a non-negative whole number' })
+    ]);
+    expect(checkMetric(metric({ metric_name: 'delivery_success_rate', value: 120 }))[0].field).toBe('value');
+    expect(checkMetric(metric({ value: -1 }))[0].message).toBe('amount value must not be negative');
+  });
+
+  it('lets reconciliation adjustments go negative', () => {
+    expect(checkMetric(metric({ value: -40, dimensions: { source: 'shiprocket_sync', adjustment: 'reconciliation' } }))).toEqual([]);
+  });
+
+  it('only reports undeclared dimensions, once per metric and dimension', () => {
+    expect(checkMetric(metric({ dimensions: { source: 'shiprocket', warehouse: 'BLR-1' } }))).toEqual([]);
+    checkMetric(metric({ dimensions: { source: 'shiprocket', warehouse: 'DEL-2' } }));
+
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(getStats().undeclaredDimensions['shiprocket_order_value.warehouse']).toBe(2);
+  });
+});
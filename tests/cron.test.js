@@ -0,0 +1,68 @@
+const { getNextRun, parseExpression } = require('../src/utils/cron');
+
+const next = (expression, from, timezone) => getNextRun(expression, { from: new Date(from), timezone })?.toISOString();
+
+describe('parseExpression', () => {
+  it('reads five-field expressions as firing at second 0', () => {
+    const fields = parseExpression('5 0 * * *');
+
+    expect([...fields.second]).toEqual([0]);
+    expect([...fields.minute]).toEqual([5]);
+    expect([...fields.hour]).toEqual([0]);
+    expect(fields.day.size).toBe(31);
+  });
+
+  it('reads lists, ranges, steps and names', () => {
+    const fields = parseExpression('0 */15 9-17 * jan,JUL mon-fri');
+
+    expect([...fields.minute]).toEqual([0, 15, 30, 45]);
+    expect([...fields.hour]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...fields.month]).toEqual([1, 7]);
+    expect([...fields.weekday]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('keeps the values of a stepped range divisible by the step, as node-cron does', () => {
+    expect([...parseExpression('1-10/3 * * * *').minute]).toEqual([3, 6, 9]);
+  });
+
+  it('accepts ranges written either way round and Sunday as 7', () => {
+    expect([...parseExpression('0 20-10 * * *').hour]).toHaveLength(11);
+    expect([...parseExpression('0 0 * * 7').weekday]).toEqual([0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseExpression('* * *')).toThrow('Invalid cron expression');
+    expect(() => parseExpression('61 * * * *')).toThrow('Invalid minute');
+    expect(() => parseExpression('*/0 * * * *')).toThrow('Invalid step');
+  });
+});
+
+describe('getNextRun', () => {
+  it('finds the next matching minute after the given time', () => {
+    expect(next('*/5 * * * *', '2024-01-16T10:02:30Z', 'UTC')).toBe('2024-01-16T10:05:00.000Z');
+    expect(next('*/5 * * * *', '2024-01-16T10:05:00Z', 'UTC')).toBe('2024-01-16T10:10:00.000Z');
+  });
+
+  it('reads the expression in the job\'s timezone', () => {
+    // 00:05 in Kolkata is 18:35 UTC the day before
+    expect(next('5 0 * * *', '2024-01-16T10:00:00Z', 'Asia/Kolkata')).toBe('2024-01-16T18:35:00.000Z');
+  });
+
+  it('requires both day of month and day of week to match', () => {
+    // The next Friday the 13th after 16 Jan 2024 is 13 Sep 2024
+    expect(next('0 9 13 * fri', '2024-01-16T00:00:00Z', 'UTC')).toBe('2024-09-13T09:00:00.000Z');
+  });
+
+  it('honours the seconds field of six-field expressions', () => {
+    expect(next('30 0 12 * * *', '2024-01-16T10:00:00Z', 'UTC')).toBe('2024-01-16T12:00:30.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    // New York moves to EDT on 10 Mar 2024, so 9:00 local moves from 14:00 to 13:00 UTC
+    expect(next('0 9 * * *', '2024-03-09T15:00:00Z', 'America/New_York')).toBe('2024-03-10T13:00:00.000Z');
+  });
+
+  it('returns null when the expression never fires within a year', () => {
+    expect(getNextRun('0 0 31 2 *', { from: new Date('2024-01-16T00:00:00Z'), timezone: 'UTC' })).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/db/redis', () => ({ getClient: jest.fn() }));
+jest.mock('../src/webhooks/shiprocket-handler', () => ({ processWebhookEvent: jest.fn(), emitWebhookMetrics: jest.fn() }));
+
+const db = require('../src/db/postgres');
+const webhookDeduplicator = require('../src/webhooks/deduplicator');
+const { processWebhookEvent, emitWebhookMetrics } = require('../src/webhooks/shiprocket-handler');
+const deadLetterQueue = require('../src/queue/dead-letter-queue');
+const { STATUS } = require('../src/queue/dead-letter-queue');
+
+const payload = { event_type: 'order_delivered', data: { order_id: 7, shipment_id: 9 } };
+const metrics = [{ metric_name: 'shiprocket_order_value', value: 100, date: '2024-01-16', dimensions: { source: 'shiprocket' } }];
+
+const stored = (entry) => {
+  db.query.mockResolvedValueOnce({
+    rows: [{ id: 3, status: STATUS.OPEN, payload, event_type: 'order_delivered', order_id: '7', shipment_id: '9', ...entry }]
+  });
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  db.query.mockResolvedValue({ rows: [], rowCount: 1 });
+});
+
+describe('deadLetterQueue.replay', () => {
+  it('queues stored metrics again under the original event\'s source', async () => {
+    const metricSource = { type: 'webhook', eventId: 'event-1', eventType: 'order_delivered', orderId: 7, settled: true };
+    stored({ metrics, metric_source: metricSource });
+
+    const result = await deadLetterQueue.replay(3);
+
+    expect(result).toEqual({ id: 3, success: true, metricsPushed: 1 });
+    expect(emitWebhookMetrics).toHaveBeenCalledWith(
+      metrics,
+      { type: 'webhook', eventId: 'event-1', eventType: 'order_delivered', orderId: 7, data: payload.data },
+      { settled: true }
+    );
+    expect(processWebhookEvent).not.toHaveBeenCalled();
+    expect(db.query.mock.calls[1][1]).toEqual([3, STATUS.REPLAYED]);
+  });
+
+  it('keys entries stored without a source from the payload, as the webhook did', async () => {
+    stored({ metrics, metric_source: null });
+
+    await deadLetterQueue.replay(3);
+
+    expect(emitWebhookMetrics).toHaveBeenCalledWith(metrics, expect.objectContaining({
+      type: 'webhook',
+      eventId: webhookDeduplicator.getKey(payload)
+    }), { settled: false });
+  });
+
+  it('processes the payload again when no metrics were generated', async () => {
+    stored({ metrics: null });
+    processWebhookEvent.mockResolvedValue({ metricsGenerated: 3 });
+
+    expect(await deadLetterQueue.replay(3)).toEqual({ id: 3, success: true, metricsPushed: 3 });
+    expect(processWebhookEvent).toHaveBeenCalledWith('order_delivered', payload.data);
+  });
+
+  it('keeps the entry open with the new error when the replay fails', async () => {
+    stored({ metrics });
+    emitWebhookMetrics.mockRejectedValue(new Error('Triple Whale unavailable'));
+
+    expect(await deadLetterQueue.replay(3)).toEqual({
+      id: 3, success: false, reason: 'push_failed', error: 'Triple Whale unavailable'
+    });
+    expect(db.query.mock.calls[1][0]).not.toMatch(/status = \$2/);
+    expect(db.query.mock.calls[1][1]).toEqual([3, 'Triple Whale unavailable']);
+  });
+
+  it('only replays open entries', async () => {
+    stored({ status: STATUS.REPLAYED });
+    expect(await deadLetterQueue.replay(3)).toMatchObject({ success: false, reason: 'not_open' });
+
+    db.query.mockResolvedValueOnce({ rows: [] });
+    expect(await deadLetterQueue.replay(4)).toMatchObject({ success: false, reason: 'not_found' });
+    expect(emitWebhookMetrics).not.toHaveBeenCalled();
+  });
+});
+
+describe('deadLetterQueue.replayMany', () => {
+  it('replays open entries one at a time and totals the outcomes', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 3 }, { id: 4 }] });
+    stored({ id: 3, metrics });
+    db.query.mockResolvedValueOnce({ rowCount: 1 });
+    stored({ id: 4, metrics });
+    emitWebhookMetrics.mockResolvedValueOnce().mockRejectedValueOnce(new Error('Triple Whale unavailable'));
+
+    const result = await deadLetterQueue.replayMany({ eventType: 'order_delivered' });
+
+    expect(result).toMatchObject({ attempted: 2, replayed: 1, failed: 1 });
+    expect(db.query.mock.calls[0][1]).toEqual([STATUS.OPEN, 'order_delivered', 100]);
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/redis', () => ({ getClient: jest.fn() }));
+
+const config = require('../src/config');
+const redis = require('../src/db/redis');
+const webhookDeduplicator = require('../src/webhooks/deduplicator');
+
+const delivered = {
+  event_type: 'order_delivered',
+  data: { order_id: 101, shipment_id: 201, delivered_date: '2024-01-16T10:00:00Z' }
+};
+
+describe('webhookDeduplicator.getKey', () => {
+  it('uses webhook_id when Shiprocket sends one', () => {
+    expect(webhookDeduplicator.getKey({ ...delivered, webhook_id: 'wh-1' }))
+      .toBe(`${config.dedup.keyPrefix}id:wh-1`);
+  });
+
+  it('fingerprints event type, order, shipment and status timestamp', () => {
+    const key = webhookDeduplicator.getKey(delivered);
+
+    expect(key).toMatch(new RegExp(`^${config.dedup.keyPrefix}fp:[0-9a-f]{64}$`));
+    expect(webhookDeduplicator.getKey({ ...delivered, data: { ...delivered.data, awb: 'AWB1' } })).toBe(key);
+    expect(webhookDeduplicator.getKey({ ...delivered, event_type: 'order_shipped' })).not.toBe(key);
+    expect(webhookDeduplicator.getKey({ ...delivered, data: { ...delivered.data, shipment_id: 202 } })).not.toBe(key);
+  });
+
+  it('tells status changes of the same order apart by their timestamp', () => {
+    const later = { ...delivered, data: { ...delivered.data, delivered_date: '2024-01-17T10:00:00Z' } };
+    expect(webhookDeduplicator.getKey(later)).not.toBe(webhookDeduplicator.getKey(delivered));
+  });
+
+  it('prefers current_timestamp over the other date fields', () => {
+    const withStatusTime = { ...delivered, data: { ...delivered.data, current_timestamp: '2024-01-16T11:00:00Z' } };
+    const otherDate = { ...withStatusTime, data: { ...withStatusTime.data, delivered_date: '2024-01-18T10:00:00Z' } };
+
+    expect(webhookDeduplicator.getKey(otherDate)).toBe(webhookDeduplicator.getKey(withStatusTime));
+  });
+
+  it('falls back to the payload timestamp', () => {
+    const payload = { event_type: 'order_created', data: { order_id: 101 }, timestamp: '2024-01-16T10:00:00Z' };
+    const later = { ...payload, timestamp: '2024-01-16T10:05:00Z' };
+
+    expect(webhookDeduplicator.getKey(later)).not.toBe(webhookDeduplicator.getKey(payload));
+  });
+});
+
+describe('webhookDeduplicator.claim', () => {
+  const client = { set: jest.fn() };
+
+  beforeEach(() => {
+    config.dedup.enabled = true;
+    client.set.mockReset();
+    redis.getClient.mockResolvedValue(client);
+  });
+
+  it('claims a new event with SET NX and the TTL', async () => {
+    client.set.mockResolvedValue('OK');
+
+    const { key, duplicate } = await webhookDeduplicator.claim(delivered);
+
+    expect(duplicate).toBe(false);
+    expect(client.set).toHaveBeenCalledWith(key, expect.any(String), { NX: true, EX: config.dedup.ttlSeconds });
+  });
+
+  it('reports an event claimed before as a duplicate', async () => {
+    client.set.mockResolvedValue(null);
+
+    await expect(webhookDeduplicator.claim(delivered)).resolves.toMatchObject({ duplicate: true });
+  });
+
+  it('fails open when Redis is down', async () => {
+    redis.getClient.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(webhookDeduplicator.claim(delivered)).resolves.toEqual({ key: null, duplicate: false });
+  });
+});
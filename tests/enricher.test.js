@@ -0,0 +1,106 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/redis', () => ({ getClient: jest.fn() }));
+jest.mock('../src/api/shiprocket', () => ({ getOrder: jest.fn() }));
+
+const config = require('../src/config');
+const redis = require('../src/db/redis');
+const shiprocketAPI = require('../src/api/shiprocket');
+const orderEnricher = require('../src/webhooks/enricher');
+const { extractOrderDetails } = require('../src/webhooks/enricher');
+
+const order = {
+  data: {
+    id: 7,
+    total: '1499.00',
+    payment_method: 'cod',
+    channel_name: 'Shopify',
+    shipments: [{ courier: 'Delhivery' }],
+    awb_data: { charges: { freight_charges: '82.5', cod_charges: '' } },
+    products: [{ sku: 'TEE-M', name: 'Tee', quantity: '2', selling_price: '499.50' }]
+  }
+};
+
+const cache = new Map();
+const client = {
+  get: jest.fn(async key => cache.get(key) ?? null),
+  set: jest.fn(async (key, value) => {
+    cache.set(key, value);
+    return 'OK';
+  })
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  cache.clear();
+  config.enrichment.enabled = true;
+  config.enrichment.fields = ['total_amount', 'payment_method', 'courier_name', 'shipping_charges'];
+  redis.getClient.mockResolvedValue(client);
+  shiprocketAPI.getOrder.mockResolvedValue(order);
+});
+
+describe('extractOrderDetails', () => {
+  it('picks the fields merged into events, as numbers where they are amounts', () => {
+    expect(extractOrderDetails(order)).toEqual({
+      total_amount: 1499,
+      payment_method: 'cod',
+      channel_name: 'Shopify',
+      courier_name: 'Delhivery',
+      shipping_charges: 82.5,
+      products: [{ sku: 'TEE-M', name: 'Tee', quantity: 2, price: 499.5 }]
+    });
+  });
+});
+
+describe('orderEnricher.enrich', () => {
+  it('fills in only the fields the event is missing', async () => {
+    const result = await orderEnricher.enrich('order_delivered', { order_id: 7, payment_method: 'prepaid', courier_name: '' });
+
+    expect(result.data).toEqual({
+      order_id: 7,
+      payment_method: 'prepaid',
+      total_amount: 1499,
+      courier_name: 'Delhivery',
+      shipping_charges: 82.5
+    });
+    expect(result.enrichedFields).toEqual(['total_amount', 'courier_name', 'shipping_charges']);
+  });
+
+  it('looks an order up once and serves repeats from the cache', async () => {
+    await orderEnricher.enrich('order_shipped', { order_id: 7 });
+    const repeat = await orderEnricher.enrich('order_delivered', { order_id: 7 });
+
+    expect(shiprocketAPI.getOrder).toHaveBeenCalledTimes(1);
+    expect(repeat.cached).toBe(true);
+    expect(client.set).toHaveBeenCalledWith(`${config.enrichment.cacheKeyPrefix}7`, expect.any(String), {
+      EX: config.enrichment.cacheTtlSeconds
+    });
+  });
+
+  it('still looks orders up when Redis is down', async () => {
+    redis.getClient.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await orderEnricher.enrich('order_delivered', { order_id: 7 });
+
+    expect(result.data.total_amount).toBe(1499);
+    expect(result.cached).toBe(false);
+  });
+
+  it('processes the event as received when Shiprocket cannot be reached', async () => {
+    shiprocketAPI.getOrder.mockRejectedValue(new Error('Shiprocket unavailable'));
+    const data = { order_id: 7 };
+
+    const result = await orderEnricher.enrich('order_delivered', data);
+
+    expect(result).toEqual({ data, enrichedFields: [], cached: false, error: 'Shiprocket unavailable' });
+  });
+
+  it('leaves complete events, other event types and disabled enrichment alone', async () => {
+    const complete = { order_id: 7, total_amount: 10, payment_method: 'cod', courier_name: 'Bluedart', shipping_charges: 50 };
+    await orderEnricher.enrich('order_delivered', complete);
+    await orderEnricher.enrich('in_transit', { order_id: 7 });
+    config.enrichment.enabled = false;
+    await orderEnricher.enrich('order_delivered', { order_id: 7 });
+
+    expect(shiprocketAPI.getOrder).not.toHaveBeenCalled();
+  });
+});
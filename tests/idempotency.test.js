@@ -0,0 +1,88 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const metricIdempotency = require('../src/metrics/idempotency');
+const { getMetricKey, getSourceId } = require('../src/metrics/idempotency');
+
+const metric = {
+  metric_name: 'shiprocket_order_value',
+  date: '2024-01-16',
+  value: 1500,
+  dimensions: { channel: 'shopify', payment_method: 'cod' }
+};
+
+describe('getSourceId', () => {
+  it('uses an explicit event ID', () => {
+    expect(getSourceId({ type: 'webhook', eventId: 42, orderId: 7 })).toBe('42');
+  });
+
+  it('identifies a source by every field but its raw payload, in any key order', () => {
+    const id = getSourceId({ type: 'sync', syncType: 'orders', orderId: 7, data: { status: 'NEW' } });
+
+    expect(getSourceId({ orderId: 7, syncType: 'orders', type: 'sync', data: { status: 'DELIVERED' } })).toBe(id);
+    expect(getSourceId({ type: 'sync', syncType: 'orders', orderId: 8 })).not.toBe(id);
+  });
+
+  it('returns null without a source', () => {
+    expect(getSourceId(null)).toBeNull();
+  });
+});
+
+describe('getMetricKey', () => {
+  it('is the same for the same source, name, date and dimensions', () => {
+    const key = getMetricKey(metric, 'source-1');
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(getMetricKey({ ...metric, value: 2000 }, 'source-1')).toBe(key);
+    expect(getMetricKey({ ...metric, dimensions: { payment_method: 'cod', channel: 'shopify' } }, 'source-1')).toBe(key);
+  });
+
+  it('differs when the source, date or dimensions differ', () => {
+    const key = getMetricKey(metric, 'source-1');
+
+    expect(getMetricKey(metric, 'source-2')).not.toBe(key);
+    expect(getMetricKey({ ...metric, date: '2024-01-17' }, 'source-1')).not.toBe(key);
+    expect(getMetricKey({ ...metric, dimensions: { channel: 'amazon', payment_method: 'cod' } }, 'source-1')).not.toBe(key);
+  });
+
+  it('keys metrics without a source on their value', () => {
+    expect(getMetricKey(metric)).toBe(getMetricKey({ ...metric }));
+    expect(getMetricKey({ ...metric, value: 2000 })).not.toBe(getMetricKey(metric));
+  });
+});
+
+describe('metricIdempotency', () => {
+  beforeEach(() => {
+    config.idempotency.enabled = true;
+    db.query.mockReset();
+  });
+
+  it('keeps the keys metrics already carry', () => {
+    const [keyed, assigned] = metricIdempotency.assignKeys([{ ...metric, idempotency_key: 'kept' }, metric], { eventId: 1 });
+
+    expect(keyed.idempotency_key).toBe('kept');
+    expect(assigned.idempotency_key).toBe(getMetricKey(metric, '1'));
+  });
+
+  it('drops metrics already counted and repeats within the list', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ idempotency_key: 'a' }] });
+
+    const pending = await metricIdempotency.filterAcknowledged([
+      { idempotency_key: 'a' },
+      { idempotency_key: 'b' },
+      { idempotency_key: 'b' }
+    ]);
+
+    expect(pending).toEqual([{ idempotency_key: 'b' }]);
+    expect(db.query.mock.calls[0][1]).toEqual([['a', 'b']]);
+  });
+
+  it('pushes everything when the ledger is unavailable', async () => {
+    db.query.mockRejectedValueOnce(new Error('connection refused'));
+
+    const pending = await metricIdempotency.filterAcknowledged([{ idempotency_key: 'a' }]);
+    expect(pending).toEqual([{ idempotency_key: 'a' }]);
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/api/shiprocket', () => ({ getAnalytics: jest.fn(), getRevenue: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const shiprocketAPI = require('../src/api/shiprocket');
+const { buildDailySummaries, extractSummary, getStoredSummaries } = require('../src/jobs/logistics-summary');
+const { toZonedDay } = require('../src/utils/date-range');
+
+const lifecycle = (orderId, stateTimestamps, shippingCharge = null) => ({
+  order_id: orderId,
+  state_timestamps: stateTimestamps,
+  shipping_charge: shippingCharge
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.scheduler.timezone = 'Asia/Kolkata';
+});
+
+describe('toZonedDay', () => {
+  it('reads the day in the timezone, or in UTC without one', () => {
+    const at = new Date('2024-01-16T20:00:00Z');
+
+    expect(toZonedDay(at, 'Asia/Kolkata')).toBe('2024-01-17');
+    expect(toZonedDay(at, 'America/New_York')).toBe('2024-01-16');
+    expect(toZonedDay(at)).toBe('2024-01-16');
+  });
+});
+
+describe('getStoredSummaries', () => {
+  it('buckets events by day in the scheduler timezone', async () => {
+    db.query.mockResolvedValue({
+      rows: [
+        // 20:00 UTC on the 15th is already the 16th in Kolkata
+        lifecycle(1, {
+          created: '2024-01-15T20:00:00Z',
+          shipped: '2024-01-16T04:00:00Z',
+          delivered: '2024-01-17T10:00:00Z'
+        }, 80),
+        // 19:00 UTC on the 16th is the 17th in Kolkata
+        lifecycle(2, { created: '2024-01-16T10:00:00Z', delivery_failed: '2024-01-16T19:00:00Z' })
+      ]
+    });
+
+    const summaries = await getStoredSummaries('2024-01-16', '2024-01-17');
+
+    expect([...summaries]).toEqual([
+      ['2024-01-16', {
+        orders_created: 2,
+        total_shipping_cost: 80,
+        average_shipping_time: 0,
+        successful_deliveries: 0,
+        failed_deliveries: 0
+      }],
+      ['2024-01-17', {
+        orders_created: 0,
+        total_shipping_cost: 0,
+        average_shipping_time: 30,
+        successful_deliveries: 1,
+        failed_deliveries: 1
+      }]
+    ]);
+    expect(db.query.mock.calls[0][1]).toEqual(['2024-01-16', 'Asia/Kolkata']);
+  });
+
+  it('leaves out events on days outside the range in that timezone', async () => {
+    db.query.mockResolvedValue({
+      rows: [lifecycle(1, { created: '2024-01-15T18:00:00Z', delivered: '2024-01-17T19:00:00Z' })]
+    });
+
+    const summaries = await getStoredSummaries('2024-01-16', '2024-01-17');
+
+    // Created on the 15th and delivered on the 18th, Kolkata time
+    expect(summaries.size).toBe(0);
+  });
+});
+
+describe('buildDailySummaries', () => {
+  it('lets analytics win field by field and derives the success rate', async () => {
+    db.query.mockResolvedValue({
+      rows: [lifecycle(1, { created: '2024-01-16T05:00:00Z', delivered: '2024-01-16T12:00:00Z' })]
+    });
+    shiprocketAPI.getAnalytics.mockResolvedValue({ data: { total_orders: 12, undelivered: 1 } });
+    shiprocketAPI.getRevenue.mockRejectedValue(new Error('timeout'));
+
+    const [summary] = await buildDailySummaries(['2024-01-16']);
+
+    expect(summary).toMatchObject({
+      date: '2024-01-16',
+      orders_created: 12,
+      successful_deliveries: 1,
+      failed_deliveries: 1,
+      success_rate: 50
+    });
+  });
+
+  it('rejects an unknown source', async () => {
+    await expect(buildDailySummaries(['2024-01-16'], { source: 'guess' })).rejects.toThrow('Summary source must be one of');
+  });
+});
+
+describe('extractSummary', () => {
+  it('reads the first known name for each field', () => {
+    expect(extractSummary({ shipping_charges: '120.5', delivered: 4, success_rate: 'n/a' })).toEqual({
+      total_shipping_cost: 120.5,
+      successful_deliveries: 4
+    });
+  });
+});
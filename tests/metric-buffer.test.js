@@ -0,0 +1,117 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/db/redis', () => ({ getClient: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const tripleWhale = require('../src/api/triplewhale');
+const metricBuffer = require('../src/queue/metric-buffer');
+const deadLetterQueue = require('../src/queue/dead-letter-queue');
+const metricQuarantine = require('../src/queue/metric-quarantine');
+
+const order = id => ({
+  metric_name: 'shiprocket_order_value',
+  date: '2024-01-16',
+  value: 100 * id,
+  dimensions: { source: 'shiprocket', order_id: id }
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  config.metricBuffer.enabled = true;
+  config.metricBuffer.flushSize = 500;
+  config.metricBuffer.maxDepth = 50000;
+  config.idempotency.enabled = true;
+  db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  jest.spyOn(tripleWhale, 'makeRequest').mockResolvedValue({ success: true });
+  await metricBuffer.memory.take(Infinity);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('metricBuffer.flush', () => {
+  it('pushes buffered metrics without validating and keying them again', async () => {
+    const checked = metricQuarantine.getStats().checked;
+    const filter = jest.spyOn(metricQuarantine, 'filter');
+
+    await metricBuffer.add([order(1), order(2)], { type: 'webhook', eventId: 'event-1' });
+    const keys = metricBuffer.memory.items.map(metric => metric.idempotency_key);
+    await metricBuffer.flush();
+
+    expect(filter).toHaveBeenCalledTimes(1);
+    expect(metricQuarantine.getStats().checked).toBe(checked + 2);
+
+    const [, , body] = tripleWhale.makeRequest.mock.calls[0];
+    expect(body.metrics.map(metric => metric.idempotency_key)).toEqual(keys);
+  });
+
+  it('still skips metrics Triple Whale already acknowledged', async () => {
+    await metricBuffer.add([order(1), order(2)], { type: 'webhook', eventId: 'event-2' });
+    const [acknowledged] = metricBuffer.memory.items;
+    db.query.mockResolvedValueOnce({ rows: [{ idempotency_key: acknowledged.idempotency_key }] });
+
+    await metricBuffer.flush();
+
+    const [, , body] = tripleWhale.makeRequest.mock.calls[0];
+    expect(body.metrics).toEqual([expect.objectContaining({ dimensions: order(2).dimensions })]);
+  });
+});
+
+describe('metrics the buffer cannot keep', () => {
+  let add;
+
+  beforeEach(() => {
+    add = jest.spyOn(deadLetterQueue, 'add').mockResolvedValue(7);
+  });
+
+  it('dead-letters the oldest metrics past maxDepth, keys included', async () => {
+    config.metricBuffer.maxDepth = 2;
+
+    await metricBuffer.add([order(1), order(2)], { type: 'webhook', eventId: 'event-3' });
+    const [oldest] = metricBuffer.memory.items;
+    await metricBuffer.add([order(3)], { type: 'webhook', eventId: 'event-4' });
+
+    expect(metricBuffer.memory.items).toHaveLength(2);
+    expect(add).toHaveBeenCalledWith(expect.objectContaining({
+      source: 'metric_buffer',
+      metrics: [oldest],
+      metricSource: { type: 'metric_buffer', reason: 'overflow' }
+    }));
+    expect(oldest.idempotency_key).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('dead-letters what is left in memory when the shutdown flush fails', async () => {
+    const error = new Error('Triple Whale unavailable');
+    tripleWhale.makeRequest.mockRejectedValue(error);
+    await metricBuffer.add([order(1), order(2)], { type: 'webhook', eventId: 'event-5' });
+
+    await metricBuffer.stop();
+
+    expect(metricBuffer.memory.items).toEqual([]);
+    expect(add).toHaveBeenCalledWith(expect.objectContaining({
+      metrics: [expect.objectContaining({ value: 100 }), expect.objectContaining({ value: 200 })],
+      metricSource: { type: 'metric_buffer', reason: 'shutdown' },
+      error
+    }));
+  });
+
+  it('does not dead-letter anything after a clean shutdown', async () => {
+    await metricBuffer.add([order(1)], { type: 'webhook', eventId: 'event-6' });
+
+    await metricBuffer.stop();
+
+    expect(tripleWhale.makeRequest).toHaveBeenCalled();
+    expect(add).not.toHaveBeenCalled();
+  });
+
+  it('counts metrics as dropped only when the dead-letter queue cannot take them', async () => {
+    add.mockRejectedValue(new Error('connection refused'));
+    const { dropped } = metricBuffer.stats;
+
+    await metricBuffer.deadLetter([order(1)], 'shutdown', new Error('Triple Whale unavailable'));
+
+    expect(metricBuffer.stats.dropped).toBe(dropped + 1);
+  });
+});
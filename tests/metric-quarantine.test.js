@@ -0,0 +1,61 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+
+const db = require('../src/db/postgres');
+const metricQuarantine = require('../src/queue/metric-quarantine');
+
+const metric = (fields = {}) => ({
+  metric_name: 'shiprocket_order_value',
+  value: 1500,
+  date: '2024-01-16',
+  dimensions: { source: 'shiprocket', order_id: 7 },
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue({ rows: [], rowCount: 1 });
+});
+
+describe('metricQuarantine.filter', () => {
+  it('passes valid metrics through untouched', async () => {
+    const metrics = [metric(), metric({ value: 0 })];
+
+    expect(await metricQuarantine.filter(metrics)).toBe(metrics);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('quarantines schema and catalog failures with the source they came from', async () => {
+    const source = { type: 'webhook', eventType: 'order_delivered', orderId: 7 };
+    const valid = await metricQuarantine.filter([
+      metric(),
+      metric({ date: '2024-02-30' }),
+      metric({ metric_name: 'shiprocket_mystery_metric' }),
+      metric({ value: -20 })
+    ], source);
+
+    expect(valid).toEqual([metric()]);
+    expect(db.query).toHaveBeenCalledTimes(3);
+
+    const stored = db.query.mock.calls.map(([, params]) => [params[0], JSON.parse(params[2])[0].field, params[3]]);
+    expect(stored).toEqual([
+      ['shiprocket_order_value', 'date', source],
+      ['shiprocket_mystery_metric', 'metric_name', source],
+      ['shiprocket_order_value', 'value', source]
+    ]);
+  });
+
+  it('keeps non-finite values visible in the stored metric', async () => {
+    await metricQuarantine.filter([metric({ value: NaN })]);
+
+    expect(JSON.parse(db.query.mock.calls[0][1][1]).value).toBe('NaN');
+  });
+
+  it('still returns the valid metrics when the quarantine cannot be written', async () => {
+    db.query.mockRejectedValue(new Error('connection refused'));
+    const { storeErrors } = metricQuarantine.getStats();
+
+    expect(await metricQuarantine.filter([metric(), metric({ value: -1 })])).toEqual([metric()]);
+    expect(metricQuarantine.getStats().storeErrors).toBe(storeErrors + 1);
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const orderLedger = require('../src/state/order-ledger');
+const { computeSettlement, mergeCharges } = require('../src/state/order-ledger');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.ledger.enabled = true;
+  config.ledger.codFeePercent = 0;
+  config.ledger.codFeeMin = 0;
+});
+
+describe('mergeCharges', () => {
+  it('keeps one charge per shipment, so a repeated event overwrites instead of adding up', () => {
+    let charges = mergeCharges({}, { shipment_id: 9, shipping_charges: '80' });
+    charges = mergeCharges(charges, { shipment_id: 9, shipping_charges: 85 });
+    charges = mergeCharges(charges, { shipment_id: 10, shipping_charges: 60, return_charges: 40 });
+
+    expect(charges).toEqual({ shipping: { 9: 85, 10: 60 }, returns: { 10: 40 } });
+  });
+
+  it('moves a charge recorded before the shipment ID was known to the shipment', () => {
+    const charges = mergeCharges(mergeCharges({}, { shipping_charges: 80 }), { shipment_id: 9, shipping_charges: 80 });
+
+    expect(charges).toEqual({ shipping: { 9: 80 } });
+  });
+
+  it('ignores missing and negative amounts', () => {
+    expect(mergeCharges({}, { shipment_id: 9, shipping_charges: 'n/a', cod_charges: -5 })).toEqual({});
+  });
+});
+
+describe('computeSettlement', () => {
+  const ledger = {
+    order_value: 1000,
+    payment_type: 'COD',
+    charges: { shipping: { 9: 80 }, returns: { 9: 60 } }
+  };
+
+  it('realizes revenue only for delivered orders', () => {
+    expect(computeSettlement(ledger, 'delivered')).toEqual({
+      outcome: 'delivered',
+      orderValue: 1000,
+      shipping: 80,
+      returns: 60,
+      codFee: 0,
+      netRevenue: 1000,
+      logisticsCost: 140,
+      contributionMargin: 860
+    });
+    expect(computeSettlement(ledger, 'rto')).toMatchObject({ netRevenue: 0, contributionMargin: -140 });
+  });
+
+  it('estimates the COD fee for delivered COD orders without a recorded one', () => {
+    config.ledger.codFeePercent = 2;
+    config.ledger.codFeeMin = 30;
+
+    expect(computeSettlement(ledger, 'delivered').codFee).toBe(30);
+    expect(computeSettlement({ ...ledger, order_value: 5000 }, 'delivered').codFee).toBe(100);
+    expect(computeSettlement({ ...ledger, charges: { ...ledger.charges, cod: { 9: 25 } } }, 'delivered').codFee).toBe(25);
+    expect(computeSettlement(ledger, 'rto').codFee).toBe(0);
+  });
+});
+
+describe('orderLedger.recordEvent', () => {
+  const client = { query: jest.fn() };
+
+  const record = (current, data, lifecycle) => {
+    client.query
+      .mockResolvedValueOnce({ rowCount: 0 })
+      .mockResolvedValueOnce({ rows: [{ order_id: '7', charges: {}, ...current }] })
+      .mockImplementationOnce(async (sql, params) => ({
+        rows: [{
+          ...current,
+          order_id: '7',
+          payment_type: params[2],
+          channel: params[3],
+          courier: params[4],
+          outcome: current.outcome || params[6],
+          settlement: current.settlement || params[7],
+          settlement_date: current.settlement_date || params[8],
+          settled_at: current.settled_at || (params[6] ? '2024-01-18T10:00:00Z' : null)
+        }]
+      }));
+
+    return orderLedger.recordEvent('order_delivered', { order_id: 7, ...data }, lifecycle);
+  };
+
+  beforeEach(() => {
+    db.withTransaction.mockImplementation(callback => callback(client));
+  });
+
+  it('settles an order the first time it reaches delivered and returns its metrics', async () => {
+    const metrics = await record(
+      { order_value: 1000, payment_type: 'Prepaid', charges: { shipping: { 9: 80 } } },
+      { courier_name: 'Delhivery' },
+      { state: 'delivered', state_timestamps: { delivered: '2024-01-18T10:00:00Z' } }
+    );
+
+    expect(metrics.map(metric => [metric.metric_name, metric.value])).toEqual([
+      ['shiprocket_order_net_revenue', 1000],
+      ['shiprocket_order_logistics_cost', 80],
+      ['shiprocket_order_contribution_margin', 920]
+    ]);
+    expect(metrics[0]).toMatchObject({
+      date: '2024-01-18',
+      dimensions: { order_id: '7', outcome: 'delivered', payment_type: 'Prepaid', courier: 'Delhivery' }
+    });
+  });
+
+  it('does not settle again once the settlement metrics were emitted', async () => {
+    const metrics = await record(
+      {
+        order_value: 1000,
+        outcome: 'delivered',
+        settled_at: '2024-01-18T10:00:00Z',
+        emitted_at: '2024-01-18T10:00:05Z'
+      },
+      { return_charges: 60 },
+      { state: 'delivered' }
+    );
+
+    expect(metrics).toEqual([]);
+    expect(client.query.mock.calls[2][1][6]).toBeNull();
+  });
+
+  it('does nothing while the ledger is disabled', async () => {
+    config.ledger.enabled = false;
+
+    expect(await orderLedger.recordEvent('order_delivered', { order_id: 7 }, { state: 'delivered' })).toEqual([]);
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+});
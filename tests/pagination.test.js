@@ -0,0 +1,74 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const logger = require('../src/utils/logger');
+const { fetchAllPages, forEachPage } = require('../src/utils/pagination');
+
+// Ten records, `perPage` to a page, with or without pagination meta
+const pager = (perPage, { meta = true, total = 10 } = {}) => jest.fn(async (page) => {
+  const data = Array.from({ length: total }, (value, index) => index + 1).slice((page - 1) * perPage, page * perPage);
+  return meta ? { data, meta: { pagination: { total_pages: Math.ceil(total / perPage) } } } : { data };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('forEachPage', () => {
+  it('fetches the pages after the first concurrently when the total is known', async () => {
+    const fetchPage = pager(3);
+    const pages = [];
+
+    const result = await forEachPage(fetchPage, (data, page) => {
+      pages.push(page);
+    }, { perPage: 3, concurrency: 2 });
+
+    expect(result).toEqual({ pages: 4, records: 10, totalPages: 4 });
+    expect(pages.sort()).toEqual([1, 2, 3, 4]);
+  });
+
+  it('pages one by one until a short page without meta', async () => {
+    const fetchPage = pager(5, { meta: false, total: 12 });
+
+    const result = await forEachPage(fetchPage, () => {}, { perPage: 5 });
+
+    expect(result).toEqual({ pages: 3, records: 12, totalPages: null });
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops at maxPages and says so', async () => {
+    const fetchPage = pager(2);
+
+    const result = await forEachPage(fetchPage, () => {}, { perPage: 2, maxPages: 2 });
+
+    expect(result).toEqual({ pages: 2, records: 4, totalPages: 5 });
+    expect(logger.warn).toHaveBeenCalledWith('Stopped paging before the last page', { maxPages: 2, totalPages: 5 });
+  });
+
+  it('stops fetching once a page fails', async () => {
+    const fetchPage = jest.fn(async (page) => {
+      if (page === 2) throw new Error('Shiprocket unavailable');
+      return { data: [page], meta: { pagination: { total_pages: 6 } } };
+    });
+
+    await expect(forEachPage(fetchPage, () => {}, { perPage: 1 })).rejects.toThrow('Shiprocket unavailable');
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops before the next page when the signal is aborted', async () => {
+    const controller = new AbortController();
+
+    await expect(forEachPage(pager(2, { meta: false }), () => controller.abort(new Error('Sync job cancelled')), {
+      perPage: 2,
+      signal: controller.signal
+    })).rejects.toThrow('Sync job cancelled');
+  });
+});
+
+describe('fetchAllPages', () => {
+  it('collects every record in page order', async () => {
+    expect(await fetchAllPages(pager(4, { meta: false }), { perPage: 4 })).toEqual({
+      records: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+      pages: 3
+    });
+  });
+});
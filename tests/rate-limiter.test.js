@@ -0,0 +1,109 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/redis', () => ({ getClient: jest.fn() }));
+
+const redis = require('../src/db/redis');
+const { RateLimiter, getRetryAfterMs } = require('../src/utils/retry');
+
+const withRetryAfter = value => ({ response: { status: 429, headers: { 'retry-after': value } } });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-16T10:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getRetryAfterMs', () => {
+  it('reads Retry-After in seconds', () => {
+    expect(getRetryAfterMs(withRetryAfter('30'))).toBe(30000);
+    expect(getRetryAfterMs(withRetryAfter('0.5'))).toBe(500);
+  });
+
+  it('reads Retry-After as an HTTP date', () => {
+    expect(getRetryAfterMs(withRetryAfter('Tue, 16 Jan 2024 10:01:00 GMT'))).toBe(60000);
+  });
+
+  it('never returns a negative wait', () => {
+    expect(getRetryAfterMs(withRetryAfter('-5'))).toBe(0);
+    expect(getRetryAfterMs(withRetryAfter('Tue, 16 Jan 2024 09:59:00 GMT'))).toBe(0);
+  });
+
+  it('returns null without a usable header', () => {
+    expect(getRetryAfterMs(new Error('socket hang up'))).toBeNull();
+    expect(getRetryAfterMs(withRetryAfter(''))).toBeNull();
+    expect(getRetryAfterMs(withRetryAfter('soon'))).toBeNull();
+  });
+});
+
+describe('RateLimiter', () => {
+  it('lets a burst through, then waits for the bucket to refill', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 2, burst: 3 });
+
+    expect([1, 2, 3].map(() => limiter.takeLocalToken())).toEqual([0, 0, 0]);
+    expect(limiter.takeLocalToken()).toBe(500);
+
+    jest.advanceTimersByTime(500);
+    expect(limiter.takeLocalToken()).toBe(0);
+  });
+
+  it('never refills beyond the burst', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 10, burst: 2 });
+    jest.advanceTimersByTime(60000);
+
+    expect([1, 2].map(() => limiter.takeLocalToken())).toEqual([0, 0]);
+    expect(limiter.takeLocalToken()).toBe(100);
+  });
+
+  it('waits in checkLimit until a token is free', async () => {
+    const limiter = new RateLimiter({ ratePerSecond: 1, burst: 1 });
+    await limiter.checkLimit();
+
+    let done = false;
+    const waiting = limiter.checkLimit().then(() => { done = true; });
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(done).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    await waiting;
+
+    expect(limiter.getStats()).toMatchObject({ requests: 2, throttled: 1, waitedMs: 1000 });
+  });
+
+  it('holds every request during a pause, capped at maxPauseMs', async () => {
+    const limiter = new RateLimiter({ ratePerSecond: 100, burst: 10, maxPauseMs: 5000 });
+
+    await limiter.pause(30000);
+
+    expect(limiter.takeLocalToken()).toBe(5000);
+    jest.advanceTimersByTime(5000);
+    expect(limiter.takeLocalToken()).toBe(0);
+  });
+
+  it('does nothing when disabled', async () => {
+    const limiter = new RateLimiter({ enabled: false, ratePerSecond: 1, burst: 1 });
+
+    await limiter.pause(1000);
+    await expect(limiter.checkLimit()).resolves.toBe(true);
+    await expect(limiter.checkLimit()).resolves.toBe(true);
+    expect(limiter.getStats().requests).toBe(0);
+  });
+
+  it('takes tokens from the shared Redis bucket', async () => {
+    const client = { eval: jest.fn().mockResolvedValue(250) };
+    redis.getClient.mockResolvedValue(client);
+    const limiter = new RateLimiter({ store: 'redis', redisKey: 'ratelimit:test', ratePerSecond: 4, burst: 8 });
+
+    expect(await limiter.takeToken()).toBe(250);
+    expect(client.eval).toHaveBeenCalledWith(expect.any(String), { keys: ['ratelimit:test'], arguments: ['0.004', '8'] });
+  });
+
+  it('falls back to its own bucket when Redis is down', async () => {
+    redis.getClient.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const limiter = new RateLimiter({ store: 'redis', ratePerSecond: 1, burst: 1 });
+
+    expect(await limiter.takeToken()).toBe(0);
+    expect(await limiter.takeToken()).toBe(1000);
+    expect(limiter.getStats().storeErrors).toBe(2);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/api/shiprocket', () => ({}));
+jest.mock('../src/api/triplewhale', () => ({}));
+
+const { compareTotals, planReconciliation, totalsByDay } = require('../src/jobs/reconciliation');
+
+const range = { startDate: '2024-01-10', endDate: '2024-01-12' };
+const synced = { source: 'shiprocket_sync' };
+
+describe('totalsByDay', () => {
+  it('sums the synced series per metric and day', () => {
+    const totals = totalsByDay([
+      { metric_name: 'shiprocket_order_value', date: '2024-01-10', value: 100, dimensions: synced },
+      { metric_name: 'shiprocket_order_value', date: '2024-01-10T08:00:00Z', value: '50.5', dimensions: synced },
+      { name: 'shiprocket_shipping_cost', date: '2024-01-11', value: 40, dimensions: synced }
+    ], range);
+
+    expect([...totals]).toEqual([
+      ['shiprocket_order_value|2024-01-10', 150.5],
+      ['shiprocket_shipping_cost|2024-01-11', 40]
+    ]);
+  });
+
+  it('leaves out webhook metrics, adjustments, other metrics and days outside the range', () => {
+    const totals = totalsByDay([
+      { metric_name: 'shiprocket_order_value', date: '2024-01-10', value: 100, dimensions: { channel: 'shopify' } },
+      { metric_name: 'shiprocket_order_value', date: '2024-01-10', value: 5, dimensions: { ...synced, adjustment: 'reconciliation' } },
+      { metric_name: 'shiprocket_orders_created', date: '2024-01-10', value: 3, dimensions: synced },
+      { metric_name: 'shiprocket_order_value', date: '2024-01-13', value: 100, dimensions: synced },
+      { metric_name: 'shiprocket_order_value', date: '2024-01-11', value: 'n/a', dimensions: synced }
+    ], range);
+
+    expect(totals.size).toBe(0);
+  });
+});
+
+describe('compareTotals', () => {
+  it('reports days that differ by more than the tolerance, in key order', () => {
+    const expected = new Map([
+      ['shiprocket_order_value|2024-01-11', 200],
+      ['shiprocket_order_value|2024-01-10', 100],
+      ['shiprocket_shipping_cost|2024-01-10', 40]
+    ]);
+    const actual = new Map([
+      ['shiprocket_order_value|2024-01-10', 100.005],
+      ['shiprocket_order_value|2024-01-11', 150],
+      ['shiprocket_shipping_cost|2024-01-12', 10]
+    ]);
+
+    expect(compareTotals(expected, actual, 0.01)).toEqual([
+      { metricName: 'shiprocket_order_value', date: '2024-01-11', expected: 200, actual: 150, difference: 50 },
+      { metricName: 'shiprocket_shipping_cost', date: '2024-01-10', expected: 40, actual: 0, difference: 40 },
+      { metricName: 'shiprocket_shipping_cost', date: '2024-01-12', expected: 0, actual: 10, difference: -10 }
+    ]);
+  });
+});
+
+describe('planReconciliation', () => {
+  const key = 'shiprocket_order_value|2024-01-10';
+
+  it('corrects drift with an adjustment for the difference', () => {
+    const { differences, corrections } = planReconciliation(new Map([[key, 120]]), new Map([[key, 100]]), new Map(), 0.01);
+
+    expect(differences).toHaveLength(1);
+    expect(corrections).toEqual([{ metricName: 'shiprocket_order_value', date: '2024-01-10', adjustment: 20 }]);
+  });
+
+  it('counts adjustments already pushed, so a corrected day stays corrected', () => {
+    const plan = planReconciliation(new Map([[key, 120]]), new Map([[key, 100]]), new Map([[key, 20]]), 0.01);
+
+    expect(plan).toEqual({ differences: [], corrections: [] });
+  });
+
+  it('pushes the cumulative adjustment when the drift changes', () => {
+    const { differences, corrections } = planReconciliation(
+      new Map([[key, 130]]),
+      new Map([[key, 100]]),
+      new Map([[key, 20]]),
+      0.01
+    );
+
+    expect(differences[0]).toMatchObject({ expected: 130, actual: 120, difference: 10 });
+    expect(corrections).toEqual([{ metricName: 'shiprocket_order_value', date: '2024-01-10', adjustment: 30 }]);
+  });
+
+  it('converges when the plan is applied and run again', () => {
+    const expected = new Map([[key, 80]]);
+    const actual = new Map([[key, 100]]);
+    const adjustments = new Map();
+
+    for (const correction of planReconciliation(expected, actual, adjustments, 0.01).corrections) {
+      adjustments.set(`${correction.metricName}|${correction.date}`, correction.adjustment);
+    }
+
+    expect(adjustments.get(key)).toBe(-20);
+    expect(planReconciliation(expected, actual, adjustments, 0.01).corrections).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/api/shiprocket', () => ({ getReturns: jest.fn(), getOrders: jest.fn() }));
+jest.mock('../src/api/triplewhale', () => ({ transformReturnDataToMetrics: jest.fn() }));
+jest.mock('../src/queue/metric-buffer', () => ({ add: jest.fn() }));
+jest.mock('../src/metrics/rollup', () => ({ isEnabled: jest.fn(() => true), record: jest.fn() }));
+jest.mock('../src/jobs/logistics-summary', () => ({ buildDailySummaries: jest.fn() }));
+
+const config = require('../src/config');
+const shiprocketAPI = require('../src/api/shiprocket');
+const tripleWhaleAPI = require('../src/api/triplewhale');
+const metricBuffer = require('../src/queue/metric-buffer');
+const metricRollup = require('../src/metrics/rollup');
+const { aggregateReturns, syncReturns } = require('../src/jobs/sync');
+
+const range = { startDate: '2024-01-15', endDate: '2024-01-16' };
+
+describe('aggregateReturns', () => {
+  it('counts returns on the day they were raised and orders and RTOs on the order day', () => {
+    const days = aggregateReturns(
+      [
+        { return_date: '2024-01-16 10:00:00' },
+        { created_at: '16 Jan 2024, 11:20 AM' },
+        { return_date: '2024-01-20' }
+      ],
+      [
+        { order_date: '2024-01-15', status: 'DELIVERED' },
+        { order_date: '2024-01-15', status: 'RTO DELIVERED' },
+        { created_at: '2024-01-16T09:00:00Z', status: 'DELIVERED' },
+        { order_date: '2024-01-14', status: 'RTO INITIATED' }
+      ],
+      range
+    );
+
+    expect(days).toEqual([
+      { date: '2024-01-15', returns_count: 0, orders_count: 2, rto_count: 1, return_rate: 0 },
+      { date: '2024-01-16', returns_count: 2, orders_count: 1, rto_count: 0, return_rate: 200 }
+    ]);
+  });
+});
+
+describe('syncReturns', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.sync.batchSize = 2;
+    config.sync.pageConcurrency = 1;
+    shiprocketAPI.getReturns.mockImplementation(async ({ page }) => ({
+      data: page === 1 ? [{ return_date: '2024-01-16' }, { return_date: '2024-01-16' }] : [{ return_date: '2024-01-15' }]
+    }));
+    shiprocketAPI.getOrders.mockResolvedValue({ data: [{ order_date: '2024-01-15', status: 'DELIVERED' }] });
+    tripleWhaleAPI.transformReturnDataToMetrics.mockImplementation(totals => [{ metric_name: 'return_count', date: totals.date }]);
+    metricBuffer.add.mockImplementation(async metrics => metrics.length);
+  });
+
+  it('reads every page and pushes one set of totals per day, keyed on the totals', async () => {
+    const result = await syncReturns(range.startDate, range.endDate);
+
+    expect(shiprocketAPI.getReturns).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ type: 'returns', count: 3, orders: 1, days: 2, pages: 3, metricsPushed: 2 });
+    expect(metricBuffer.add.mock.calls.map(([, source]) => source)).toEqual([
+      { type: 'sync', syncType: 'returns', date: '2024-01-15', returns: 1, orders: 1, rto: 0 },
+      { type: 'sync', syncType: 'returns', date: '2024-01-16', returns: 2, orders: 0, rto: 0 }
+    ]);
+  });
+
+  it('skips the rollups, which would add a changed day on top of the old one', async () => {
+    await syncReturns(range.startDate, range.endDate);
+
+    expect(metricRollup.record).not.toHaveBeenCalled();
+  });
+});
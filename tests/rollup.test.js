@@ -0,0 +1,106 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../src/queue/metric-buffer', () => ({ add: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const metricBuffer = require('../src/queue/metric-buffer');
+const metricRollup = require('../src/metrics/rollup');
+const { rollupDimensions } = require('../src/metrics/rollup');
+
+const client = { query: jest.fn() };
+
+const metric = (orderId, fields = {}) => ({
+  metric_name: 'shiprocket_shipping_cost',
+  value: 80,
+  date: '2024-01-16',
+  dimensions: { source: 'shiprocket', order_id: orderId, courier: 'Delhivery', is_cod: true },
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.rollup.dimensions = ['source', 'courier', 'channel', 'payment_type', 'outcome'];
+  config.rollup.dimensionAllowlist = {};
+  config.idempotency.enabled = true;
+  db.withTransaction.mockImplementation(callback => callback(client));
+});
+
+describe('rollupDimensions', () => {
+  it('keeps only the allowlisted dimensions and derives the payment type', () => {
+    expect(rollupDimensions(metric(7))).toEqual({ source: 'shiprocket', courier: 'Delhivery', payment_type: 'COD' });
+  });
+
+  it('uses a metric\'s own allowlist entry when it has one', () => {
+    config.rollup.dimensionAllowlist = { shiprocket_shipping_cost: ['courier'] };
+
+    expect(rollupDimensions(metric(7))).toEqual({ courier: 'Delhivery' });
+  });
+});
+
+describe('metricRollup.record', () => {
+  it('adds only metrics whose keys were not counted before to the daily totals', async () => {
+    client.query.mockImplementation(async (sql, params) => {
+      if (/RETURNING idempotency_key/.test(sql)) {
+        // The second event was already counted
+        return { rows: [{ idempotency_key: params[0][0] }] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+
+    const recorded = await metricRollup.record(
+      [metric(7), metric(8, { value: 60 })],
+      { type: 'webhook', eventId: 'event-1' }
+    );
+
+    expect(recorded).toBe(1);
+    const upserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO metric_rollups/.test(sql));
+    expect(upserts).toHaveLength(1);
+    expect(upserts[0][1]).toEqual([
+      'shiprocket_shipping_cost',
+      '2024-01-16',
+      JSON.stringify([['courier', 'Delhivery'], ['payment_type', 'COD'], ['source', 'shiprocket']]),
+      { source: 'shiprocket', courier: 'Delhivery', payment_type: 'COD' },
+      'sum',
+      80
+    ]);
+  });
+
+  it('never reaches the totals with a quarantined metric', async () => {
+    expect(await metricRollup.record([metric(7, { value: -5 })])).toBe(0);
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('metricRollup.flush', () => {
+  it('queues each changed total with a key for its version, averaging avg metrics', async () => {
+    const row = {
+      metric_name: 'average_shipping_time',
+      date: '2024-01-16',
+      dimensions_key: '[]',
+      dimensions: {},
+      aggregation: 'avg',
+      total: 90,
+      count: 3,
+      version: 4
+    };
+    client.query.mockResolvedValue({ rows: [row] });
+
+    expect(await metricRollup.flush()).toBe(1);
+
+    const [[queued]] = metricBuffer.add.mock.calls;
+    expect(queued).toEqual([expect.objectContaining({ metric_name: 'average_shipping_time', value: 30 })]);
+
+    client.query.mockResolvedValue({ rows: [{ ...row, version: 5 }] });
+    await metricRollup.flush();
+    expect(metricBuffer.add.mock.calls[1][0][0].idempotency_key).not.toBe(queued[0].idempotency_key);
+  });
+
+  it('rethrows so the claim is rolled back when the totals cannot be queued', async () => {
+    client.query.mockResolvedValue({ rows: [] });
+    metricBuffer.add.mockRejectedValueOnce(new Error('Triple Whale unavailable'));
+
+    await expect(metricRollup.flush()).rejects.toThrow('Triple Whale unavailable');
+    expect((await metricRollup.getStats()).lastError).toBe('Triple Whale unavailable');
+  });
+});
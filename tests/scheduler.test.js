@@ -0,0 +1,93 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/jobs/sync-jobs', () => ({
+  SYNC_TYPES: ['orders', 'shipments', 'returns', 'summary', 'all'],
+  enqueue: jest.fn(),
+  waitFor: jest.fn()
+}));
+jest.mock('../src/jobs/reconciliation', () => ({ run: jest.fn() }));
+jest.mock('../src/jobs/attribution', () => ({ run: jest.fn() }));
+
+const config = require('../src/config');
+const syncJobs = require('../src/jobs/sync-jobs');
+const scheduler = require('../src/jobs/scheduler');
+const { validateDefinition } = require('../src/jobs/scheduler');
+
+const job = { name: 'nightly', kind: 'sync', cron: '5 0 * * *', timezone: 'Asia/Kolkata', syncType: 'all' };
+
+describe('scheduler.getDefinitions', () => {
+  beforeEach(() => {
+    config.scheduler.jobs = [{ name: 'nightly', cron: '5 0 * * *', syncType: 'all' }];
+    config.reconciliation.enabled = false;
+    config.attribution.enabled = false;
+  });
+
+  it('schedules sync jobs whether or not real-time sync is on', () => {
+    for (const enableRealTimeSync of [true, false]) {
+      config.sync.enableRealTimeSync = enableRealTimeSync;
+      expect(scheduler.getDefinitions()).toEqual([
+        { ...job, timezone: config.scheduler.timezone, enabled: true }
+      ]);
+    }
+  });
+
+  it('adds the reconciliation and attribution jobs when they are enabled', () => {
+    config.reconciliation.enabled = true;
+    config.attribution.enabled = true;
+
+    expect(scheduler.getDefinitions().map(definition => definition.kind)).toEqual(['sync', 'reconciliation', 'attribution']);
+  });
+});
+
+describe('validateDefinition', () => {
+  it('accepts a complete definition', () => {
+    expect(validateDefinition(job)).toEqual([]);
+  });
+
+  it('reports every problem with a definition', () => {
+    const errors = validateDefinition(
+      { ...job, cron: 'every night', timezone: 'Mars/Olympus', syncType: 'everything', lookbackDays: 0 },
+      new Set(['nightly'])
+    );
+
+    expect(errors).toEqual([
+      'name "nightly" is used by another job',
+      'invalid cron expression "every night"',
+      'unknown timezone "Mars/Olympus"',
+      'syncType must be one of: orders, shipments, returns, summary, all',
+      'lookbackDays must be a positive integer'
+    ]);
+  });
+});
+
+describe('scheduler.runSync', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-16T20:00:00Z') });
+    syncJobs.enqueue.mockResolvedValue({ id: 5 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('syncs the lookback window ending today in the job\'s timezone', async () => {
+    syncJobs.waitFor.mockResolvedValue({ status: 'completed', result: { count: 3 } });
+
+    const result = await scheduler.runSync({ ...job, lookbackDays: 7 }, 'scheduled');
+
+    // 20:00 UTC is already the 17th in Kolkata
+    expect(syncJobs.enqueue).toHaveBeenCalledWith({
+      syncType: 'all',
+      startDate: '2024-01-11',
+      endDate: '2024-01-17',
+      trigger: 'scheduled:nightly'
+    });
+    expect(result).toEqual({ syncJobId: 5, count: 3 });
+  });
+
+  it('fails the run when the sync job does not complete', async () => {
+    syncJobs.waitFor.mockResolvedValue({ status: 'cancelled', error: null });
+
+    await expect(scheduler.runSync(job, 'manual')).rejects.toThrow('Sync job 5 was cancelled');
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+
+const db = require('../src/db/postgres');
+const logger = require('../src/utils/logger');
+const shipmentLifecycle = require('../src/state/shipment-lifecycle');
+const { STATES, classifyTransition, getDurations, getEventRank } = require('../src/state/shipment-lifecycle');
+
+describe('classifyTransition', () => {
+  it('moves forward through the lifecycle', () => {
+    expect(classifyTransition(null, STATES.CREATED)).toBe('initial');
+    expect(classifyTransition(STATES.CREATED, STATES.SHIPPED)).toBe('forward');
+    expect(classifyTransition(STATES.SHIPPED, STATES.DELIVERED)).toBe('forward');
+    expect(classifyTransition(STATES.IN_TRANSIT, STATES.IN_TRANSIT)).toBe('repeat');
+  });
+
+  it('allows a failed attempt to go out for delivery again', () => {
+    expect(classifyTransition(STATES.OUT_FOR_DELIVERY, STATES.DELIVERY_FAILED)).toBe('forward');
+    expect(classifyTransition(STATES.DELIVERY_FAILED, STATES.OUT_FOR_DELIVERY)).toBe('forward');
+    expect(classifyTransition(STATES.DELIVERY_FAILED, STATES.IN_TRANSIT)).toBe('forward');
+  });
+
+  it('flags backwards moves and moves out of terminal states', () => {
+    expect(classifyTransition(STATES.IN_TRANSIT, STATES.SHIPPED)).toBe('out_of_order');
+    expect(classifyTransition(STATES.DELIVERED, STATES.IN_TRANSIT)).toBe('illegal');
+    expect(classifyTransition(STATES.RTO, STATES.RETURNED)).toBe('illegal');
+    expect(classifyTransition(STATES.DELIVERED, STATES.RETURNED)).toBe('forward');
+  });
+});
+
+describe('getEventRank', () => {
+  it('ranks events by lifecycle position, RTO returns with the terminal states', () => {
+    expect(getEventRank('order_created')).toBe(0);
+    expect(getEventRank('order_shipped')).toBeLessThan(getEventRank('order_delivered'));
+    expect(getEventRank('order_returned', { return_type: 'rto' })).toBe(getEventRank('order_delivered'));
+    expect(getEventRank('order_returned')).toBeGreaterThan(getEventRank('order_delivered'));
+    expect(getEventRank('status_update')).toBe(0);
+  });
+});
+
+describe('getDurations', () => {
+  it('derives durations in hours from the stored timestamps', () => {
+    expect(getDurations({
+      state_timestamps: {
+        created: '2024-01-15T10:00:00Z',
+        shipped: '2024-01-16T10:00:00Z',
+        picked_up: '2024-01-16T16:00:00Z',
+        delivered: '2024-01-18T10:00:00Z'
+      }
+    })).toEqual({ processingHours: 24, transitHours: 42, deliveryHours: 48, fulfillmentHours: 72 });
+  });
+
+  it('falls back to pickup for the shipped time and leaves unknown durations null', () => {
+    expect(getDurations({
+      state_timestamps: { created: '2024-01-15T10:00:00Z', picked_up: '2024-01-15T22:00:00Z' }
+    })).toEqual({ processingHours: 12, transitHours: null, deliveryHours: null, fulfillmentHours: null });
+    expect(getDurations(null).processingHours).toBeNull();
+  });
+});
+
+describe('shipmentLifecycle.recordEvent', () => {
+  const client = { query: jest.fn() };
+
+  const record = async (current, eventType, data) => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ order_id: '7', shipment_id: '9', ...current }] })
+      .mockImplementationOnce(async (sql, params) => ({
+        rows: [{ order_id: '7', shipment_id: '9', state: params[2], state_timestamps: params[3] }]
+      }));
+
+    return shipmentLifecycle.recordEvent(eventType, { order_id: 7, shipment_id: 9, ...data });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.withTransaction.mockImplementation(callback => callback(client));
+  });
+
+  it('advances the state and records when it was reached', async () => {
+    const lifecycle = await record(
+      { state: STATES.SHIPPED, state_timestamps: { shipped: '2024-01-16T10:00:00.000Z' } },
+      'order_delivered',
+      { delivered_date: '2024-01-18T10:00:00Z' }
+    );
+
+    expect(lifecycle.state).toBe(STATES.DELIVERED);
+    expect(lifecycle.transition).toMatchObject({ from: STATES.SHIPPED, to: STATES.DELIVERED, flag: 'forward' });
+    expect(lifecycle.durations.deliveryHours).toBe(48);
+  });
+
+  it('keeps the state on a late event but fills in the skipped timestamp', async () => {
+    const lifecycle = await record(
+      { state: STATES.DELIVERED, state_timestamps: { delivered: '2024-01-18T10:00:00.000Z' } },
+      'shipment_pickup',
+      { pickup_date: '2024-01-16T16:00:00Z' }
+    );
+
+    expect(lifecycle.state).toBe(STATES.DELIVERED);
+    expect(lifecycle.state_timestamps.picked_up).toBe('2024-01-16T16:00:00.000Z');
+    expect(lifecycle.durations.transitHours).toBe(42);
+    expect(client.query.mock.calls[1][1][5]).toBe(1);
+    expect(logger.warn).toHaveBeenCalledWith('Unexpected shipment lifecycle transition', expect.objectContaining({ flag: 'illegal' }));
+  });
+
+  it('ignores events outside the lifecycle', async () => {
+    expect(await shipmentLifecycle.recordEvent('status_update', { order_id: 7 })).toBeNull();
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+});
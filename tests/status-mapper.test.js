@@ -0,0 +1,123 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+
+const {
+  INFORMATIONAL,
+  mapStatus,
+  normalizeWebhookPayload,
+  parseShiprocketDate
+} = require('../src/webhooks/status-mapper');
+
+describe('parseShiprocketDate', () => {
+  it('reads zone-less Shiprocket timestamps as IST', () => {
+    expect(parseShiprocketDate('23 05 2023 11:43:52')).toBe('2023-05-23T06:13:52.000Z');
+    expect(parseShiprocketDate('23-05-2023 11:43:52')).toBe('2023-05-23T06:13:52.000Z');
+    expect(parseShiprocketDate('2023-05-23 11:43:52')).toBe('2023-05-23T06:13:52.000Z');
+  });
+
+  it('keeps the zone of ISO timestamps', () => {
+    expect(parseShiprocketDate('2023-05-23T11:43:52Z')).toBe('2023-05-23T11:43:52.000Z');
+  });
+
+  it('returns null for missing or unreadable values', () => {
+    expect(parseShiprocketDate(null)).toBeNull();
+    expect(parseShiprocketDate('not a date')).toBeNull();
+  });
+});
+
+describe('mapStatus', () => {
+  it('maps a status code to its event type and date field', () => {
+    expect(mapStatus(7)).toEqual({
+      code: 7,
+      label: 'Delivered',
+      eventType: 'order_delivered',
+      dateField: 'delivered_date',
+      mapped: true
+    });
+  });
+
+  it('looks the code up by label when only the label is sent', () => {
+    expect(mapStatus(null, 'OUT FOR DELIVERY')).toMatchObject({ code: 17, eventType: 'out_for_delivery' });
+  });
+
+  it('marks known statuses without a metric as informational', () => {
+    expect(mapStatus('52')).toMatchObject({ code: 52, eventType: INFORMATIONAL, mapped: true });
+  });
+
+  it('reports unknown codes as unmapped', () => {
+    expect(mapStatus(999, 'Teleported')).toEqual({ code: 999, label: 'Teleported', eventType: null, mapped: false });
+  });
+
+  it('only counts a return shipment once it is delivered back', () => {
+    expect(mapStatus(7, null, { isReturn: true })).toMatchObject({ eventType: 'order_returned', dateField: 'returned_date' });
+    expect(mapStatus(18, null, { isReturn: true })).toMatchObject({ eventType: INFORMATIONAL });
+  });
+});
+
+describe('normalizeWebhookPayload', () => {
+  it('passes friendly payloads with a known event type through', () => {
+    const body = { event_type: 'order_created', data: { order_id: 1 } };
+    expect(normalizeWebhookPayload(body)).toBe(body);
+  });
+
+  it('normalizes a native tracking webhook', () => {
+    const normalized = normalizeWebhookPayload({
+      awb: 1234567890,
+      order_id: 'CH-1001',
+      sr_order_id: 5551,
+      current_status: 'DELIVERED',
+      current_status_id: 7,
+      current_timestamp: '23 05 2023 11:43:52'
+    });
+
+    expect(normalized.event_type).toBe('order_delivered');
+    expect(normalized.timestamp).toBe('2023-05-23T06:13:52.000Z');
+    expect(normalized.data).toMatchObject({
+      order_id: 5551,
+      channel_order_id: 'CH-1001',
+      tracking_number: '1234567890',
+      current_timestamp: '2023-05-23T06:13:52.000Z',
+      delivered_date: '2023-05-23T06:13:52.000Z',
+      native_status: { code: 7, label: 'Delivered', rawTimestamp: '23 05 2023 11:43:52' }
+    });
+  });
+
+  it('prefers shipment_status_id over current_status_id', () => {
+    const normalized = normalizeWebhookPayload({ order_id: 1, shipment_status_id: 6, current_status_id: 7 });
+    expect(normalized.event_type).toBe('order_shipped');
+  });
+
+  it('keeps a date the payload already carries', () => {
+    const normalized = normalizeWebhookPayload({
+      order_id: 1,
+      current_status_id: 6,
+      current_timestamp: '2023-05-23 11:43:52',
+      shipped_date: '2023-05-22T09:00:00Z'
+    });
+    expect(normalized.data.shipped_date).toBe('2023-05-22T09:00:00Z');
+  });
+
+  it('tags RTOs with their return type', () => {
+    expect(normalizeWebhookPayload({ order_id: 1, current_status_id: 9 }).data.return_type).toBe('rto');
+  });
+
+  it('turns informational and unknown statuses into their own event types', () => {
+    expect(normalizeWebhookPayload({ order_id: 1, current_status_id: 52 }).event_type).toBe('status_update');
+    expect(normalizeWebhookPayload({ order_id: 1, current_status_id: 999 }).event_type).toBe('unmapped_status');
+  });
+
+  it('maps the status inside a friendly payload with an unknown event type', () => {
+    const normalized = normalizeWebhookPayload({
+      event_type: 'tracking_update',
+      webhook_id: 'wh-1',
+      data: { order_id: 1, current_status_id: 17 }
+    });
+
+    expect(normalized).toMatchObject({ event_type: 'out_for_delivery', webhook_id: 'wh-1', data: { order_id: 1 } });
+  });
+
+  it('leaves payloads without a status alone', () => {
+    const body = { event_type: 'something_else', data: { order_id: 1 } };
+    expect(normalizeWebhookPayload(body)).toBe(body);
+  });
+});
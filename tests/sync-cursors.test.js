@@ -0,0 +1,117 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/api/shiprocket', () => ({ getOrders: jest.fn() }));
+jest.mock('../src/api/triplewhale', () => ({ transformOrderToMetrics: jest.fn() }));
+jest.mock('../src/queue/metric-buffer', () => ({ add: jest.fn() }));
+jest.mock('../src/metrics/rollup', () => ({ isEnabled: jest.fn(() => false), record: jest.fn() }));
+jest.mock('../src/jobs/attribution', () => ({ classifyOutcome: jest.fn() }));
+jest.mock('../src/jobs/logistics-summary', () => ({ buildDailySummaries: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const shiprocketAPI = require('../src/api/shiprocket');
+const tripleWhaleAPI = require('../src/api/triplewhale');
+const metricBuffer = require('../src/queue/metric-buffer');
+const { comparePositions } = require('../src/state/sync-cursors');
+const { syncIncremental, syncOrders } = require('../src/jobs/sync');
+
+const order = (id, updatedAt) => ({ id, order_id: id, updated_at: updatedAt });
+
+describe('comparePositions', () => {
+  it('orders positions by timestamp first', () => {
+    expect(comparePositions({ at: '2024-01-16T10:00:00Z', id: 9 }, { at: '2024-01-16T10:00:01Z', id: 1 })).toBeLessThan(0);
+    expect(comparePositions({ at: '2024-01-16T15:30:00+05:30', id: 1 }, { at: '2024-01-16T10:00:00Z', id: 1 })).toBe(0);
+  });
+
+  it('breaks timestamp ties by ID, numerically when both are numbers', () => {
+    const at = '2024-01-16T10:00:00Z';
+
+    expect(comparePositions({ at, id: 9 }, { at, id: 10 })).toBeLessThan(0);
+    expect(comparePositions({ at, id: '100' }, { at, id: 99 })).toBeGreaterThan(0);
+    expect(comparePositions({ at, id: 'b' }, { at, id: 'a' })).toBeGreaterThan(0);
+  });
+});
+
+describe('syncing after a cursor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tripleWhaleAPI.transformOrderToMetrics.mockImplementation(item => [{ metric_name: 'shiprocket_orders', order: item.id }]);
+    metricBuffer.add.mockImplementation(async metrics => metrics.length);
+    shiprocketAPI.getOrders.mockResolvedValue({
+      data: [
+        order(1, '2024-01-16T09:00:00Z'),
+        order(2, '2024-01-16T10:00:00Z'),
+        order(3, '2024-01-16T10:00:00Z'),
+        order(4, '2024-01-16T11:00:00Z')
+      ]
+    });
+  });
+
+  it('skips records at or before the cursor position', async () => {
+    const result = await syncOrders('2024-01-16', '2024-01-16', { after: { at: '2024-01-16T10:00:00.000Z', id: 2 } });
+
+    expect(result).toMatchObject({ count: 2, skipped: 2, metricsPushed: 2 });
+    expect(metricBuffer.add.mock.calls.map(([metrics]) => metrics[0].order)).toEqual([3, 4]);
+  });
+
+  it('syncs every record without a cursor', async () => {
+    const result = await syncOrders('2024-01-16', '2024-01-16');
+
+    expect(result).toMatchObject({ count: 4, metricsPushed: 4 });
+    expect(result.skipped).toBeUndefined();
+  });
+
+  it('syncs records without a readable timestamp rather than dropping them', async () => {
+    shiprocketAPI.getOrders.mockResolvedValue({ data: [order(5, null), order(6, 'yesterday')] });
+
+    const result = await syncOrders('2024-01-16', '2024-01-16', { after: { at: '2024-01-16T10:00:00.000Z', id: 2 } });
+    expect(result).toMatchObject({ count: 2, skipped: 0 });
+  });
+});
+
+describe('incremental catch-up', () => {
+  const cursor = {
+    sync_type: 'orders',
+    synced_through: '2024-01-02',
+    high_water_mark: '2024-01-02T12:00:00.000Z',
+    last_record_id: '10'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-01-16T06:00:00Z') });
+    config.scheduler.timezone = 'Asia/Kolkata';
+    config.sync.catchUpChunkDays = 7;
+    config.sync.maxCatchUpDays = 90;
+
+    tripleWhaleAPI.transformOrderToMetrics.mockImplementation(item => [{ metric_name: 'shiprocket_orders', order: item.id }]);
+    metricBuffer.add.mockImplementation(async metrics => metrics.length);
+    db.query.mockImplementation(async sql => ({ rows: [sql.startsWith('SELECT') ? cursor : {}] }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('compares every window with the starting cursor, so an old order updated late hides nothing', async () => {
+    // Window 1 holds an old order updated yesterday; window 2 orders were updated before that
+    shiprocketAPI.getOrders.mockImplementation(async ({ start_date: startDate }) => ({
+      data: startDate === '2024-01-02'
+        ? [order(11, '2024-01-15T09:00:00Z'), order(9, '2024-01-01T09:00:00Z')]
+        : startDate === '2024-01-09' ? [order(12, '2024-01-10T09:00:00Z')] : []
+    }));
+
+    const result = await syncIncremental('orders');
+
+    expect(result).toMatchObject({ windows: 3, count: 2, skipped: 1 });
+    expect(metricBuffer.add.mock.calls.map(([metrics]) => metrics[0].order)).toEqual([11, 12]);
+
+    // The high-water mark only moves with the last window
+    const advances = db.query.mock.calls.filter(([sql]) => sql.startsWith('INSERT')).map(([, params]) => params);
+    expect(advances.map(params => [params[1], params[2], params[3]])).toEqual([
+      ['2024-01-08', null, null],
+      ['2024-01-15', null, null],
+      ['2024-01-16', '2024-01-15T09:00:00.000Z', '11']
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/jobs/sync-jobs', () => ({ listJobs: jest.fn(), getJob: jest.fn(), cancel: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config');
+const syncJobs = require('../src/jobs/sync-jobs');
+const syncJobRoutes = require('../src/routes/sync-jobs');
+const { requireAdminKey } = require('../src/middleware/admin-auth');
+
+// Mounted the way server.js mounts it
+const app = express().use('/api/sync/jobs', requireAdminKey, syncJobRoutes);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.security.adminApiKey = 'admin-key';
+});
+
+describe('sync job routes', () => {
+  it('need the admin key, cancelling included', async () => {
+    await request(app).get('/api/sync/jobs').expect(401);
+    await request(app).get('/api/sync/jobs/1').set('X-API-Key', 'wrong-key').expect(401);
+    await request(app).delete('/api/sync/jobs/1').expect(401);
+
+    expect(syncJobs.listJobs).not.toHaveBeenCalled();
+    expect(syncJobs.cancel).not.toHaveBeenCalled();
+  });
+
+  it('list jobs with the admin key', async () => {
+    syncJobs.listJobs.mockResolvedValue([{ id: 1, status: 'running' }]);
+
+    const { body } = await request(app).get('/api/sync/jobs?status=running&limit=500').set('X-API-Key', 'admin-key').expect(200);
+
+    expect(body).toEqual({ success: true, jobs: [{ id: 1, status: 'running' }], limit: 200, offset: 0 });
+    expect(syncJobs.listJobs).toHaveBeenCalledWith({ status: 'running', limit: 200, offset: 0 });
+  });
+
+  it('reject unknown statuses and malformed IDs', async () => {
+    await request(app).get('/api/sync/jobs?status=stuck').set('X-API-Key', 'admin-key').expect(400);
+    await request(app).get('/api/sync/jobs/abc').set('X-API-Key', 'admin-key').expect(400);
+  });
+
+  it('answer 409 when a job can no longer be cancelled', async () => {
+    syncJobs.cancel.mockResolvedValue({ cancelled: false, job: { id: 1, status: 'completed' } });
+
+    const { body } = await request(app).delete('/api/sync/jobs/1').set('X-API-Key', 'admin-key').expect(409);
+    expect(body.error).toBe('Sync job is completed and can no longer be cancelled');
+  });
+});
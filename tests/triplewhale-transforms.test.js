@@ -0,0 +1,41 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+
+const logger = require('../src/utils/logger');
+const tripleWhale = require('../src/api/triplewhale');
+const { checkMetric } = require('../src/metrics/catalog');
+
+describe('synced Shiprocket transforms', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('push shipment costs into the shiprocket_shipping_cost series, tagged as synced', () => {
+    const [metric] = tripleWhale.transformShipmentToMetrics({
+      shipment_id: 9001,
+      courier_name: 'Delhivery',
+      shipping_charges: '82.5',
+      created_at: '2024-01-16T10:00:00Z'
+    });
+
+    expect(metric).toEqual({
+      metric_name: 'shiprocket_shipping_cost',
+      value: 82.5,
+      date: '2024-01-16',
+      dimensions: { source: 'shiprocket_sync', shipment_id: 9001, courier: 'Delhivery' }
+    });
+  });
+
+  it('emit only catalog dimensions, reconciliation adjustments included', () => {
+    const metrics = [
+      ...tripleWhale.transformOrderToMetrics({ order_id: 1, total_amount: 500, channel_name: 'Shopify', order_date: '2024-01-16' }),
+      ...tripleWhale.transformShipmentToMetrics({ shipment_id: 2, courier_name: 'Bluedart', shipping_charges: 60, created_at: '2024-01-16' })
+    ];
+    const adjustment = { ...metrics[1], value: -12, dimensions: { source: 'shiprocket_sync', adjustment: 'reconciliation' } };
+
+    for (const metric of [...metrics, adjustment]) {
+      expect(checkMetric(metric)).toEqual([]);
+    }
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
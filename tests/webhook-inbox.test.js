@@ -0,0 +1,122 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+
+const config = require('../src/config');
+const db = require('../src/db/postgres');
+const webhookInbox = require('../src/queue/webhook-inbox');
+const { STATUS } = require('../src/queue/webhook-inbox');
+
+beforeEach(() => {
+  db.query.mockReset();
+});
+
+describe('webhookInbox.enqueue', () => {
+  const rankOf = async (eventType, data = {}) => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: STATUS.PENDING }] });
+    await webhookInbox.enqueue({ eventType, payload: { event_type: eventType, data: { order_id: 7, ...data } } });
+    return db.query.mock.calls[db.query.mock.calls.length - 1][1][5];
+  };
+
+  it('stores the lifecycle rank so an order\'s events are claimed in lifecycle order', async () => {
+    const created = await rankOf('order_created');
+    const shipped = await rankOf('order_shipped');
+    const delivered = await rankOf('order_delivered');
+    const returned = await rankOf('order_returned');
+
+    expect(created).toBeLessThan(shipped);
+    expect(shipped).toBeLessThan(delivered);
+    expect(delivered).toBeLessThan(returned);
+  });
+
+  it('ranks RTO returns with the other terminal states', async () => {
+    expect(await rankOf('order_returned', { return_type: 'rto' })).toBe(await rankOf('order_delivered'));
+  });
+
+  it('ranks events outside the lifecycle first', async () => {
+    expect(await rankOf('status_update')).toBe(0);
+  });
+
+  it('stores order and shipment IDs as text', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+    await webhookInbox.enqueue({ eventType: 'order_shipped', payload: { data: { order_id: 7, shipment_id: 9 } } });
+
+    expect(db.query.mock.calls[0][1].slice(0, 4)).toEqual(['shiprocket', 'order_shipped', '7', '9']);
+  });
+});
+
+describe('webhookInbox.claimBatch', () => {
+  it('claims only the head of each order\'s pending events', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+    await webhookInbox.claimBatch(5);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/p\.status = \$1/);
+    expect(sql).toMatch(/\(p\.status_rank, p\.received_at, p\.id\) < \(i\.status_rank, i\.received_at, i\.id\)/);
+    expect(sql).toMatch(/FOR UPDATE SKIP LOCKED/);
+    expect(params.slice(0, 3)).toEqual([STATUS.PROCESSING, STATUS.PENDING, 5]);
+  });
+
+  it('returns the claimed events oldest first', async () => {
+    const rows = [
+      { id: 3, received_at: new Date('2024-01-16T10:02:00Z') },
+      { id: 1, received_at: new Date('2024-01-16T10:00:00Z') },
+      { id: 2, received_at: new Date('2024-01-16T10:01:00Z') }
+    ];
+    db.query.mockResolvedValueOnce({ rows });
+
+    expect((await webhookInbox.claimBatch()).map(row => row.id)).toEqual([1, 2, 3]);
+  });
+
+  it('takes a fresh lease token for every batch', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    await webhookInbox.claimBatch();
+    await webhookInbox.claimBatch();
+
+    const [first, second] = db.query.mock.calls.map(([, params]) => params[3]);
+    expect(first).toEqual(expect.any(String));
+    expect(second).not.toBe(first);
+  });
+});
+
+describe('webhookInbox leases', () => {
+  beforeEach(() => {
+    config.inbox.maxAttempts = 3;
+    config.inbox.retryDelayMs = 1000;
+    config.retry.backoffFactor = 2;
+  });
+
+  it('records a result only for the lease holder', async () => {
+    db.query.mockResolvedValueOnce({ rowCount: 1 });
+    expect(await webhookInbox.markDone(1, { ok: true }, 'lease-a')).toBe(true);
+    expect(db.query.mock.calls[0][1]).toEqual([1, STATUS.DONE, { ok: true }, 'lease-a']);
+
+    db.query.mockResolvedValueOnce({ rowCount: 0 });
+    expect(await webhookInbox.markDone(1, null, 'lease-b')).toBe(false);
+  });
+
+  it('backs a failed event off exponentially until it runs out of attempts', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    expect(await webhookInbox.markFailed(1, new Error('boom'), 1, 'lease-a'))
+      .toEqual({ exhausted: false, retryInMs: 1000, leaseLost: false });
+    expect(await webhookInbox.markFailed(1, new Error('boom'), 2, 'lease-a'))
+      .toEqual({ exhausted: false, retryInMs: 2000, leaseLost: false });
+    expect(await webhookInbox.markFailed(1, new Error('boom'), 3, 'lease-a'))
+      .toEqual({ exhausted: true, retryInMs: null, leaseLost: false });
+    expect(db.query.mock.calls[2][1][1]).toBe(STATUS.FAILED);
+  });
+
+  it('reports a lost lease instead of recording the failure', async () => {
+    db.query.mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await webhookInbox.markFailed(1, new Error('boom'), 3, 'lease-a'))
+      .toEqual({ exhausted: false, retryInMs: null, leaseLost: true });
+  });
+
+  it('renews a lease only while it is still held', async () => {
+    db.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await webhookInbox.renewLease(1, 'lease-a')).toBe(true);
+    expect(await webhookInbox.renewLease(1, 'lease-a')).toBe(false);
+  });
+});
@@ -0,0 +1,262 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/db/postgres', () => ({ query: jest.fn() }));
+jest.mock('../src/db/redis', () => ({ getClient: jest.fn() }));
+
+process.env.WEBHOOK_ALLOWED_IPS = '13.235.0.0/16,3.7.12.34';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../src/config');
+const redis = require('../src/db/redis');
+const {
+  isAllowedSource,
+  parseWebhookTimestamp,
+  preventWebhookReplay,
+  verifyShiprocketSignature,
+  verifyWebhookSignature
+} = require('../src/webhooks/middleware');
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+function request({ body = {}, headers = {}, ip = '13.235.1.1' } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { body, rawBody, ip, get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function run(middleware, req) {
+  const res = response();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+}
+
+describe('preventWebhookReplay', () => {
+  const seen = new Set();
+  const client = {
+    set: jest.fn(async (key) => {
+      if (seen.has(key)) return null;
+      seen.add(key);
+      return 'OK';
+    }),
+    del: jest.fn(async key => seen.delete(key))
+  };
+
+  beforeEach(() => {
+    seen.clear();
+    jest.clearAllMocks();
+    redis.getClient.mockResolvedValue(client);
+    config.webhook.timestampToleranceSeconds = 300;
+    config.webhook.requireTimestamp = false;
+  });
+
+  it('accepts a fresh body timestamp and rejects a stale one', async () => {
+    const fresh = await run(preventWebhookReplay, request({ body: { timestamp: Math.floor(Date.now() / 1000) } }));
+    expect(fresh.next).toHaveBeenCalled();
+
+    const stale = await run(preventWebhookReplay, request({ body: { timestamp: Date.now() - 10 * 60 * 1000 } }));
+    expect(stale.next).not.toHaveBeenCalled();
+    expect(stale.res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('checks data.current_timestamp when the body has no timestamp', async () => {
+    const stale = await run(preventWebhookReplay, request({ body: { data: { current_timestamp: '2023-05-23 11:43:52' } } }));
+    expect(stale.res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('ignores the unsigned X-Shiprocket-Timestamp header', async () => {
+    config.webhook.requireTimestamp = true;
+
+    const { res, next } = await run(preventWebhookReplay, request({
+      headers: { 'X-Shiprocket-Timestamp': String(Math.floor(Date.now() / 1000)) }
+    }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Missing timestamp' });
+  });
+
+  it('acknowledges a repeated nonce without processing it', async () => {
+    const body = { nonce: 'n-1', timestamp: Date.now() };
+
+    expect((await run(preventWebhookReplay, request({ body }))).next).toHaveBeenCalled();
+
+    const replay = await run(preventWebhookReplay, request({ body }));
+    expect(replay.next).not.toHaveBeenCalled();
+    expect(replay.res.status).toHaveBeenCalledWith(200);
+    expect(replay.res.json).toHaveBeenCalledWith(expect.objectContaining({ duplicate: true }));
+  });
+
+  it('tracks verified signatures of webhooks without a nonce', async () => {
+    const req = () => Object.assign(request({ body: { current_status_id: 7 } }), { webhookSignature: 'ab'.repeat(32) });
+
+    expect((await run(preventWebhookReplay, req())).next).toHaveBeenCalled();
+    expect((await run(preventWebhookReplay, req())).res.status).toHaveBeenCalledWith(200);
+    expect(client.set).toHaveBeenLastCalledWith(expect.stringMatching(new RegExp(`^${config.webhook.nonceKeyPrefix}`)), '13.235.1.1', {
+      NX: true,
+      EX: 600
+    });
+  });
+
+  it('does not use the unsigned nonce header', async () => {
+    const { next } = await run(preventWebhookReplay, request({ headers: { 'X-Shiprocket-Nonce': 'n-1' } }));
+
+    expect(next).toHaveBeenCalled();
+    expect(client.set).not.toHaveBeenCalled();
+  });
+
+  it('frees the key when the webhook is not accepted, so a retry gets through', async () => {
+    const body = { nonce: 'n-2' };
+    const { res } = await run(preventWebhookReplay, request({ body }));
+
+    res.statusCode = 503;
+    res.emit('finish');
+    await Promise.resolve();
+
+    expect((await run(preventWebhookReplay, request({ body }))).next).toHaveBeenCalled();
+  });
+
+  it('fails open when Redis is down', async () => {
+    redis.getClient.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    expect((await run(preventWebhookReplay, request({ body: { nonce: 'n-3' } }))).next).toHaveBeenCalled();
+  });
+});
+
+describe('parseWebhookTimestamp', () => {
+  it('reads epoch seconds, epoch milliseconds and dates', () => {
+    expect(parseWebhookTimestamp('1705399200')).toBe(1705399200000);
+    expect(parseWebhookTimestamp(1705399200000)).toBe(1705399200000);
+    expect(parseWebhookTimestamp('2024-01-16T10:00:00Z')).toBe(Date.parse('2024-01-16T10:00:00Z'));
+    expect(parseWebhookTimestamp('16 01 2024 15:30:00')).toBe(Date.parse('2024-01-16T10:00:00Z'));
+  });
+
+  it('tells a missing timestamp from an unreadable one', () => {
+    expect(parseWebhookTimestamp(undefined)).toBeNull();
+    expect(parseWebhookTimestamp('')).toBeNull();
+    expect(parseWebhookTimestamp('yesterday')).toBeNaN();
+  });
+});
+
+describe('isAllowedSource', () => {
+  it('matches single addresses and ranges, including IPv4-mapped IPv6', () => {
+    expect(isAllowedSource('13.235.44.5')).toBe(true);
+    expect(isAllowedSource('3.7.12.34')).toBe(true);
+    expect(isAllowedSource('::ffff:3.7.12.34')).toBe(true);
+    expect(isAllowedSource('3.7.12.35')).toBe(false);
+    expect(isAllowedSource(undefined)).toBe(false);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  const rawBody = Buffer.from('{"event_type":"order_delivered","data":{"order_id":1}}');
+  const secrets = ['current-secret', 'previous-secret'];
+
+  it('checks the HMAC-SHA256 of the raw body in hex or base64, with or without a prefix', () => {
+    const digest = crypto.createHmac('sha256', 'current-secret').update(rawBody).digest();
+
+    expect(verifyWebhookSignature(rawBody, digest.toString('hex'), secrets)).toBe(0);
+    expect(verifyWebhookSignature(rawBody, `sha256=${digest.toString('hex')}`, secrets)).toBe(0);
+    expect(verifyWebhookSignature(rawBody, digest.toString('base64'), secrets)).toBe(0);
+    expect(verifyWebhookSignature(rawBody, `Bearer ${digest.toString('base64')}`, secrets)).toBe(0);
+  });
+
+  it('covers every byte of the body, not its parsed form', () => {
+    const signature = sign(rawBody, 'current-secret');
+    const reformatted = Buffer.from(JSON.stringify(JSON.parse(rawBody.toString()), null, 2));
+
+    expect(verifyWebhookSignature(reformatted, signature, secrets)).toBe(-1);
+  });
+
+  it('reports which secret matched during rotation', () => {
+    expect(verifyWebhookSignature(rawBody, sign(rawBody, 'previous-secret'), secrets)).toBe(1);
+    expect(verifyWebhookSignature(rawBody, sign(rawBody, 'retired-secret'), secrets)).toBe(-1);
+  });
+
+  it('treats a signature of the wrong length as invalid instead of throwing', () => {
+    const signature = sign(rawBody, 'current-secret');
+
+    expect(verifyWebhookSignature(rawBody, signature.slice(0, 40), secrets)).toBe(-1);
+    expect(verifyWebhookSignature(rawBody, `${signature}00`, secrets)).toBe(-1);
+    expect(verifyWebhookSignature(rawBody, '', secrets)).toBe(-1);
+  });
+});
+
+describe('verifyShiprocketSignature', () => {
+  const body = { event_type: 'order_delivered', data: { order_id: 1 } };
+  const signed = (secret, header = 'X-Shiprocket-Signature') => request({
+    body,
+    headers: { [header]: sign(JSON.stringify(body), secret) }
+  });
+
+  beforeEach(() => {
+    config.webhook.verifySignature = true;
+    config.webhook.requireSignature = false;
+    config.shiprocket.webhookSecrets = ['current-secret'];
+  });
+
+  it('accepts a webhook signed with the current or a previous secret', async () => {
+    config.shiprocket.webhookSecrets = ['current-secret', 'previous-secret'];
+
+    expect((await run(verifyShiprocketSignature, signed('current-secret'))).next).toHaveBeenCalled();
+    expect((await run(verifyShiprocketSignature, signed('previous-secret', 'Authorization'))).next).toHaveBeenCalled();
+  });
+
+  it('rejects a bad signature, or one without a raw body to check', async () => {
+    expect((await run(verifyShiprocketSignature, signed('wrong-secret'))).res.status).toHaveBeenCalledWith(401);
+
+    const withoutRawBody = { ...signed('current-secret'), rawBody: undefined };
+    expect((await run(verifyShiprocketSignature, withoutRawBody)).res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('lets unsigned webhooks through unless strict mode is on', async () => {
+    expect((await run(verifyShiprocketSignature, request({ body }))).next).toHaveBeenCalled();
+
+    config.webhook.requireSignature = true;
+    const { res, next } = await run(verifyShiprocketSignature, request({ body }));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Missing signature' });
+  });
+
+  it('enforces strict mode even when optional verification is off', async () => {
+    config.webhook.verifySignature = false;
+    config.webhook.requireSignature = true;
+
+    expect((await run(verifyShiprocketSignature, signed('wrong-secret'))).res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('skips verification when it is turned off', async () => {
+    config.webhook.verifySignature = false;
+
+    expect((await run(verifyShiprocketSignature, signed('wrong-secret'))).next).toHaveBeenCalled();
+  });
+
+  it('fails closed when a signature arrives but no secret is configured', async () => {
+    config.shiprocket.webhookSecrets = [];
+
+    expect((await run(verifyShiprocketSignature, signed('current-secret'))).res.status).toHaveBeenCalledWith(500);
+  });
+
+  it('remembers the verified signature for replay protection', async () => {
+    const body = { current_status_id: 7 };
+    const signature = sign(JSON.stringify(body), 'current-secret');
+    const req = request({ body, headers: { 'X-Shiprocket-Signature': `sha256=${signature}` } });
+
+    const { next } = await run(verifyShiprocketSignature, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.webhookSignature).toBe(signature);
+  });
+});
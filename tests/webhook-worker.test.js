@@ -0,0 +1,95 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/queue/webhook-inbox', () => ({
+  on: jest.fn(),
+  renewLease: jest.fn(),
+  markDone: jest.fn(),
+  markFailed: jest.fn()
+}));
+jest.mock('../src/queue/dead-letter-queue', () => ({ add: jest.fn() }));
+jest.mock('../src/webhooks/shiprocket-handler', () => ({ processWebhookEvent: jest.fn() }));
+
+const webhookInbox = require('../src/queue/webhook-inbox');
+const deadLetterQueue = require('../src/queue/dead-letter-queue');
+const { processWebhookEvent } = require('../src/webhooks/shiprocket-handler');
+const webhookWorker = require('../src/queue/webhook-worker');
+
+const entry = {
+  id: 11,
+  source: 'shiprocket',
+  attempts: 1,
+  locked_by: 'worker-1',
+  payload: { event_type: 'order_delivered', data: { order_id: 7 } }
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  processWebhookEvent.mockResolvedValue({ metricsGenerated: 2 });
+  webhookInbox.markDone.mockResolvedValue(true);
+});
+
+describe('webhookWorker.processEntry', () => {
+  it('marks a processed event done', async () => {
+    const { processed } = webhookWorker.stats;
+
+    await webhookWorker.processEntry(entry);
+
+    expect(processWebhookEvent).toHaveBeenCalledWith('order_delivered', { order_id: 7 });
+    expect(webhookInbox.markDone).toHaveBeenCalledWith(11, { metricsGenerated: 2 }, 'worker-1');
+    expect(webhookWorker.stats.processed).toBe(processed + 1);
+  });
+
+  it('does not retry a processed event when marking it done fails', async () => {
+    webhookInbox.markDone.mockRejectedValue(new Error('connection terminated'));
+    const { doneNotRecorded, processed } = webhookWorker.stats;
+
+    await webhookWorker.processEntry(entry);
+
+    expect(webhookInbox.markFailed).not.toHaveBeenCalled();
+    expect(deadLetterQueue.add).not.toHaveBeenCalled();
+    expect(webhookWorker.stats.doneNotRecorded).toBe(doneNotRecorded + 1);
+    expect(webhookWorker.stats.processed).toBe(processed);
+  });
+
+  it('leaves the result alone when another worker reclaimed the event', async () => {
+    webhookInbox.markDone.mockResolvedValue(false);
+    const { leaseLost } = webhookWorker.stats;
+
+    await webhookWorker.processEntry(entry);
+
+    expect(webhookInbox.markFailed).not.toHaveBeenCalled();
+    expect(webhookWorker.stats.leaseLost).toBe(leaseLost + 1);
+  });
+
+  it('schedules a retry when processing fails', async () => {
+    const error = new Error('Triple Whale unavailable');
+    processWebhookEvent.mockRejectedValue(error);
+    webhookInbox.markFailed.mockResolvedValue({ exhausted: false, retryInMs: 30000, leaseLost: false });
+
+    await webhookWorker.processEntry(entry);
+
+    expect(webhookInbox.markDone).not.toHaveBeenCalled();
+    expect(webhookInbox.markFailed).toHaveBeenCalledWith(11, error, 1, 'worker-1');
+    expect(deadLetterQueue.add).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters an event with its metrics once its attempts are used up', async () => {
+    const error = Object.assign(new Error('Triple Whale unavailable'), {
+      metrics: [{ metric_name: 'shiprocket_order_value', value: 100 }],
+      metricSource: { type: 'webhook', eventId: 'event-1' }
+    });
+    processWebhookEvent.mockRejectedValue(error);
+    webhookInbox.markFailed.mockResolvedValue({ exhausted: true, leaseLost: false });
+
+    await webhookWorker.processEntry({ ...entry, attempts: 5 });
+
+    expect(deadLetterQueue.add).toHaveBeenCalledWith({
+      inboxId: 11,
+      source: 'shiprocket',
+      payload: entry.payload,
+      metrics: error.metrics,
+      metricSource: error.metricSource,
+      error,
+      attempts: 5
+    });
+  });
+});